@@ -0,0 +1,247 @@
+/**
+ * Configuration File
+ * Loads optional settings from the JSON or YAML file named by SQLCIPHER_CONFIG_FILE
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { getConfigFilePath } from './environment.js';
+
+let cachedPath = null;
+let cachedConfig = null;
+
+/**
+ * Load and parse the configuration file
+ * The parsed file is cached until SQLCIPHER_CONFIG_FILE points elsewhere
+ * @returns {Object} Parsed configuration (empty object if no file is configured)
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export function loadConfigFile() {
+    const configPath = getConfigFilePath();
+
+    if (!configPath) {
+        return {};
+    }
+
+    if (configPath === cachedPath && cachedConfig) {
+        return cachedConfig;
+    }
+
+    let contents;
+    try {
+        contents = fs.readFileSync(configPath, 'utf8');
+    } catch (error) {
+        throw new Error(`Failed to read config file ${configPath}: ${error.message}`);
+    }
+
+    // YAML for .yaml/.yml files, JSON otherwise
+    const isYaml = ['.yaml', '.yml'].includes(path.extname(configPath).toLowerCase());
+    const format = isYaml ? 'YAML' : 'JSON';
+
+    let config;
+    try {
+        config = isYaml ? yaml.load(contents) : JSON.parse(contents);
+    } catch (error) {
+        throw new Error(`Invalid ${format} in config file ${configPath}: ${error.message}`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Config file ${configPath} must contain a ${format} object`);
+    }
+
+    cachedPath = configPath;
+    cachedConfig = config;
+    return config;
+}
+
+/**
+ * Get the directory relative paths in the configuration file are resolved against
+ * @returns {string} Config file directory, or the working directory if no file is configured
+ */
+export function getConfigFileDirectory() {
+    const configPath = getConfigFilePath();
+    return configPath ? path.dirname(path.resolve(configPath)) : process.cwd();
+}
+
+/**
+ * Get SQLCipher cipher settings from the configuration file
+ * @returns {Object} Cipher settings from the "cipher" section (empty if not set)
+ */
+export function getCipherSettingsFromConfigFile() {
+    return loadConfigFile().cipher || {};
+}
+
+/**
+ * Get the filesystem sandbox settings from the configuration file
+ * @returns {{roots?: string[], extensions?: string[]}} Settings from the "sandbox" section
+ *   (empty if not set); relative roots are resolved against the config file
+ * @throws {Error} If the section is malformed
+ */
+export function getSandboxFromConfigFile() {
+    const { sandbox } = loadConfigFile();
+    
+    if (sandbox === undefined || sandbox === null) {
+        return {};
+    }
+    
+    const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+    if (typeof sandbox !== 'object' ||
+        (sandbox.roots !== undefined && !isStringArray(sandbox.roots)) ||
+        (sandbox.extensions !== undefined && !isStringArray(sandbox.extensions))) {
+        throw new Error('The "sandbox" section of the config file must be an object with "roots" and "extensions" string arrays');
+    }
+    
+    const baseDir = getConfigFileDirectory();
+    return {
+        roots: sandbox.roots && sandbox.roots.map(root => path.resolve(baseDir, root)),
+        extensions: sandbox.extensions,
+    };
+}
+
+/**
+ * Get the directory saved queries are stored in from the configuration file
+ * @returns {string|undefined} Absolute path from "saved_queries_dir" (resolved against the
+ *   config file), or undefined if not set
+ * @throws {Error} If the setting is not a string
+ */
+export function getSavedQueriesDirFromConfigFile() {
+    const { saved_queries_dir } = loadConfigFile();
+    
+    if (saved_queries_dir === undefined || saved_queries_dir === null) {
+        return undefined;
+    }
+    
+    if (typeof saved_queries_dir !== 'string' || !saved_queries_dir) {
+        throw new Error('"saved_queries_dir" in the config file must be a directory path');
+    }
+    
+    return path.resolve(getConfigFileDirectory(), saved_queries_dir);
+}
+
+/**
+ * Get the query history settings from the configuration file
+ * @returns {{enabled?: boolean, file?: string, redact?: boolean}} Settings from the "history"
+ *   section (empty if not set); a relative file is resolved against the config file
+ * @throws {Error} If the section is malformed
+ */
+export function getHistoryFromConfigFile() {
+    const { history } = loadConfigFile();
+    
+    if (history === undefined || history === null) {
+        return {};
+    }
+    
+    const isOptional = (value, type) => value === undefined || typeof value === type;
+    if (typeof history !== 'object' || Array.isArray(history) ||
+        !isOptional(history.enabled, 'boolean') || !isOptional(history.redact, 'boolean') ||
+        !isOptional(history.file, 'string')) {
+        throw new Error('The "history" section of the config file must be an object with optional "enabled" and "redact" booleans and a "file" path');
+    }
+    
+    const settings = {};
+    if (history.enabled !== undefined) settings.enabled = history.enabled;
+    if (history.redact !== undefined) settings.redact = history.redact;
+    if (history.file) settings.file = path.resolve(getConfigFileDirectory(), history.file);
+    return settings;
+}
+
+/**
+ * Get the result cache settings from the configuration file
+ * @returns {{enabled?: boolean, maxEntries?: number, maxBytes?: number, ttlMs?: number}} Settings
+ *   from the "cache" section (empty if not set)
+ * @throws {Error} If the section is malformed
+ */
+export function getCacheFromConfigFile() {
+    const { cache } = loadConfigFile();
+    
+    if (cache === undefined || cache === null) {
+        return {};
+    }
+    
+    const isLimit = value => value === undefined || (Number.isInteger(value) && value > 0);
+    if (typeof cache !== 'object' || Array.isArray(cache) ||
+        !(cache.enabled === undefined || typeof cache.enabled === 'boolean') ||
+        !isLimit(cache.max_entries) || !isLimit(cache.max_bytes) || !isLimit(cache.ttl_ms)) {
+        throw new Error('The "cache" section of the config file must be an object with an optional "enabled" boolean and positive integer "max_entries", "max_bytes" and "ttl_ms"');
+    }
+    
+    const settings = {};
+    if (cache.enabled !== undefined) settings.enabled = cache.enabled;
+    if (cache.max_entries !== undefined) settings.maxEntries = cache.max_entries;
+    if (cache.max_bytes !== undefined) settings.maxBytes = cache.max_bytes;
+    if (cache.ttl_ms !== undefined) settings.ttlMs = cache.ttl_ms;
+    return settings;
+}
+
+/**
+ * Get the query cost guard settings from the configuration file
+ * @returns {{policy?: string, maxScanRows?: number}} Settings from the "cost_guard" section
+ *   (empty if not set)
+ * @throws {Error} If the section is malformed
+ */
+export function getCostGuardFromConfigFile() {
+    const { cost_guard: costGuard } = loadConfigFile();
+    
+    if (costGuard === undefined || costGuard === null) {
+        return {};
+    }
+    
+    if (typeof costGuard !== 'object' || Array.isArray(costGuard) ||
+        !(costGuard.policy === undefined || typeof costGuard.policy === 'string') ||
+        !(costGuard.max_scan_rows === undefined || (Number.isInteger(costGuard.max_scan_rows) && costGuard.max_scan_rows > 0))) {
+        throw new Error('The "cost_guard" section of the config file must be an object with an optional "policy" string and a positive integer "max_scan_rows"');
+    }
+    
+    const settings = {};
+    if (costGuard.policy !== undefined) settings.policy = costGuard.policy.trim().toLowerCase();
+    if (costGuard.max_scan_rows !== undefined) settings.maxScanRows = costGuard.max_scan_rows;
+    return settings;
+}
+
+/**
+ * Get the named database entries from the configuration file
+ * @returns {Array} Raw entries from the "databases" section (empty if not set)
+ * @throws {Error} If the section is not an array
+ */
+export function getDatabasesFromConfigFile() {
+    return getArraySection('databases');
+}
+
+/**
+ * Get a section of the configuration file that must be an array
+ * @param {string} name - Section name
+ * @returns {Array} Section entries (empty if not set)
+ * @throws {Error} If the section is not an array
+ */
+function getArraySection(name) {
+    const section = loadConfigFile()[name];
+    
+    if (section === undefined || section === null) {
+        return [];
+    }
+    
+    if (!Array.isArray(section)) {
+        throw new Error(`The "${name}" section of the config file must be an array`);
+    }
+    
+    return section;
+}
+
+/**
+ * Get the key ring entries (path globs mapped to keys) from the configuration file
+ * @returns {Array} Raw entries from the "keys" section (empty if not set)
+ * @throws {Error} If the section is not an array
+ */
+export function getKeyRingFromConfigFile() {
+    return getArraySection('keys');
+}
+
+/**
+ * Get the candidate keys tried for databases without a matching key ring entry
+ * @returns {Array} Raw entries from the "candidate_keys" section (empty if not set)
+ * @throws {Error} If the section is not an array
+ */
+export function getCandidateKeysFromConfigFile() {
+    return getArraySection('candidate_keys');
+}
@@ -11,8 +11,173 @@ export const SERVER_CONFIG = {
 export const QUERY_CONFIG = {
     maxDisplayRows: 1000,
     maxValueLength: 50,
+    // Largest page_size accepted by paginated queries
+    maxPageSize: 10000,
+    // Most statements accepted by one execute_batch call
+    maxBatchStatements: 50,
+    // Statements running longer than this are interrupted
+    timeoutMs: 30 * 1000,
+    // How integers beyond Number.MAX_SAFE_INTEGER are returned: exact decimal strings,
+    // strings with a BigInt "n" suffix, or (lossy) numbers
+    largeIntegerModes: ['string', 'bigint', 'number'],
+    defaultLargeIntegers: 'string',
+    // Row-producing queries without a LIMIT (or page_size) stop after this many rows, with a
+    // next_cursor to continue; SQLCIPHER_AUTO_LIMIT overrides it (0 turns it off)
+    defaultAutoLimit: 1000,
+    // Text responses are shrunk to fit this many bytes (SQLCIPHER_MAX_OUTPUT_BYTES, or
+    // max_bytes / max_output_tokens per call): JSON dropped, values narrowed, rows summarized,
+    // then the summary and column types dropped
+    defaultMaxOutputBytes: 100000,
+    minOutputBytes: 512,
+    maxOutputBytes: 10 * 1024 * 1024,
+    // Rough size of one LLM token, for max_output_tokens
+    bytesPerToken: 4,
+    // Values are cut to this many characters when wide columns are narrowed
+    narrowValueLength: 20,
+};
+
+export const BLOB_CONFIG = {
+    // How BLOB values are returned: summary (size, detected format, hex prefix), hex or base64
+    encodings: ['summary', 'hex', 'base64'],
+    defaultEncoding: 'summary',
+    summaryPrefixBytes: 16,
+    // Image BLOBs up to this size are also attached as MCP image content
+    maxImageBytes: 512 * 1024,
+    maxImagesPerResponse: 5,
+};
+
+export const OUTPUT_FORMAT_CONFIG = {
+    // How execute_query and sample_table_data lay out rows: a readable table with the JSON
+    // representation (text), a GitHub table (markdown), CSV, TSV, a JSON array or JSON lines
+    formats: ['text', 'markdown', 'csv', 'tsv', 'json', 'jsonl'],
+    defaultFormat: 'text',
+};
+
+export const COST_GUARD_CONFIG = {
+    // What execute_query does when the plan of a query has costly steps: nothing (off),
+    // add a warning to the result (warn), run only with force: true (confirm), or refuse (block)
+    policies: ['off', 'warn', 'confirm', 'block'],
+    defaultPolicy: 'warn',
+    // Tables with more rows than this count as large
+    defaultMaxScanRows: 100000,
+};
+
+export const CACHE_CONFIG = {
+    // In-memory LRU cache of execute_query and statistics results; entries are dropped when
+    // the database changes (data_version, schema_version or file mtime), expire after the TTL,
+    // and the least recently used go first when either limit is reached
+    defaultMaxEntries: 100,
+    defaultMaxBytes: 64 * 1024 * 1024,
+    defaultTtlMs: 10 * 60 * 1000,
+};
+
+export const SAVED_QUERY_CONFIG = {
+    // Directory for the saved query files when neither SQLCIPHER_SAVED_QUERIES_DIR nor
+    // saved_queries_dir is set, relative to the config file (or the working directory)
+    defaultDirectory: 'saved-queries',
+    namePattern: /^[A-Za-z0-9_-]{1,64}$/,
+    parameterNamePattern: /^[A-Za-z_][A-Za-z0-9_]*$/,
+    parameterTypes: ['string', 'integer', 'number', 'boolean'],
+};
+
+export const HISTORY_CONFIG = {
+    // History file when neither SQLCIPHER_HISTORY_FILE nor history.file is set, relative
+    // to the config file (or the working directory)
+    defaultFile: 'query-history.jsonl',
+    // Tools whose calls are recorded, and the ones replay_query can run again
+    recordedTools: ['execute_query', 'explain_query', 'get_table_statistics', 'get_column_statistics'],
+    defaultLimit: 50,
+    maxLimit: 1000,
+    // Replaces literal values and params when redaction is on
+    redactedValue: '[redacted]',
 };
 
 export const HTTP_CONFIG = {
     defaultPort: 3000,
 };
+
+export const POOL_CONFIG = {
+    idleTimeoutMs: 5 * 60 * 1000,
+    maxConnections: 8,
+};
+
+export const WORKER_CONFIG = {
+    // Database work runs on a pool of worker threads (0 runs it on the main thread).
+    // Each database has its own queue; at most maxTasksPerDatabase of its tasks run at once,
+    // and at most maxConcurrentTasks across all databases
+    workers: 2,
+    maxConcurrentTasks: 8,
+    maxTasksPerDatabase: 2,
+    // Rows a worker streams ahead of the client before it waits for them to be written
+    streamHighWaterMark: 64,
+};
+
+export const CIPHER_CONFIG = {
+    // Profiles tried in order when no cipher settings are configured
+    detectionProfiles: [
+        { name: 'sqlcipher4', settings: { compatibility: 4 } },
+        { name: 'sqlcipher3', settings: { compatibility: 3 } },
+        { name: 'sqlcipher2', settings: { compatibility: 2 } },
+        { name: 'sqlcipher1', settings: { compatibility: 1 } },
+        { name: 'sqlcipher4-page-1024', settings: { compatibility: 4, cipher_page_size: 1024 } },
+        { name: 'sqlcipher4-page-8192', settings: { compatibility: 4, cipher_page_size: 8192 } },
+        { name: 'sqlcipher4-page-16384', settings: { compatibility: 4, cipher_page_size: 16384 } },
+        { name: 'sqlcipher3-page-4096', settings: { compatibility: 3, cipher_page_size: 4096 } },
+        { name: 'sqlcipher3-page-8192', settings: { compatibility: 3, cipher_page_size: 8192 } },
+    ],
+    // Order in which settings are applied - compatibility resets the others
+    settingOrder: ['compatibility', 'cipher_page_size', 'kdf_iter', 'cipher_hmac_algorithm', 'cipher_kdf_algorithm'],
+    compatibilityVersions: [1, 2, 3, 4],
+    hmacAlgorithms: ['HMAC_SHA1', 'HMAC_SHA256', 'HMAC_SHA512'],
+    kdfAlgorithms: ['PBKDF2_HMAC_SHA1', 'PBKDF2_HMAC_SHA256', 'PBKDF2_HMAC_SHA512'],
+};
+
+export const KEY_CONFIG = {
+    // Maximum time a key command (SQLCIPHER_PASSWORD_COMMAND) may run
+    commandTimeoutMs: 10 * 1000,
+    // How long a key command's output is reused before the command runs again
+    commandCacheTtlMs: 5 * 60 * 1000,
+    // Raw keys: x'<64 hex>' (key) or x'<96 hex>' (key + salt)
+    rawKeyPattern: /^x'([0-9a-fA-F]{64}|[0-9a-fA-F]{96})'$/,
+};
+
+export const SQL_CONFIG = {
+    // Pragmas allowed in read-only queries. "query" pragmas may only be read
+    // (PRAGMA name); "argument" pragmas also take an argument that selects what
+    // to inspect (PRAGMA name(arg)). Assignments (PRAGMA name = value) are never allowed.
+    readOnlyPragmas: {
+        application_id: 'query',
+        auto_vacuum: 'query',
+        collation_list: 'query',
+        compile_options: 'query',
+        data_version: 'query',
+        database_list: 'query',
+        encoding: 'query',
+        foreign_key_check: 'argument',
+        foreign_key_list: 'argument',
+        foreign_keys: 'query',
+        freelist_count: 'query',
+        function_list: 'query',
+        index_info: 'argument',
+        index_list: 'argument',
+        index_xinfo: 'argument',
+        integrity_check: 'argument',
+        journal_mode: 'query',
+        module_list: 'query',
+        page_count: 'query',
+        page_size: 'query',
+        pragma_list: 'query',
+        quick_check: 'argument',
+        schema_version: 'query',
+        table_info: 'argument',
+        table_list: 'argument',
+        table_xinfo: 'argument',
+        user_version: 'query',
+    },
+    // Statements execute_write may run. ATTACH, VACUUM (INTO), PRAGMA and transaction
+    // control are deliberately absent: they can touch other files, change connection
+    // settings, or break the transaction execute_write wraps around each statement.
+    writeStatements: ['insert', 'update', 'delete', 'replace', 'create', 'drop', 'alter'],
+    // Statements whose affected rows can be previewed with RETURNING
+    dmlStatements: ['insert', 'update', 'delete', 'replace'],
+};
@@ -0,0 +1,137 @@
+/**
+ * Database Registry
+ * Named database aliases declared in the "databases" section of the config file
+ */
+
+import path from 'path';
+import { getDatabasesFromConfigFile, getConfigFileDirectory } from './config-file.js';
+import { getKeysForPath } from './key-ring.js';
+
+/**
+ * Normalize and validate a single registry entry
+ * Relative paths are resolved against the config file's directory
+ * @param {any} raw - Entry from the config file
+ * @param {number} index - Position in the "databases" array (for error messages)
+ * @returns {Object} Normalized entry
+ * @throws {Error} If the entry is invalid
+ */
+function normalizeEntry(raw, index) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`databases[${index}] must be an object`);
+    }
+
+    const { alias, path: dbPath, key, cipher, read_only, description } = raw;
+
+    if (!alias || typeof alias !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(alias)) {
+        throw new Error(`databases[${index}].alias is required and may only contain letters, numbers, ".", "_" and "-"`);
+    }
+
+    if (!dbPath || typeof dbPath !== 'string') {
+        throw new Error(`databases[${index}].path is required for alias "${alias}"`);
+    }
+
+    if (key !== undefined && (!key || typeof key !== 'object' || Array.isArray(key))) {
+        throw new Error(`databases[${index}].key must be an object such as { "env": "VARIABLE_NAME" } or { "file": "path" }`);
+    }
+
+    if (read_only !== undefined && typeof read_only !== 'boolean') {
+        throw new Error(`databases[${index}].read_only must be true or false`);
+    }
+
+    const baseDir = getConfigFileDirectory();
+
+    return {
+        alias,
+        path: path.resolve(baseDir, dbPath),
+        description: typeof description === 'string' ? description : undefined,
+        // Key files are resolved relative to the config file, like database paths
+        key: key && typeof key.file === 'string' ? { ...key, file: path.resolve(baseDir, key.file) } : key || null,
+        cipher: cipher || {},
+        // Registered databases are read-only unless explicitly marked otherwise
+        readOnly: read_only !== false,
+    };
+}
+
+/**
+ * Get all registered databases
+ * @returns {Object[]} Normalized registry entries
+ * @throws {Error} If the registry is invalid or contains duplicate aliases
+ */
+export function getRegisteredDatabases() {
+    const entries = getDatabasesFromConfigFile().map(normalizeEntry);
+
+    const seen = new Set();
+    for (const entry of entries) {
+        if (seen.has(entry.alias)) {
+            throw new Error(`Duplicate database alias "${entry.alias}" in config file`);
+        }
+        seen.add(entry.alias);
+    }
+
+    return entries;
+}
+
+/**
+ * Look up a registered database by alias
+ * @param {string} alias - Database alias
+ * @returns {Object} Normalized registry entry
+ * @throws {Error} If the alias is not registered
+ */
+export function getRegisteredDatabase(alias) {
+    const entries = getRegisteredDatabases();
+    const entry = entries.find(e => e.alias === alias);
+
+    if (!entry) {
+        const known = entries.map(e => e.alias);
+        throw new Error(
+            known.length > 0
+                ? `Unknown database alias "${alias}". Known aliases: ${known.join(', ')}`
+                : `Unknown database alias "${alias}". No databases are registered - set SQLCIPHER_CONFIG_FILE to a config file with a "databases" section.`
+        );
+    }
+
+    return entry;
+}
+
+/**
+ * Resolve the keys to try for a registered database
+ * An entry with its own key uses only that key (labelled with the key's `label`
+ * or the alias); otherwise the key ring, default key and candidate keys apply.
+ * @param {Object} entry - Normalized registry entry
+ * @returns {Array<{label: string, source: Object}>} Keys to try (read when the database is opened)
+ */
+export function resolveRegisteredKeys(entry) {
+    if (!entry.key) {
+        return getKeysForPath(entry.path);
+    }
+    
+    const { label, ...source } = entry.key;
+    return [{ label: label || entry.alias, source }];
+}
+
+/**
+ * Describe where a registered database's key comes from
+ * Never includes the key itself
+ * @param {Object} entry - Normalized registry entry
+ * @returns {string} Key source description
+ */
+export function describeKeySource(entry) {
+    const { key } = entry;
+
+    if (!key) {
+        return 'key ring';
+    }
+    if (typeof key.env === 'string') {
+        return `env:${key.env}`;
+    }
+    if (typeof key.file === 'string') {
+        return `file:${key.file}`;
+    }
+    if (typeof key.command === 'string') {
+        return 'command';
+    }
+    if (typeof key.value === 'string') {
+        return 'inline';
+    }
+    return 'unknown';
+}
@@ -3,6 +3,8 @@
  * Manages environment variables and application configuration
  */
 
+import path from 'path';
+
 /**
  * Get database password from environment variable
  * @returns {string|undefined} Database password or undefined if not set
@@ -11,6 +13,22 @@ export function getDatabasePassword() {
     return process.env.SQLCIPHER_PASSWORD;
 }
 
+/**
+ * Get path of a file containing the database password
+ * @returns {string|undefined} Password file path or undefined if not set
+ */
+export function getDatabasePasswordFile() {
+    return process.env.SQLCIPHER_PASSWORD_FILE;
+}
+
+/**
+ * Get command whose output is the database password (e.g. a `pass` or `secret-tool` lookup)
+ * @returns {string|undefined} Shell command or undefined if not set
+ */
+export function getDatabasePasswordCommand() {
+    return process.env.SQLCIPHER_PASSWORD_COMMAND;
+}
+
 /**
  * Get default database path from environment variable
  * @returns {string|undefined} Database path or undefined if not set
@@ -19,6 +37,57 @@ export function getDatabasePath() {
     return process.env.SQLCIPHER_DATABASE_PATH;
 }
 
+/**
+ * Get configuration file path from environment variable
+ * @returns {string|undefined} Path to JSON/YAML config file or undefined if not set
+ */
+export function getConfigFilePath() {
+    return process.env.SQLCIPHER_CONFIG_FILE;
+}
+
+/**
+ * Get the directories database files must be inside
+ * @returns {string[]|undefined} Allowed roots (separated by the platform path delimiter,
+ *   ":" or ";") or undefined if not set
+ */
+export function getAllowedRoots() {
+    const value = process.env.SQLCIPHER_ALLOWED_ROOTS;
+    return value ? value.split(path.delimiter).filter(Boolean) : undefined;
+}
+
+/**
+ * Get the file extensions database files must have
+ * @returns {string[]|undefined} Comma-separated extensions or undefined if not set
+ */
+export function getAllowedExtensions() {
+    const value = process.env.SQLCIPHER_ALLOWED_EXTENSIONS;
+    return value ? value.split(',').map(ext => ext.trim()).filter(Boolean) : undefined;
+}
+
+/**
+ * Get SQLCipher cipher settings from environment variables
+ * Values are returned as raw strings and validated by the caller
+ * @returns {Object} Cipher settings keyed by setting name (only those that are set)
+ */
+export function getCipherSettingsFromEnvironment() {
+    const variables = {
+        compatibility: 'SQLCIPHER_CIPHER_COMPATIBILITY',
+        cipher_page_size: 'SQLCIPHER_CIPHER_PAGE_SIZE',
+        kdf_iter: 'SQLCIPHER_KDF_ITER',
+        cipher_hmac_algorithm: 'SQLCIPHER_CIPHER_HMAC_ALGORITHM',
+        cipher_kdf_algorithm: 'SQLCIPHER_CIPHER_KDF_ALGORITHM',
+    };
+    
+    const settings = {};
+    for (const [setting, name] of Object.entries(variables)) {
+        if (process.env[name]) {
+            settings[setting] = process.env[name];
+        }
+    }
+    
+    return settings;
+}
+
 /**
  * Get HTTP server port from environment variable
  * @param {number} defaultPort - Default port to use if not set
@@ -28,12 +97,167 @@ export function getPort(defaultPort = 3000) {
     return process.env.PORT || defaultPort;
 }
 
+/**
+ * Read a positive integer from an environment variable
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value to use if unset or invalid
+ * @returns {number} Parsed integer
+ */
+function getPositiveIntegerEnv(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : defaultValue;
+}
+
+/**
+ * Get connection pool idle timeout from environment variable
+ * @param {number} defaultTimeout - Default timeout in milliseconds
+ * @returns {number} Idle timeout in milliseconds
+ */
+export function getPoolIdleTimeout(defaultTimeout) {
+    return getPositiveIntegerEnv('SQLCIPHER_POOL_IDLE_TIMEOUT_MS', defaultTimeout);
+}
+
+/**
+ * Get maximum number of pooled connections from environment variable
+ * @param {number} defaultMax - Default connection cap
+ * @returns {number} Maximum open connections
+ */
+export function getPoolMaxConnections(defaultMax) {
+    return getPositiveIntegerEnv('SQLCIPHER_POOL_MAX_CONNECTIONS', defaultMax);
+}
+
+/**
+ * Get the number of database worker threads from environment variable
+ * @param {number} defaultCount - Default worker count
+ * @returns {number} Worker threads (0 when SQLCIPHER_WORKERS=0 runs database work on the main thread)
+ */
+export function getWorkerCount(defaultCount) {
+    return process.env.SQLCIPHER_WORKERS !== undefined && parseInt(process.env.SQLCIPHER_WORKERS, 10) === 0
+        ? 0
+        : getPositiveIntegerEnv('SQLCIPHER_WORKERS', defaultCount);
+}
+
+/**
+ * Get the limit on concurrently running database tasks from environment variable
+ * @param {number} defaultMax - Default limit
+ * @returns {number} Most tasks running at once across all databases
+ */
+export function getMaxConcurrentTasks(defaultMax) {
+    return getPositiveIntegerEnv('SQLCIPHER_MAX_CONCURRENT_TASKS', defaultMax);
+}
+
+/**
+ * Get the limit on concurrently running tasks per database from environment variable
+ * @param {number} defaultMax - Default limit
+ * @returns {number} Most tasks running at once on one database
+ */
+export function getMaxTasksPerDatabase(defaultMax) {
+    return getPositiveIntegerEnv('SQLCIPHER_MAX_TASKS_PER_DATABASE', defaultMax);
+}
+
+/**
+ * Get query timeout from environment variable
+ * @param {number} defaultTimeout - Default timeout in milliseconds
+ * @returns {number} Maximum query run time in milliseconds
+ */
+export function getQueryTimeout(defaultTimeout) {
+    return getPositiveIntegerEnv('SQLCIPHER_QUERY_TIMEOUT_MS', defaultTimeout);
+}
+
+/**
+ * Get the automatic row limit from environment variable
+ * @param {number} defaultLimit - Default limit
+ * @returns {number} Rows read from queries without a LIMIT (0 when SQLCIPHER_AUTO_LIMIT=0 turns it off)
+ */
+export function getAutoLimit(defaultLimit) {
+    return process.env.SQLCIPHER_AUTO_LIMIT !== undefined && parseInt(process.env.SQLCIPHER_AUTO_LIMIT, 10) === 0
+        ? 0
+        : getPositiveIntegerEnv('SQLCIPHER_AUTO_LIMIT', defaultLimit);
+}
+
+/**
+ * Get the output budget of text responses from environment variable
+ * @param {number} defaultBytes - Default budget in bytes
+ * @returns {number} Largest query result text in bytes
+ */
+export function getMaxOutputBytes(defaultBytes) {
+    return getPositiveIntegerEnv('SQLCIPHER_MAX_OUTPUT_BYTES', defaultBytes);
+}
+
+/**
+ * Get the directory saved queries are stored in from environment variable
+ * @returns {string|undefined} Directory path or undefined if not set
+ */
+export function getSavedQueriesDirectory() {
+    return process.env.SQLCIPHER_SAVED_QUERIES_DIR;
+}
+
+/**
+ * Read a boolean from an environment variable
+ * @param {string} name - Environment variable name
+ * @returns {boolean|undefined} true for 1/true/yes/on, false for 0/false/no/off,
+ *   undefined if unset or anything else
+ */
+function getBooleanEnv(name) {
+    const value = (process.env[name] || '').trim().toLowerCase();
+    if (['1', 'true', 'yes', 'on'].includes(value)) {
+        return true;
+    }
+    if (['0', 'false', 'no', 'off'].includes(value)) {
+        return false;
+    }
+    return undefined;
+}
+
+/**
+ * Get query history settings from environment variables
+ * @returns {{enabled?: boolean, file?: string, redact?: boolean}} Settings that are set
+ *   (SQLCIPHER_HISTORY_ENABLED, SQLCIPHER_HISTORY_FILE, SQLCIPHER_HISTORY_REDACT)
+ */
+export function getHistorySettingsFromEnvironment() {
+    const settings = {
+        enabled: getBooleanEnv('SQLCIPHER_HISTORY_ENABLED'),
+        file: process.env.SQLCIPHER_HISTORY_FILE || undefined,
+        redact: getBooleanEnv('SQLCIPHER_HISTORY_REDACT'),
+    };
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Get result cache settings from environment variables
+ * @returns {{enabled?: boolean, maxEntries?: number, maxBytes?: number, ttlMs?: number}} Settings
+ *   that are set (SQLCIPHER_CACHE_ENABLED, SQLCIPHER_CACHE_MAX_ENTRIES, SQLCIPHER_CACHE_MAX_BYTES,
+ *   SQLCIPHER_CACHE_TTL_MS)
+ */
+export function getCacheSettingsFromEnvironment() {
+    const settings = {
+        enabled: getBooleanEnv('SQLCIPHER_CACHE_ENABLED'),
+        maxEntries: getPositiveIntegerEnv('SQLCIPHER_CACHE_MAX_ENTRIES', undefined),
+        maxBytes: getPositiveIntegerEnv('SQLCIPHER_CACHE_MAX_BYTES', undefined),
+        ttlMs: getPositiveIntegerEnv('SQLCIPHER_CACHE_TTL_MS', undefined),
+    };
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Get query cost guard settings from environment variables
+ * @returns {{policy?: string, maxScanRows?: number}} Settings that are set
+ *   (SQLCIPHER_COST_GUARD, SQLCIPHER_COST_GUARD_MAX_SCAN_ROWS)
+ */
+export function getCostGuardSettingsFromEnvironment() {
+    const settings = {
+        policy: (process.env.SQLCIPHER_COST_GUARD || '').trim().toLowerCase() || undefined,
+        maxScanRows: getPositiveIntegerEnv('SQLCIPHER_COST_GUARD_MAX_SCAN_ROWS', undefined),
+    };
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+}
+
 /**
  * Check if password is configured
- * @returns {boolean} True if password is set
+ * @returns {boolean} True if a password, password file, or password command is set
  */
 export function isPasswordConfigured() {
-    return !!getDatabasePassword();
+    return !!(getDatabasePassword() || getDatabasePasswordFile() || getDatabasePasswordCommand());
 }
 
 /**
@@ -52,7 +276,7 @@ export function getConfigurationWarnings() {
     const warnings = [];
     
     if (!isPasswordConfigured()) {
-        warnings.push('SQLCIPHER_PASSWORD environment variable is not set. Database connections may fail if password is required.');
+        warnings.push('No database password is configured (SQLCIPHER_PASSWORD, SQLCIPHER_PASSWORD_FILE or SQLCIPHER_PASSWORD_COMMAND). Connections to encrypted databases will fail.');
     }
     
     if (!isDatabasePathConfigured()) {
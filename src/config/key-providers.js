@@ -0,0 +1,195 @@
+/**
+ * Key Providers
+ * Resolves database keys from environment variables, key files, key commands,
+ * or raw hex keys. Key values are never logged or included in error messages.
+ */
+
+import fs from 'fs';
+import { execFile } from 'child_process';
+import { KEY_CONFIG } from './constants.js';
+import {
+    getDatabasePassword,
+    getDatabasePasswordFile,
+    getDatabasePasswordCommand
+} from './environment.js';
+
+/**
+ * Output of key commands, keyed by command string
+ * Kept for KEY_CONFIG.commandCacheTtlMs so secret stores are not queried on every
+ * connection, and dropped early by forgetKeySource() when the key does not unlock a
+ * database. Calls made while the command runs share its result.
+ * @type {Map<string, {key: Promise<string>, expires: number}>}
+ */
+const commandKeys = new Map();
+
+/**
+ * Check whether a key is a raw SQLCipher key (x'<hex>')
+ * Raw keys are used directly and skip key derivation
+ * @param {string} key - Database key
+ * @returns {boolean} True if the key is a raw hex key
+ */
+export function isRawKey(key) {
+    return typeof key === 'string' && KEY_CONFIG.rawKeyPattern.test(key);
+}
+
+/**
+ * Validate a resolved key
+ * @param {string} key - Key value
+ * @param {string} source - Where the key came from (for error messages)
+ * @returns {string} The key
+ * @throws {Error} If the key is empty or a malformed raw key
+ */
+function validateKey(key, source) {
+    if (!key) {
+        throw new Error(`${source} is empty`);
+    }
+
+    // Catch typos in raw keys instead of silently using them as passphrases
+    if (/^x'/i.test(key) && !isRawKey(key)) {
+        throw new Error(`${source} looks like a raw key but is not in the form x'<64 or 96 hex characters>'`);
+    }
+
+    return key;
+}
+
+/**
+ * Read a key from a file
+ * Trailing line breaks are removed so files written with `echo` work
+ * @param {string} filePath - Path to the key file
+ * @returns {Promise<string>} Key
+ * @throws {Error} If the file cannot be read or is empty
+ */
+export async function readKeyFile(filePath) {
+    let contents;
+    try {
+        contents = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Failed to read key file ${filePath}: ${error.code || error.message}`);
+    }
+
+    return validateKey(contents.replace(/[\r\n]+$/, ''), `Key file ${filePath}`);
+}
+
+/**
+ * Run a key command in a shell, without blocking the event loop
+ * The command gets no input and is killed after KEY_CONFIG.commandTimeoutMs.
+ * @param {string} command - Shell command
+ * @returns {Promise<string>} Key
+ * @throws {Error} If the command fails, times out, or prints nothing
+ */
+function executeKeyCommand(command) {
+    return new Promise((resolve, reject) => {
+        const child = execFile(command, {
+            shell: true,
+            encoding: 'utf8',
+            timeout: KEY_CONFIG.commandTimeoutMs,
+            windowsHide: true,
+        }, (error, stdout) => {
+            if (error) {
+                // Never include the command's output - it may contain part of the key
+                const reason = error.killed || error.signal
+                    ? `timed out after ${KEY_CONFIG.commandTimeoutMs}ms`
+                    : `exited with status ${error.code}`;
+                reject(new Error(`Key command failed: ${reason}`));
+                return;
+            }
+            try {
+                resolve(validateKey(stdout.replace(/[\r\n]+$/, ''), 'Key command output'));
+            } catch (validationError) {
+                reject(validationError);
+            }
+        });
+        child.stdin.end();
+    });
+}
+
+/**
+ * Run a command and use its standard output as the key
+ * Output is reused for KEY_CONFIG.commandCacheTtlMs; a failed run is not kept
+ * @param {string} command - Shell command (e.g. `pass show databases/orders`)
+ * @returns {Promise<string>} Key
+ * @throws {Error} If the command fails, times out, or prints nothing
+ */
+export function runKeyCommand(command) {
+    const cached = commandKeys.get(command);
+    if (cached && cached.expires > Date.now()) {
+        return cached.key;
+    }
+
+    const entry = { key: executeKeyCommand(command), expires: Date.now() + KEY_CONFIG.commandCacheTtlMs };
+    commandKeys.set(command, entry);
+    entry.key.catch(() => {
+        if (commandKeys.get(command) === entry) {
+            commandKeys.delete(command);
+        }
+    });
+    return entry.key;
+}
+
+/**
+ * Drop any cached copy of a key source's key
+ * Called when the key did not unlock a database, so a rotated key is picked up
+ * on the next attempt instead of when the cache expires.
+ * @param {Object} source - Key source ({ env }, { file }, { command } or { value })
+ */
+export function forgetKeySource(source) {
+    if (typeof source.command === 'string') {
+        commandKeys.delete(source.command);
+    }
+}
+
+/**
+ * Get the source of the default database key
+ * Precedence: SQLCIPHER_PASSWORD, SQLCIPHER_PASSWORD_FILE, SQLCIPHER_PASSWORD_COMMAND.
+ * The key itself is read by resolveKeySource() when a connection needs it.
+ * @returns {Object|undefined} Key source ({ env }, { file } or { command }), or undefined
+ *   if none is configured
+ */
+export function getDefaultKeySource() {
+    if (getDatabasePassword()) {
+        return { env: 'SQLCIPHER_PASSWORD' };
+    }
+
+    const passwordFile = getDatabasePasswordFile();
+    if (passwordFile) {
+        return { file: passwordFile };
+    }
+
+    const passwordCommand = getDatabasePasswordCommand();
+    if (passwordCommand) {
+        return { command: passwordCommand };
+    }
+
+    return undefined;
+}
+
+/**
+ * Resolve a key from a key source object
+ * @param {Object} source - One of { env }, { file }, { command } or { value }
+ * @param {string} label - What the key is for (for error messages)
+ * @returns {Promise<string>} Key
+ * @throws {Error} If the source is unsupported or cannot provide a key
+ */
+export async function resolveKeySource(source, label) {
+    if (typeof source.env === 'string') {
+        const value = process.env[source.env];
+        if (!value) {
+            throw new Error(`Environment variable ${source.env} (key for ${label}) is not set`);
+        }
+        return validateKey(value, `Environment variable ${source.env}`);
+    }
+
+    if (typeof source.file === 'string') {
+        return readKeyFile(source.file);
+    }
+
+    if (typeof source.command === 'string') {
+        return runKeyCommand(source.command);
+    }
+
+    if (typeof source.value === 'string') {
+        return validateKey(source.value, `Inline key for ${label}`);
+    }
+
+    throw new Error(`Unsupported key source for ${label}. Use { "env": ... }, { "file": ... }, { "command": ... } or { "value": ... }`);
+}
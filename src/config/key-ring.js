@@ -0,0 +1,133 @@
+/**
+ * Key Ring
+ * Chooses which keys to try for a database: key ring entries whose path globs
+ * match the file, then the default key, then the candidate keys. Keys are
+ * identified by label in results and errors, never by value, and are only read
+ * when a connection is opened (see connectDatabase).
+ */
+
+import path from 'path';
+import {
+    getKeyRingFromConfigFile,
+    getCandidateKeysFromConfigFile,
+    getConfigFileDirectory
+} from './config-file.js';
+import { getDefaultKeySource } from './key-providers.js';
+
+/**
+ * Label used for the key from SQLCIPHER_PASSWORD / _FILE / _COMMAND
+ */
+export const DEFAULT_KEY_LABEL = 'default';
+
+/**
+ * Normalize path separators so globs written with "/" also match Windows paths
+ * @param {string} value - Path or glob
+ * @returns {string} Path using "/" separators
+ */
+function toForwardSlashes(value) {
+    return value.replace(/\\/g, '/');
+}
+
+/**
+ * Convert a path glob to a regular expression
+ * `**` matches across directories, `*` within one path segment, `?` a single character
+ * @param {string} glob - Absolute path glob
+ * @returns {RegExp} Anchored expression matching whole paths
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*' && glob[i + 2] === '/') {
+            // "**/" also matches zero directories
+            pattern += '(?:.*/)?';
+            i += 2;
+        } else if (char === '*' && glob[i + 1] === '*') {
+            pattern += '.*';
+            i++;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    // Windows paths are case-insensitive
+    return new RegExp(`^${pattern}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/**
+ * Normalize and validate a key ring or candidate key entry
+ * Relative globs and key files are resolved against the config file's directory
+ * @param {any} raw - Entry from the config file
+ * @param {string} section - Config section name (for error messages)
+ * @param {number} index - Position in the section (for error messages)
+ * @param {boolean} requireMatch - Whether the entry must have path globs (otherwise it must not)
+ * @returns {{label: string, patterns: RegExp[], source: Object}} Normalized entry
+ * @throws {Error} If the entry is invalid
+ */
+function normalizeKeyEntry(raw, section, index, requireMatch) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`${section}[${index}] must be an object`);
+    }
+
+    const { label, match, ...source } = raw;
+
+    if (!label || typeof label !== 'string') {
+        throw new Error(`${section}[${index}].label is required`);
+    }
+
+    const globs = match === undefined ? [] : [].concat(match);
+    if (globs.some(glob => typeof glob !== 'string' || !glob)) {
+        throw new Error(`${section}[${index}].match must be a path glob or an array of path globs`);
+    }
+    if (requireMatch && globs.length === 0) {
+        throw new Error(`${section}[${index}].match is required for key "${label}"`);
+    }
+    if (!requireMatch && globs.length > 0) {
+        throw new Error(`${section}[${index}].match is not allowed - candidate keys are tried for every database`);
+    }
+
+    const baseDir = getConfigFileDirectory();
+    if (typeof source.file === 'string') {
+        source.file = path.resolve(baseDir, source.file);
+    }
+
+    return {
+        label,
+        patterns: globs.map(glob => globToRegExp(toForwardSlashes(path.resolve(baseDir, glob)))),
+        source,
+    };
+}
+
+/**
+ * Get the keys to try for a database file, in order
+ * Key ring entries whose globs match the path come first, then the default key
+ * (if configured), then the candidate keys. Only their sources are returned; the
+ * connection reads them one at a time until one unlocks the file, and not at all
+ * for plaintext databases.
+ * @param {string} dbPath - Path to the database file
+ * @returns {Array<{label: string, source: Object}>} Keys to try
+ * @throws {Error} If the key ring or candidate list is invalid
+ */
+export function getKeysForPath(dbPath) {
+    const resolvedPath = toForwardSlashes(path.resolve(dbPath));
+    const ring = getKeyRingFromConfigFile().map((raw, index) => normalizeKeyEntry(raw, 'keys', index, true));
+    const candidates = getCandidateKeysFromConfigFile().map((raw, index) => normalizeKeyEntry(raw, 'candidate_keys', index, false));
+
+    const keys = ring
+        .filter(entry => entry.patterns.some(pattern => pattern.test(resolvedPath)))
+        .map(({ label, source }) => ({ label, source }));
+
+    const defaultSource = getDefaultKeySource();
+    if (defaultSource) {
+        keys.push({ label: DEFAULT_KEY_LABEL, source: defaultSource });
+    }
+
+    for (const { label, source } of candidates) {
+        keys.push({ label, source });
+    }
+
+    return keys;
+}
@@ -13,6 +13,11 @@ export const PROMPT_DEFINITIONS = {
                 description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 required: false,
             },
+            {
+                name: 'database',
+                description: 'Alias of a registered database (use instead of database_path)',
+                required: false,
+            },
         ],
     },
     describe_table_structure: {
@@ -24,6 +29,11 @@ export const PROMPT_DEFINITIONS = {
                 description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 required: false,
             },
+            {
+                name: 'database',
+                description: 'Alias of a registered database (use instead of database_path)',
+                required: false,
+            },
             {
                 name: 'table_name',
                 description: 'Name of the table to describe',
@@ -40,6 +50,11 @@ export const PROMPT_DEFINITIONS = {
                 description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 required: false,
             },
+            {
+                name: 'database',
+                description: 'Alias of a registered database (use instead of database_path)',
+                required: false,
+            },
             {
                 name: 'table_name',
                 description: 'Optional table name to focus on (if not provided, shows all relationships)',
@@ -56,6 +71,11 @@ export const PROMPT_DEFINITIONS = {
                 description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 required: false,
             },
+            {
+                name: 'database',
+                description: 'Alias of a registered database (use instead of database_path)',
+                required: false,
+            },
             {
                 name: 'table_name',
                 description: 'Name of the table for query generation',
@@ -77,6 +97,11 @@ export const PROMPT_DEFINITIONS = {
                 description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 required: false,
             },
+            {
+                name: 'database',
+                description: 'Alias of a registered database (use instead of database_path)',
+                required: false,
+            },
             {
                 name: 'query',
                 description: 'SQL query to optimize',
@@ -93,6 +118,11 @@ export const PROMPT_DEFINITIONS = {
                 description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 required: false,
             },
+            {
+                name: 'database',
+                description: 'Alias of a registered database (use instead of database_path)',
+                required: false,
+            },
             {
                 name: 'table_name',
                 description: 'Name of the table to analyze',
@@ -109,6 +139,11 @@ export const PROMPT_DEFINITIONS = {
                 description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 required: false,
             },
+            {
+                name: 'database',
+                description: 'Alias of a registered database (use instead of database_path)',
+                required: false,
+            },
             {
                 name: 'table1_name',
                 description: 'Name of the first table',
@@ -3,10 +3,97 @@
  * Definitions for all MCP tools provided by the SQLCipher MCP Server
  */
 
+import { BLOB_CONFIG, CIPHER_CONFIG, HISTORY_CONFIG, OUTPUT_FORMAT_CONFIG, QUERY_CONFIG, SAVED_QUERY_CONFIG } from '../config/constants.js';
+
+/**
+ * Per-call SQLCipher settings, shared by every tool that opens a database
+ * Overrides SQLCIPHER_CIPHER_* environment variables and the config file
+ */
+const CIPHER_PROPERTY = {
+    type: 'object',
+    description: 'Optional SQLCipher settings for encrypted databases (detected automatically when omitted)',
+    properties: {
+        compatibility: {
+            type: 'number',
+            enum: CIPHER_CONFIG.compatibilityVersions,
+            description: 'SQLCipher major version defaults to use (cipher_compatibility)',
+        },
+        cipher_page_size: {
+            type: 'number',
+            description: 'Page size in bytes (power of two between 512 and 65536)',
+        },
+        kdf_iter: {
+            type: 'number',
+            description: 'PBKDF2 iteration count',
+        },
+        cipher_hmac_algorithm: {
+            type: 'string',
+            enum: CIPHER_CONFIG.hmacAlgorithms,
+            description: 'HMAC algorithm used for page authentication',
+        },
+        cipher_kdf_algorithm: {
+            type: 'string',
+            enum: CIPHER_CONFIG.kdfAlgorithms,
+            description: 'Key derivation algorithm',
+        },
+    },
+};
+
+/**
+ * Registered database alias, accepted by every tool in place of database_path
+ */
+const DATABASE_PROPERTY = {
+    type: 'string',
+    description: 'Alias of a database registered in the config file (use instead of database_path; see list_databases)',
+};
+
+const BLOB_ENCODING_PROPERTY = {
+    type: 'string',
+    enum: BLOB_CONFIG.encodings,
+    description: 'How BLOB values are returned: summary (size, detected format and first bytes in hex, the default), hex or base64. Small PNG, JPEG, GIF and WebP images are also attached as image content.',
+};
+
+const FORMAT_PROPERTY = {
+    type: 'string',
+    enum: OUTPUT_FORMAT_CONFIG.formats,
+    description: 'How rows are returned: text (readable table plus JSON, the default), markdown (GitHub table), csv, tsv, json (array of row objects) or jsonl (one JSON object per line). Other formats than text return only the rows in the first content block, and the row count, next_cursor and warnings in a second. NULL is an empty field in csv, \\N in tsv, NULL in markdown and null in json; BLOBs follow blob_encoding.',
+};
+
+const LARGE_INTEGERS_PROPERTY = {
+    type: 'string',
+    enum: QUERY_CONFIG.largeIntegerModes,
+    description: 'How integers beyond 2^53 - 1 are returned: string (exact decimal string, the default), bigint (exact, with an "n" suffix) or number (rounded). Smaller integers are always numbers.',
+};
+
+const FORCE_PROPERTY = {
+    type: 'boolean',
+    description: 'Run the query even though its plan has full scans of large tables, nested scans or large sorts (needed when the cost guard policy is "confirm"; the "block" policy cannot be overridden)',
+};
+
+const MAX_ROWS_PROPERTY = {
+    type: 'number',
+    description: `Rows to read from a query without a LIMIT of its own (max ${QUERY_CONFIG.maxPageSize}; default ${QUERY_CONFIG.defaultAutoLimit}, or SQLCIPHER_AUTO_LIMIT). A next_cursor continues after them.`,
+};
+
+const MAX_OUTPUT_TOKENS_PROPERTY = {
+    type: 'number',
+    description: `Shrink the response to about this many tokens (${QUERY_CONFIG.bytesPerToken} bytes each): the JSON representation is dropped first, then long values are cut, then rows are summarized. The response lists what was left out and how to fetch it.`,
+};
+
+const MAX_BYTES_PROPERTY = {
+    type: 'number',
+    description: `Shrink the response to this many bytes, like max_output_tokens (default ${QUERY_CONFIG.defaultMaxOutputBytes}, or SQLCIPHER_MAX_OUTPUT_BYTES)`,
+};
+
+const SAVED_QUERY_NAME_PROPERTY = {
+    type: 'string',
+    description: 'Name of the saved query (letters, numbers, "_" and "-")',
+};
+
 export const TOOL_DEFINITIONS = {
     execute_query: {
         name: 'execute_query',
-        description: 'Execute a SELECT query on a SQLCipher-encrypted SQLite database. Only read-only queries are allowed. Database path can be provided as parameter or via SQLCIPHER_DATABASE_PATH environment variable.',
+        description: 'Execute a read-only query on a SQLCipher-encrypted SQLite database. A single SELECT, VALUES, WITH ... SELECT, EXPLAIN or read-only PRAGMA statement is allowed; use placeholders with params to pass values, and page_size / cursor to page through large results. Queries without a LIMIT stop after max_rows rows, and long responses are shrunk to max_output_tokens. The query plan is checked first for full scans of large tables, nested scans and large sorts (see cost_analysis in the result). Database path can be provided as parameter, as a registered database alias, or via SQLCIPHER_DATABASE_PATH environment variable.',
         inputSchema: {
             type: 'object',
             properties: {
@@ -14,12 +101,118 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the SQLCipher database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 query: {
                     type: 'string',
-                    description: 'SQL SELECT query to execute (read-only)',
+                    description: 'SQL query to execute (one read-only statement; not needed with a cursor)',
+                },
+                params: {
+                    type: ['array', 'object'],
+                    description: 'Values for the query placeholders: an array for ? / ?NNN, or an object for :name, @name and $name (keys with or without the prefix). String values are converted to the type of the column they are compared with where possible.',
+                },
+                timeout_ms: {
+                    type: 'number',
+                    description: 'Interrupt the query after this many milliseconds (can only lower the server timeout, SQLCIPHER_QUERY_TIMEOUT_MS, default 30000)',
                 },
+                page_size: {
+                    type: 'number',
+                    description: 'Return one page of this many rows (max 10000) with a next_cursor for the following page; without it all rows are returned',
+                },
+                cursor: {
+                    type: 'string',
+                    description: 'next_cursor from a previous page; continues the same query and params, so pass it instead of query',
+                },
+                blob_encoding: BLOB_ENCODING_PROPERTY,
+                format: FORMAT_PROPERTY,
+                large_integers: LARGE_INTEGERS_PROPERTY,
+                force: FORCE_PROPERTY,
+                max_rows: MAX_ROWS_PROPERTY,
+                max_output_tokens: MAX_OUTPUT_TOKENS_PROPERTY,
+                max_bytes: MAX_BYTES_PROPERTY,
             },
-            required: ['query'],
+            required: [],
+        },
+    },
+    execute_batch: {
+        name: 'execute_batch',
+        description: 'Run an ordered list of read-only queries inside one read transaction, so all of them see the same snapshot of the database. Returns one result set per statement with its timing or error. The cost guard checks the plan of each statement as in execute_query.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                database_path: {
+                    type: 'string',
+                    description: 'Path to the SQLCipher database file (optional if SQLCIPHER_DATABASE_PATH is set)',
+                },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
+                statements: {
+                    type: 'array',
+                    description: 'Queries to run in order (max 50): each a query string or { "query": "...", "params": [...], "force": true }',
+                    items: {
+                        oneOf: [
+                            { type: 'string' },
+                            {
+                                type: 'object',
+                                properties: {
+                                    query: { type: 'string' },
+                                    params: { type: ['array', 'object'] },
+                                    force: FORCE_PROPERTY,
+                                },
+                                required: ['query'],
+                            },
+                        ],
+                    },
+                },
+                stop_on_error: {
+                    type: 'boolean',
+                    description: 'Skip the remaining statements after the first failure (default: false)',
+                },
+                force: {
+                    ...FORCE_PROPERTY,
+                    description: 'Run every statement even though its plan is costly (see force on a statement)',
+                },
+                timeout_ms: {
+                    type: 'number',
+                    description: 'Interrupt each statement after this many milliseconds (can only lower the server timeout)',
+                },
+                blob_encoding: BLOB_ENCODING_PROPERTY,
+                large_integers: LARGE_INTEGERS_PROPERTY,
+            },
+            required: ['statements'],
+        },
+    },
+    execute_write: {
+        name: 'execute_write',
+        description: 'Run one INSERT, UPDATE, DELETE, REPLACE, CREATE, DROP or ALTER statement inside a transaction and report changes and lastID. Only available for registered databases marked read_only: false in the config file. With dry_run the statement runs, the affected rows are shown, and everything is rolled back.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                database: {
+                    type: 'string',
+                    description: 'Alias of a registered database marked read_only: false (database_path is not accepted for writes)',
+                },
+                cipher: CIPHER_PROPERTY,
+                query: {
+                    type: 'string',
+                    description: 'Write statement to execute (one statement)',
+                },
+                params: {
+                    type: ['array', 'object'],
+                    description: 'Values for the statement placeholders: an array for ? / ?NNN, or an object for :name, @name and $name',
+                },
+                dry_run: {
+                    type: 'boolean',
+                    description: 'Execute, show the rows that would be affected, then roll back (default: false)',
+                },
+                timeout_ms: {
+                    type: 'number',
+                    description: 'Interrupt and roll back the statement after this many milliseconds (can only lower the server timeout)',
+                },
+                blob_encoding: BLOB_ENCODING_PROPERTY,
+                large_integers: LARGE_INTEGERS_PROPERTY,
+            },
+            required: ['database', 'query'],
         },
     },
     list_tables: {
@@ -32,6 +225,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 table_names: {
                     type: 'array',
                     items: { type: 'string' },
@@ -51,6 +246,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 table_name: {
                     oneOf: [
                         { type: 'string' },
@@ -72,6 +269,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 table_name: {
                     type: 'string',
                     description: 'Name of the table',
@@ -90,6 +289,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 table_name: {
                     type: 'string',
                     description: 'Optional table name (if not provided, gets all foreign keys)',
@@ -108,6 +309,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 table_name: {
                     type: 'string',
                     description: 'Optional table name (if not provided, gets all indexes)',
@@ -126,6 +329,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
             },
             required: [],
         },
@@ -140,6 +345,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 table_name: {
                     type: 'string',
                     description: 'Name of the table',
@@ -158,10 +365,21 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
             },
             required: [],
         },
     },
+    list_databases: {
+        name: 'list_databases',
+        description: 'List the databases registered in the config file (alias, path, key source, read-only flag) and whether each one currently unlocks. Key values are never shown.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: [],
+        },
+    },
     explain_query: {
         name: 'explain_query',
         description: 'Get query execution plan (EXPLAIN QUERY PLAN) showing how SQLite will execute the query. Useful for query optimization.',
@@ -172,6 +390,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 query: {
                     type: 'string',
                     description: 'SQL SELECT query to explain',
@@ -190,6 +410,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 query: {
                     type: 'string',
                     description: 'SQL query to validate',
@@ -208,6 +430,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 table_name: {
                     type: 'string',
                     description: 'Optional table name for query suggestions',
@@ -230,6 +454,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 table_name: {
                     type: 'string',
                     description: 'Name of the table',
@@ -240,15 +466,16 @@ export const TOOL_DEFINITIONS = {
                 },
                 timeout_ms: {
                     type: 'number',
-                    description: 'Timeout in milliseconds (default: 30000)',
+                    description: 'Interrupt the statistics scans after this many milliseconds in total (can only lower the server timeout)',
                 },
+                large_integers: LARGE_INTEGERS_PROPERTY,
             },
             required: ['table_name'],
         },
     },
     sample_table_data: {
         name: 'sample_table_data',
-        description: 'Get a sample of rows from a table for quick data preview.',
+        description: 'Get a sample of rows from a table for quick data preview. Returns a next_cursor when more rows follow.',
         inputSchema: {
             type: 'object',
             properties: {
@@ -256,6 +483,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 table_name: {
                     type: 'string',
                     description: 'Name of the table',
@@ -273,8 +502,15 @@ export const TOOL_DEFINITIONS = {
                     items: { type: 'string' },
                     description: 'Optional array of column names to include',
                 },
+                cursor: {
+                    type: 'string',
+                    description: 'next_cursor from a previous sample; continues with the next rows of the same table and columns, so pass it instead of table_name',
+                },
+                blob_encoding: BLOB_ENCODING_PROPERTY,
+                format: FORMAT_PROPERTY,
+                large_integers: LARGE_INTEGERS_PROPERTY,
             },
-            required: ['table_name'],
+            required: [],
         },
     },
     get_column_statistics: {
@@ -287,6 +523,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 table_name: {
                     type: 'string',
                     description: 'Name of the table',
@@ -302,6 +540,7 @@ export const TOOL_DEFINITIONS = {
                     type: 'number',
                     description: 'Maximum sample size (default: 10000)',
                 },
+                large_integers: LARGE_INTEGERS_PROPERTY,
             },
             required: ['table_name', 'column_name'],
         },
@@ -316,6 +555,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 pattern: {
                     type: 'string',
                     description: 'SQL LIKE pattern (e.g., "user%" or "%_log")',
@@ -334,6 +575,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 pattern: {
                     type: 'string',
                     description: 'SQL LIKE pattern (e.g., "%_id" or "name%")',
@@ -352,6 +595,8 @@ export const TOOL_DEFINITIONS = {
                     type: 'string',
                     description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
                 },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
                 table_name: {
                     type: 'string',
                     description: 'Name of the table',
@@ -360,4 +605,196 @@ export const TOOL_DEFINITIONS = {
             required: ['table_name'],
         },
     },
+    save_query: {
+        name: 'save_query',
+        description: 'Save a named, parameterized read-only query for a database so it can be listed and re-run later with run_saved_query. Queries are stored per database alias (or per database file) and also appear as MCP prompts.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                database_path: {
+                    type: 'string',
+                    description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
+                },
+                database: DATABASE_PROPERTY,
+                name: SAVED_QUERY_NAME_PROPERTY,
+                description: {
+                    type: 'string',
+                    description: 'What the query shows and when to use it',
+                },
+                query: {
+                    type: 'string',
+                    description: 'One read-only statement; values go in named placeholders (:name, @name or $name)',
+                },
+                parameters: {
+                    type: 'array',
+                    description: 'One definition per placeholder. Parameters with a default are optional unless required is set.',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', description: 'Placeholder name without its prefix' },
+                            type: { type: 'string', enum: SAVED_QUERY_CONFIG.parameterTypes, description: 'Value type (default: string)' },
+                            description: { type: 'string' },
+                            required: { type: 'boolean' },
+                            default: { description: 'Value used when the parameter is not given' },
+                        },
+                        required: ['name'],
+                    },
+                },
+                overwrite: {
+                    type: 'boolean',
+                    description: 'Replace an existing saved query with the same name (default: false)',
+                },
+            },
+            required: ['name', 'description', 'query'],
+        },
+    },
+    list_saved_queries: {
+        name: 'list_saved_queries',
+        description: 'List the saved queries of a database with their descriptions and parameters.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                database_path: {
+                    type: 'string',
+                    description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
+                },
+                database: DATABASE_PROPERTY,
+            },
+            required: [],
+        },
+    },
+    get_saved_query: {
+        name: 'get_saved_query',
+        description: 'Show one saved query: its SQL, description and parameter definitions.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                database_path: {
+                    type: 'string',
+                    description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
+                },
+                database: DATABASE_PROPERTY,
+                name: SAVED_QUERY_NAME_PROPERTY,
+            },
+            required: ['name'],
+        },
+    },
+    delete_saved_query: {
+        name: 'delete_saved_query',
+        description: 'Delete a saved query of a database.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                database_path: {
+                    type: 'string',
+                    description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
+                },
+                database: DATABASE_PROPERTY,
+                name: SAVED_QUERY_NAME_PROPERTY,
+            },
+            required: ['name'],
+        },
+    },
+    run_saved_query: {
+        name: 'run_saved_query',
+        description: 'Run a saved query with parameter values. Values are checked against the saved parameter definitions and defaults fill in omitted ones; the query then runs like execute_query.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                database_path: {
+                    type: 'string',
+                    description: 'Path to the database file (optional if SQLCIPHER_DATABASE_PATH is set)',
+                },
+                database: DATABASE_PROPERTY,
+                cipher: CIPHER_PROPERTY,
+                name: SAVED_QUERY_NAME_PROPERTY,
+                params: {
+                    type: 'object',
+                    description: 'Parameter values keyed by parameter name (strings are converted to the declared type)',
+                },
+                timeout_ms: {
+                    type: 'number',
+                    description: 'Interrupt the query after this many milliseconds (can only lower the server timeout)',
+                },
+                blob_encoding: BLOB_ENCODING_PROPERTY,
+                large_integers: LARGE_INTEGERS_PROPERTY,
+                force: FORCE_PROPERTY,
+                max_rows: MAX_ROWS_PROPERTY,
+                max_output_tokens: MAX_OUTPUT_TOKENS_PROPERTY,
+                max_bytes: MAX_BYTES_PROPERTY,
+            },
+            required: ['name'],
+        },
+    },
+    query_history: {
+        name: 'query_history',
+        description: 'Search the log of execute_query, explain_query and statistics calls: when each ran, on which database, the SQL and params, duration, row count and error. Newest entries first. Calls are only recorded when query history is turned on (SQLCIPHER_HISTORY_ENABLED).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                tool: {
+                    type: 'string',
+                    enum: HISTORY_CONFIG.recordedTools,
+                    description: 'Only calls of this tool',
+                },
+                database: {
+                    type: 'string',
+                    description: 'Only calls made through this database alias',
+                },
+                database_path: {
+                    type: 'string',
+                    description: 'Only calls on this database file',
+                },
+                search: {
+                    type: 'string',
+                    description: 'Case-insensitive text the SQL, params, table/column names or error must contain',
+                },
+                errors_only: {
+                    type: 'boolean',
+                    description: 'Only failed calls (default: false)',
+                },
+                since: {
+                    type: 'string',
+                    description: 'Only calls at or after this ISO 8601 time',
+                },
+                until: {
+                    type: 'string',
+                    description: 'Only calls at or before this ISO 8601 time',
+                },
+                limit: {
+                    type: 'number',
+                    description: `Most entries to return (default ${HISTORY_CONFIG.defaultLimit}, max ${HISTORY_CONFIG.maxLimit})`,
+                },
+            },
+            required: [],
+        },
+    },
+    replay_query: {
+        name: 'replay_query',
+        description: 'Run a query_history entry again with the same tool, database, SQL and params. Entries recorded with redaction on cannot be replayed.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                id: {
+                    type: 'string',
+                    description: 'id of the history entry (from query_history)',
+                },
+            },
+            required: ['id'],
+        },
+    },
+    cache_stats: {
+        name: 'cache_stats',
+        description: 'Show the in-memory result cache of execute_query and statistics calls: entries, size, hits, misses, invalidations and entries per database. Cached results are only served while the database is unchanged.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                clear: {
+                    type: 'boolean',
+                    description: 'Empty the cache and reset its counters first',
+                },
+            },
+            required: [],
+        },
+    },
 };
@@ -4,18 +4,33 @@
  */
 
 import { SERVER_CONFIG } from '../config/constants.js';
-import { getDatabasePassword, isPasswordConfigured } from '../config/environment.js';
+import { isPasswordConfigured } from '../config/environment.js';
 import { 
     validateDatabasePath, 
     validateQuery,
+    resolveQueryRequest,
+    resolveSampleRequest,
+    resolveQueryTimeout,
+    resolveBlobEncoding,
+    resolveOutputFormat,
+    resolveLargeIntegers,
+    resolveAutoLimit,
+    resolveWriteTarget,
+    validateBatchStatements,
+    validateQueryParams,
     validateTableName,
     validateColumnName,
     validatePattern,
-    validateNumericParameter,
-    resolveDatabasePath
+    validateSavedQueryDefinition,
+    validateSavedQueryName,
+    resolveHistoryFilters,
+    resolveDatabaseTarget
 } from '../utils/validators.js';
 import { 
     executeQueryOnDatabase,
+    streamQueryOnDatabase,
+    executeWriteOnDatabase,
+    executeBatchOnDatabase,
     getTableListFromDatabase,
     getTableSchemaFromDatabase,
     getForeignKeysFromDatabase,
@@ -23,6 +38,7 @@ import {
     getDatabaseInfoFromDatabase,
     getTableInfoFromDatabase,
     testDatabaseConnection,
+    listRegisteredDatabases,
     explainQueryPlanFromDatabase,
     getTableStatisticsFromDatabase,
     sampleTableDataFromDatabase,
@@ -31,9 +47,28 @@ import {
     searchColumnsInDatabase,
     findRelatedTablesInDatabase
 } from '../services/database-service.js';
+import {
+    listSavedQueries,
+    getSavedQuery,
+    saveQuery,
+    deleteSavedQuery,
+    runSavedQuery
+} from '../services/saved-queries.js';
+import { recordQuery, searchQueryHistory, getHistoryEntry, getReplayArguments } from '../services/query-history.js';
+import { getCacheStats, clearResultCache } from '../services/result-cache.js';
+import { getWorkerPoolStats } from '../services/worker-pool.js';
+import {
+    formatCsvRow,
+    formatTsvRow,
+    formatNdjsonRow,
+    formatQueryResultsAs,
+    formatSampleDataAs
+} from '../utils/formatters.js';
+import { encodeRowBlobs } from '../utils/blobs.js';
 
 /**
  * Handle health check endpoint
+ * Served on the main thread, so it answers while database work is running
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -42,6 +77,8 @@ export function handleHealthCheck(req, res) {
         status: 'ok',
         message: 'SQLCipher MCP HTTP Server is running',
         passwordConfigured: isPasswordConfigured(),
+        // Busy workers, running and queued database tasks; saturated when no task can start
+        workerPool: getWorkerPoolStats(),
     });
 }
 
@@ -62,6 +99,8 @@ export function handleInfo(req, res) {
             
             // Query Execution (backward compatibility)
             query: 'POST /api/query (execute_query)',
+            execute_batch: 'POST /api/tool/execute_batch',
+            execute_write: 'POST /api/tool/execute_write',
             
             // Schema Exploration
             list_tables: 'POST /api/tool/list_tables',
@@ -75,6 +114,7 @@ export function handleInfo(req, res) {
             get_database_info: 'POST /api/tool/get_database_info',
             get_table_info: 'POST /api/tool/get_table_info',
             test_connection: 'POST /api/tool/test_connection',
+            list_databases: 'POST /api/tool/list_databases',
             
             // Query Helpers
             explain_query: 'POST /api/tool/explain_query',
@@ -89,52 +129,281 @@ export function handleInfo(req, res) {
             // Search
             search_tables: 'POST /api/tool/search_tables',
             search_columns: 'POST /api/tool/search_columns',
+            
+            // Saved Queries
+            save_query: 'POST /api/tool/save_query',
+            list_saved_queries: 'POST /api/tool/list_saved_queries',
+            get_saved_query: 'POST /api/tool/get_saved_query',
+            delete_saved_query: 'POST /api/tool/delete_saved_query',
+            run_saved_query: 'POST /api/tool/run_saved_query',
+            
+            // Query History
+            query_history: 'POST /api/tool/query_history',
+            replay_query: 'POST /api/tool/replay_query',
+            
+            // Result Cache
+            cache_stats: 'POST /api/tool/cache_stats',
         },
-        totalTools: 18,
-        totalEndpoints: 20,
+        totalTools: 29,
+        totalEndpoints: 31,
         passwordConfigured: isPasswordConfigured(),
     });
 }
 
+/**
+ * Content types of the responses other than the JSON envelope
+ */
+const RESPONSE_CONTENT_TYPES = {
+    ndjson: 'application/x-ndjson; charset=utf-8',
+    jsonl: 'application/x-ndjson; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    tsv: 'text/tab-separated-values; charset=utf-8',
+    markdown: 'text/markdown; charset=utf-8',
+    text: 'text/plain; charset=utf-8',
+};
+
+/**
+ * /api/query formats that are streamed row by row (ndjson is another name for jsonl)
+ */
+const STREAMED_FORMATS = ['ndjson', 'jsonl', 'csv', 'tsv'];
+
+/**
+ * Choose the /api/query response format
+ * The `format` body field wins; otherwise the Accept header decides, defaulting to JSON
+ * @param {Object} req - Express request object
+ * @returns {string} 'json', 'ndjson', 'jsonl', 'csv', 'tsv', 'markdown' or 'text'
+ * @throws {Error} If the format field is not a known format
+ */
+function resolveResponseFormat(req) {
+    const { format } = req.body;
+    if (format !== undefined) {
+        if (!['json', ...STREAMED_FORMATS, 'markdown', 'text'].includes(format)) {
+            throw new Error('format must be one of: json, ndjson, jsonl, csv, tsv, markdown, text');
+        }
+        return format;
+    }
+
+    switch (req.accepts([
+        'application/json',
+        'application/x-ndjson',
+        'application/ndjson',
+        'application/jsonl',
+        'text/csv',
+        'text/tab-separated-values',
+        'text/markdown',
+        'text/plain',
+    ])) {
+        case 'application/x-ndjson':
+        case 'application/ndjson':
+            return 'ndjson';
+        case 'application/jsonl':
+            return 'jsonl';
+        case 'text/csv':
+            return 'csv';
+        case 'text/tab-separated-values':
+            return 'tsv';
+        case 'text/markdown':
+            return 'markdown';
+        case 'text/plain':
+            return 'text';
+        default:
+            return 'json';
+    }
+}
+
+/**
+ * Send rows formatted by formatQueryResultsAs() or formatSampleDataAs()
+ * A Markdown document keeps its notes below the table; CSV, TSV and JSON lines stay
+ * plain data and carry the next cursor, if any, in the X-Next-Cursor header.
+ * @param {Object} res - Express response object
+ * @param {string} format - markdown, text, csv, tsv or jsonl
+ * @param {{text: string, notes: string|null}} formatted - Formatted rows and notes
+ * @param {string} [nextCursor] - Cursor for the following rows
+ */
+function sendFormattedRows(res, format, formatted, nextCursor) {
+    if (nextCursor) {
+        res.setHeader('X-Next-Cursor', nextCursor);
+    }
+    res.type(RESPONSE_CONTENT_TYPES[format]);
+    res.send(format === 'markdown' ? `${formatted.text}\n${formatted.notes}\n` : formatted.text);
+}
+
+/**
+ * Stream query rows to the client as NDJSON (JSON lines), CSV or TSV
+ * Rows are written as they are read with chunked transfer encoding; when the socket
+ * buffer is full the next row is not fetched until it drains. Errors before the first
+ * row get a normal JSON error response; later errors end an NDJSON stream with an
+ * `{"error": ...}` line and cut a CSV or TSV stream short.
+ * @param {Object} res - Express response object
+ * @param {Object} target - Resolved database target (dbPath, connection)
+ * @param {Object} request - Resolved query request (query, params)
+ * @param {string} format - 'ndjson', 'jsonl', 'csv' or 'tsv'
+ * @param {string} blobEncoding - How rows carry BLOBs, as in the other formats
+ * @param {Object} options - Execution options (timeoutMs, signal, force, largeIntegers)
+ */
+async function streamQueryResponse(res, target, request, format, blobEncoding, options) {
+    const formatRow = { csv: formatCsvRow, tsv: formatTsvRow }[format];
+    const startStream = (columns) => {
+        res.status(200);
+        res.setHeader('Content-Type', RESPONSE_CONTENT_TYPES[format]);
+        if (formatRow && columns.length > 0) {
+            res.write(formatRow(columns));
+        }
+    };
+
+    // Resolves at once, or when the socket drains (or closes) if its buffer is full
+    const write = (chunk) => {
+        if (res.write(chunk)) {
+            return undefined;
+        }
+        return new Promise((resolve) => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+    };
+
+    try {
+        const { query, params } = request;
+        const summary = await recordQuery({ tool: 'execute_query', target, query, params, arguments: options.force ? { force: true } : undefined }, () => (
+            streamQueryOnDatabase(target.dbPath, target.connection, query, params, (row, columns) => {
+                if (!res.headersSent) {
+                    startStream(columns);
+                }
+                const [encoded] = encodeRowBlobs([row], blobEncoding);
+                return write(formatRow
+                    ? formatRow(columns.map(column => encoded[column]))
+                    : formatNdjsonRow(encoded));
+            }, options)
+        ), result => result.rowCount);
+
+        if (!res.headersSent) {
+            startStream(summary.columns);
+        }
+        res.end();
+    } catch (error) {
+        if (!res.headersSent) {
+            return res.status(error.code === 'SQLITE_INTERRUPT' ? 408 : 400).json({
+                error: `Query execution failed: ${error.message}`,
+                ...(error.costAnalysis && { cost_analysis: error.costAnalysis }),
+            });
+        }
+        if (!formatRow && !res.destroyed) {
+            res.end(formatNdjsonRow({ error: `Query execution failed: ${error.message}` }));
+        } else {
+            // No in-band error channel in CSV or TSV - an unterminated chunked response tells the client it failed
+            res.destroy();
+        }
+    }
+}
+
 /**
  * Handle query execution endpoint
+ * Responds with JSON, streams rows as NDJSON / CSV / TSV, or sends a Markdown or text
+ * document, as asked for via the `format` field or the Accept header
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export async function handleQuery(req, res) {
     try {
-        const { database_path, query } = req.body;
+        const { database, database_path } = req.body;
         
-        // Validate database_path
+        // Validate database_path (not needed when a database alias is given)
+        if (!database) {
+            try {
+                validateDatabasePath(database_path);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        }
+        
+        // Resolve database (alias or path) and connection options
+        let target;
         try {
-            validateDatabasePath(database_path);
+            target = resolveDatabaseTarget(req.body);
         } catch (error) {
             return res.status(400).json({ error: error.message });
         }
         
-        // Validate query
+        // Validate query, parameters, page, format and timeout (a cursor supplies the query, params and page)
+        let request;
+        let format;
+        let timeoutMs;
+        let blobEncoding;
+        let largeIntegers;
+        let autoLimit;
         try {
-            validateQuery(query);
+            request = resolveQueryRequest(req.body, target.dbPath);
+            autoLimit = resolveAutoLimit(req.body.max_rows);
+            format = resolveResponseFormat(req);
+            blobEncoding = resolveBlobEncoding(req.body.blob_encoding);
+            largeIntegers = resolveLargeIntegers(req.body.large_integers);
+            if (STREAMED_FORMATS.includes(format) && request.pageSize !== undefined) {
+                throw new Error('page_size and cursor cannot be combined with streamed (ndjson, jsonl, csv, tsv) responses');
+            }
+            // Streamed exports are long by nature, so they only time out when asked to
+            timeoutMs = !STREAMED_FORMATS.includes(format) || req.body.timeout_ms !== undefined
+                ? resolveQueryTimeout(req.body.timeout_ms)
+                : undefined;
         } catch (error) {
             return res.status(400).json({ error: error.message });
         }
         
-        // Get database password
-        const password = getDatabasePassword();
+        // Interrupt the query if the client disconnects before the response is sent
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+        
+        if (STREAMED_FORMATS.includes(format)) {
+            return await streamQueryResponse(res, target, request, format, blobEncoding, {
+                timeoutMs,
+                signal: controller.signal,
+                force: request.force,
+                largeIntegers,
+            });
+        }
         
         // Execute query
         try {
-            const result = await executeQueryOnDatabase(database_path, password, query);
+            const { query, params, pageSize, offset, force } = request;
+            const result = await recordQuery({ tool: 'execute_query', target, query, params, arguments: force ? { force } : undefined }, () => (
+                executeQueryOnDatabase(target.dbPath, target.connection, query, params, {
+                    timeoutMs,
+                    signal: controller.signal,
+                    pageSize,
+                    offset,
+                    autoLimit,
+                    largeIntegers,
+                    force,
+                })
+            ), result => result.rowCount);
+            result.rows = encodeRowBlobs(result.rows, blobEncoding);
+            
+            if (format !== 'json') {
+                return sendFormattedRows(res, format, formatQueryResultsAs(result, format), result.next_cursor);
+            }
             
             // Return successful response
             res.json({
                 success: true,
                 data: result,
-                message: `Query executed successfully. ${result.rowCount} row(s) returned.`,
+                message: `Query executed successfully. ${result.rowCount} row(s) returned.` +
+                    (result.auto_limit !== undefined && result.has_more
+                        ? ` Stopped after ${result.auto_limit} rows because the query has no LIMIT; pass next_cursor as "cursor" for the following rows.`
+                        : ''),
             });
         } catch (error) {
-            res.status(400).json({
+            // 408 when the query was interrupted by the timeout (a cancelled client is already gone)
+            res.status(error.code === 'SQLITE_INTERRUPT' ? 408 : 400).json({
                 error: `Query execution failed: ${error.message}`,
+                ...(error.costAnalysis && { cost_analysis: error.costAnalysis }),
             });
         }
     } catch (error) {
@@ -144,6 +413,101 @@ export async function handleQuery(req, res) {
     }
 }
 
+/**
+ * Handle execute_batch endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleExecuteBatch(req, res) {
+    try {
+        const statements = validateBatchStatements(req.body.statements);
+        const timeoutMs = resolveQueryTimeout(req.body.timeout_ms);
+        const blobEncoding = resolveBlobEncoding(req.body.blob_encoding);
+        const largeIntegers = resolveLargeIntegers(req.body.large_integers);
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
+        
+        // Abort the batch if the client disconnects
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+        
+        const batch = await executeBatchOnDatabase(dbPath, connection, statements, {
+            stopOnError: req.body.stop_on_error === true,
+            timeoutMs,
+            signal: controller.signal,
+            largeIntegers,
+            force: req.body.force === true,
+        });
+        for (const result of batch.statements.filter(statement => statement.rows)) {
+            result.rows = encodeRowBlobs(result.rows, blobEncoding);
+        }
+        
+        res.json({
+            success: true,
+            data: batch,
+            message: `Batch executed: ${batch.succeeded} succeeded, ${batch.failed} failed, ${batch.skipped} skipped.`,
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * Handle execute_write endpoint
+ * Only available for registered aliases marked read_only: false
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleExecuteWrite(req, res) {
+    try {
+        const { query, params, dry_run } = req.body;
+        validateQuery(query);
+        validateQueryParams(params);
+        const timeoutMs = resolveQueryTimeout(req.body.timeout_ms);
+        const largeIntegers = resolveLargeIntegers(req.body.large_integers);
+        const blobEncoding = resolveBlobEncoding(req.body.blob_encoding);
+        
+        const { dbPath, connection } = resolveWriteTarget(req.body);
+        
+        // Interrupt the statement (and roll back) if the client disconnects
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+        
+        const result = await executeWriteOnDatabase(dbPath, connection, query, params, {
+            dryRun: dry_run === true,
+            timeoutMs,
+            largeIntegers,
+            signal: controller.signal,
+        });
+        if (result.preview) {
+            result.preview.rows = encodeRowBlobs(result.preview.rows, blobEncoding);
+        }
+        
+        res.json({
+            success: true,
+            data: result,
+            message: result.dry_run
+                ? `Dry run: ${result.changes} row(s) would be affected. Changes were rolled back.`
+                : `Statement committed. ${result.changes} row(s) affected.`,
+        });
+    } catch (error) {
+        res.status(error.code === 'SQLITE_INTERRUPT' ? 408 : 400).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
+
 // ============================================================================
 // Schema Exploration Handlers
 // ============================================================================
@@ -155,11 +519,9 @@ export async function handleQuery(req, res) {
  */
 export async function handleListTables(req, res) {
     try {
-        const { database_path } = req.body;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
-        const tables = await getTableListFromDatabase(dbPath, password);
+        const tables = await getTableListFromDatabase(dbPath, connection);
         
         res.json({
             success: true,
@@ -181,13 +543,12 @@ export async function handleListTables(req, res) {
  */
 export async function handleGetTableSchema(req, res) {
     try {
-        const { database_path, table_name } = req.body;
+        const { table_name } = req.body;
         validateTableName(table_name);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
-        const schema = await getTableSchemaFromDatabase(dbPath, password, table_name);
+        const schema = await getTableSchemaFromDatabase(dbPath, connection, table_name);
         
         res.json({
             success: true,
@@ -209,13 +570,12 @@ export async function handleGetTableSchema(req, res) {
  */
 export async function handleListColumns(req, res) {
     try {
-        const { database_path, table_name } = req.body;
+        const { table_name } = req.body;
         validateTableName(table_name);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
-        const schema = await getTableSchemaFromDatabase(dbPath, password, table_name);
+        const schema = await getTableSchemaFromDatabase(dbPath, connection, table_name);
         const columns = schema.map(col => col.name);
         
         res.json({
@@ -238,13 +598,12 @@ export async function handleListColumns(req, res) {
  */
 export async function handleGetForeignKeys(req, res) {
     try {
-        const { database_path, table_name } = req.body;
+        const { table_name } = req.body;
         validateTableName(table_name);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
-        const foreignKeys = await getForeignKeysFromDatabase(dbPath, password, table_name);
+        const foreignKeys = await getForeignKeysFromDatabase(dbPath, connection, table_name);
         
         res.json({
             success: true,
@@ -266,13 +625,12 @@ export async function handleGetForeignKeys(req, res) {
  */
 export async function handleGetIndexes(req, res) {
     try {
-        const { database_path, table_name } = req.body;
+        const { table_name } = req.body;
         validateTableName(table_name);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
-        const indexes = await getIndexesFromDatabase(dbPath, password, table_name);
+        const indexes = await getIndexesFromDatabase(dbPath, connection, table_name);
         
         res.json({
             success: true,
@@ -294,13 +652,12 @@ export async function handleGetIndexes(req, res) {
  */
 export async function handleFindRelatedTables(req, res) {
     try {
-        const { database_path, table_name } = req.body;
+        const { table_name } = req.body;
         validateTableName(table_name);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
-        const relationships = await findRelatedTablesInDatabase(dbPath, password, table_name);
+        const relationships = await findRelatedTablesInDatabase(dbPath, connection, table_name);
         
         res.json({
             success: true,
@@ -326,11 +683,9 @@ export async function handleFindRelatedTables(req, res) {
  */
 export async function handleGetDatabaseInfo(req, res) {
     try {
-        const { database_path } = req.body;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
-        const info = await getDatabaseInfoFromDatabase(dbPath, password);
+        const info = await getDatabaseInfoFromDatabase(dbPath, connection);
         
         res.json({
             success: true,
@@ -352,13 +707,12 @@ export async function handleGetDatabaseInfo(req, res) {
  */
 export async function handleGetTableInfo(req, res) {
     try {
-        const { database_path, table_name } = req.body;
+        const { table_name } = req.body;
         validateTableName(table_name);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
-        const info = await getTableInfoFromDatabase(dbPath, password, table_name);
+        const info = await getTableInfoFromDatabase(dbPath, connection, table_name);
         
         res.json({
             success: true,
@@ -380,16 +734,38 @@ export async function handleGetTableInfo(req, res) {
  */
 export async function handleTestConnection(req, res) {
     try {
-        const { database_path } = req.body;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
-        const result = await testDatabaseConnection(dbPath, password);
+        const result = await testDatabaseConnection(dbPath, connection);
         
         res.json({
             success: true,
             data: result,
-            message: result.success ? 'Database connection successful.' : 'Database connection failed.',
+            message: result.key_label
+                ? `Database connection successful. Unlocked with key "${result.key_label}".`
+                : 'Database connection successful.',
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * Handle list_databases endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleListDatabases(req, res) {
+    try {
+        const databases = await listRegisteredDatabases();
+        
+        res.json({
+            success: true,
+            data: databases,
+            message: `Found ${databases.length} registered database(s).`,
         });
     } catch (error) {
         res.status(400).json({
@@ -410,13 +786,14 @@ export async function handleTestConnection(req, res) {
  */
 export async function handleExplainQuery(req, res) {
     try {
-        const { database_path, query } = req.body;
+        const { query } = req.body;
         validateQuery(query);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const target = resolveDatabaseTarget(req.body);
         
-        const plan = await explainQueryPlanFromDatabase(dbPath, password, query);
+        const plan = await recordQuery({ tool: 'explain_query', target, query }, () => (
+            explainQueryPlanFromDatabase(target.dbPath, target.connection, query)
+        ), steps => steps.length);
         
         res.json({
             success: true,
@@ -438,14 +815,13 @@ export async function handleExplainQuery(req, res) {
  */
 export async function handleValidateQuerySyntax(req, res) {
     try {
-        const { database_path, query } = req.body;
+        const { query } = req.body;
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
         // Try to explain the query - if it fails, syntax is invalid
         try {
-            await explainQueryPlanFromDatabase(dbPath, password, query);
+            await explainQueryPlanFromDatabase(dbPath, connection, query);
             res.json({
                 success: true,
                 data: { valid: true, query },
@@ -473,14 +849,13 @@ export async function handleValidateQuerySyntax(req, res) {
  */
 export async function handleSuggestQuery(req, res) {
     try {
-        const { database_path, table_name, intent } = req.body;
+        const { table_name, intent } = req.body;
         validateTableName(table_name);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
         // Get table schema to build a suggested query
-        const schema = await getTableSchemaFromDatabase(dbPath, password, table_name);
+        const schema = await getTableSchemaFromDatabase(dbPath, connection, table_name);
         const columns = schema.map(col => col.name).join(', ');
         
         let suggestedQuery = `SELECT ${columns} FROM ${table_name}`;
@@ -520,13 +895,27 @@ export async function handleSuggestQuery(req, res) {
  */
 export async function handleGetTableStatistics(req, res) {
     try {
-        const { database_path, table_name } = req.body;
+        const { table_name, large_integers } = req.body;
         validateTableName(table_name);
+        const largeIntegers = resolveLargeIntegers(large_integers);
+        const timeoutMs = resolveQueryTimeout(req.body.timeout_ms);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const target = resolveDatabaseTarget(req.body);
         
-        const stats = await getTableStatisticsFromDatabase(dbPath, password, table_name);
+        // Interrupt the scans if the client disconnects
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+        
+        const stats = await recordQuery({ tool: 'get_table_statistics', target, arguments: { table_name } }, () => (
+            getTableStatisticsFromDatabase(target.dbPath, target.connection, table_name, undefined, largeIntegers, {
+                timeoutMs,
+                signal: controller.signal,
+            })
+        ));
         
         res.json({
             success: true,
@@ -534,7 +923,7 @@ export async function handleGetTableStatistics(req, res) {
             message: `Retrieved statistics for table "${table_name}".`,
         });
     } catch (error) {
-        res.status(400).json({
+        res.status(error.code === 'SQLITE_INTERRUPT' ? 408 : 400).json({
             success: false,
             error: error.message,
         });
@@ -543,25 +932,31 @@ export async function handleGetTableStatistics(req, res) {
 
 /**
  * Handle sample_table_data endpoint
+ * Responds with JSON, or with the rows in the `format` asked for
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export async function handleSampleTableData(req, res) {
     try {
-        const { database_path, table_name, limit = 10, offset = 0 } = req.body;
-        validateTableName(table_name);
-        validateNumericParameter(limit, 'limit', 1, 1000);
-        validateNumericParameter(offset, 'offset', 0, 1000000);
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
+        // A cursor supplies the table, columns and next offset
+        const { tableName, columns, limit, offset } = resolveSampleRequest(req.body, 1000, dbPath);
+        const blobEncoding = resolveBlobEncoding(req.body.blob_encoding);
+        // "json" is the usual response envelope here, not a bare array of rows
+        const format = resolveOutputFormat(req.body.format ?? 'json');
+        const largeIntegers = resolveLargeIntegers(req.body.large_integers);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const sample = await sampleTableDataFromDatabase(dbPath, connection, tableName, limit, offset, columns, largeIntegers);
+        sample.rows = encodeRowBlobs(sample.rows, blobEncoding);
         
-        const sample = await sampleTableDataFromDatabase(dbPath, password, table_name, limit, offset);
+        if (format !== 'json') {
+            return sendFormattedRows(res, format, formatSampleDataAs(sample, format), sample.next_cursor);
+        }
         
         res.json({
             success: true,
             data: sample,
-            message: `Retrieved ${sample.rows.length} sample row(s) from table "${table_name}".`,
+            message: `Retrieved ${sample.rows.length} sample row(s) from table "${tableName}".`,
         });
     } catch (error) {
         res.status(400).json({
@@ -578,18 +973,21 @@ export async function handleSampleTableData(req, res) {
  */
 export async function handleGetColumnStatistics(req, res) {
     try {
-        const { database_path, table_name, column_name } = req.body;
+        const { table_name, column_name, large_integers } = req.body;
         validateTableName(table_name);
         validateColumnName(column_name);
+        const largeIntegers = resolveLargeIntegers(large_integers);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const target = resolveDatabaseTarget(req.body);
         
-        const stats = await getColumnStatisticsFromDatabase(dbPath, password, table_name, column_name);
+        const stats = await recordQuery({ tool: 'get_column_statistics', target, arguments: { table_name, column_name } }, () => (
+            getColumnStatisticsFromDatabase(target.dbPath, target.connection, table_name, column_name, undefined, largeIntegers)
+        ));
         
         res.json({
             success: true,
             data: stats,
+            cache: stats.cache,
             message: `Retrieved statistics for column "${column_name}" in table "${table_name}".`,
         });
     } catch (error) {
@@ -611,13 +1009,12 @@ export async function handleGetColumnStatistics(req, res) {
  */
 export async function handleSearchTables(req, res) {
     try {
-        const { database_path, pattern } = req.body;
+        const { pattern } = req.body;
         validatePattern(pattern);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
-        const results = await searchTablesInDatabase(dbPath, password, pattern);
+        const results = await searchTablesInDatabase(dbPath, connection, pattern);
         
         res.json({
             success: true,
@@ -639,13 +1036,12 @@ export async function handleSearchTables(req, res) {
  */
 export async function handleSearchColumns(req, res) {
     try {
-        const { database_path, pattern } = req.body;
+        const { pattern } = req.body;
         validatePattern(pattern);
         
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(req.body);
         
-        const results = await searchColumnsInDatabase(dbPath, password, pattern);
+        const results = await searchColumnsInDatabase(dbPath, connection, pattern);
         
         res.json({
             success: true,
@@ -659,3 +1055,232 @@ export async function handleSearchColumns(req, res) {
         });
     }
 }
+
+/**
+ * Handle save_query endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleSaveQuery(req, res) {
+    try {
+        const definition = validateSavedQueryDefinition(req.body);
+        const target = resolveDatabaseTarget(req.body);
+        
+        const { savedQuery, replaced } = saveQuery(target, definition, req.body.overwrite === true);
+        
+        res.json({
+            success: true,
+            data: savedQuery,
+            message: `${replaced ? 'Replaced' : 'Saved'} query "${savedQuery.name}".`,
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * Handle list_saved_queries endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleListSavedQueries(req, res) {
+    try {
+        const target = resolveDatabaseTarget(req.body);
+        
+        const savedQueries = listSavedQueries(target);
+        
+        res.json({
+            success: true,
+            data: savedQueries,
+            message: `Found ${savedQueries.length} saved quer${savedQueries.length === 1 ? 'y' : 'ies'}.`,
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * Handle get_saved_query endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleGetSavedQuery(req, res) {
+    try {
+        const { name } = req.body;
+        validateSavedQueryName(name);
+        
+        const target = resolveDatabaseTarget(req.body);
+        
+        res.json({
+            success: true,
+            data: getSavedQuery(target, name),
+            message: `Saved query "${name}".`,
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * Handle delete_saved_query endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleDeleteSavedQuery(req, res) {
+    try {
+        const { name } = req.body;
+        validateSavedQueryName(name);
+        
+        const target = resolveDatabaseTarget(req.body);
+        
+        res.json({
+            success: true,
+            data: deleteSavedQuery(target, name),
+            message: `Deleted saved query "${name}".`,
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * Handle run_saved_query endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleRunSavedQuery(req, res) {
+    try {
+        const { name, params } = req.body;
+        validateSavedQueryName(name);
+        
+        const timeoutMs = resolveQueryTimeout(req.body.timeout_ms);
+        const blobEncoding = resolveBlobEncoding(req.body.blob_encoding);
+        const largeIntegers = resolveLargeIntegers(req.body.large_integers);
+        const autoLimit = resolveAutoLimit(req.body.max_rows);
+        const target = resolveDatabaseTarget(req.body);
+        
+        // Interrupt the query if the client disconnects
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+        
+        const result = await runSavedQuery(target, name, params, {
+            timeoutMs,
+            signal: controller.signal,
+            autoLimit,
+            largeIntegers,
+            force: req.body.force === true,
+        });
+        result.rows = encodeRowBlobs(result.rows, blobEncoding);
+        
+        res.json({
+            success: true,
+            data: result,
+            message: `Saved query "${name}" returned ${result.rowCount} row(s).`,
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+            ...(error.costAnalysis && { cost_analysis: error.costAnalysis }),
+        });
+    }
+}
+
+/**
+ * Handle query_history endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleQueryHistory(req, res) {
+    try {
+        const filters = resolveHistoryFilters(req.body || {});
+        
+        const history = searchQueryHistory(filters);
+        
+        res.json({
+            success: true,
+            data: history,
+            message: `Showing ${history.entries.length} of ${history.total} matching history entries.`,
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * Handle replay_query endpoint
+ * Runs a history entry again through the endpoint of the tool that recorded it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleReplayQuery(req, res) {
+    try {
+        const { id } = req.body;
+        if (!id || typeof id !== 'string') {
+            throw new Error('id is required and must be a string (see query_history)');
+        }
+        
+        const entry = getHistoryEntry(id);
+        req.body = getReplayArguments(entry);
+        
+        switch (entry.tool) {
+            case 'execute_query':
+                return await handleQuery(req, res);
+            case 'explain_query':
+                return await handleExplainQuery(req, res);
+            case 'get_table_statistics':
+                return await handleGetTableStatistics(req, res);
+            default:
+                return await handleGetColumnStatistics(req, res);
+        }
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
+
+/**
+ * Handle cache_stats endpoint
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleCacheStats(req, res) {
+    try {
+        const cleared = req.body && req.body.clear === true ? clearResultCache() : null;
+        const stats = getCacheStats();
+        
+        res.json({
+            success: true,
+            data: cleared === null ? stats : { ...stats, cleared },
+            message: cleared === null
+                ? `Result cache holds ${stats.entries} entr${stats.entries === 1 ? 'y' : 'ies'}.`
+                : `Cleared ${cleared} cached result(s).`,
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+        });
+    }
+}
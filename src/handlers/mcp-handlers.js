@@ -3,12 +3,26 @@
  * Handlers for MCP tool requests
  */
 
+import { BLOB_CONFIG } from '../config/constants.js';
 import { TOOL_DEFINITIONS } from '../definitions/tools.js';
-import { getDatabasePassword } from '../config/environment.js';
 import { 
     validateArguments, 
     validateQuery, 
-    resolveDatabasePath,
+    resolveQueryRequest,
+    resolveSampleRequest,
+    resolveQueryTimeout,
+    resolveBlobEncoding,
+    resolveOutputFormat,
+    resolveLargeIntegers,
+    resolveAutoLimit,
+    resolveOutputBudget,
+    resolveWriteTarget,
+    validateBatchStatements,
+    validateQueryParams,
+    validateSavedQueryDefinition,
+    validateSavedQueryName,
+    resolveHistoryFilters,
+    resolveDatabaseTarget,
     validateTableName,
     validateColumnName,
     validatePattern,
@@ -16,23 +30,37 @@ import {
 } from '../utils/validators.js';
 import { 
     formatQueryResults,
+    formatQueryResultsAs,
+    formatWriteResult,
+    formatBatchResults,
     formatTableList,
     formatTableSchema,
     formatForeignKeys,
     formatIndexes,
     formatDatabaseInfo,
+    formatDatabaseList,
     formatTableInfo,
     formatQueryPlan,
     formatTableStatistics,
-    formatSampleData,
+    formatSampleDataAs,
     formatColumnStatistics,
     formatSearchResults,
-    formatRelatedTables
+    formatRelatedTables,
+    formatSavedQueryList,
+    formatSavedQuery,
+    formatQueryHistory,
+    formatCacheStats,
+    formatImageContent
 } from '../utils/formatters.js';
 import { createMcpErrorResponse, createMcpSuccessResponse } from '../utils/errors.js';
+import { encodeRowBlobs, findImageBlobs } from '../utils/blobs.js';
+import { encodeCursor } from '../utils/cursor.js';
 import { 
     executeQueryOnDatabase,
+    executeWriteOnDatabase,
+    executeBatchOnDatabase,
     testDatabaseConnection,
+    listRegisteredDatabases,
     getTableListFromDatabase,
     getTableSchemaFromDatabase,
     getForeignKeysFromDatabase,
@@ -47,6 +75,29 @@ import {
     searchColumnsInDatabase,
     findRelatedTablesInDatabase
 } from '../services/database-service.js';
+import {
+    listSavedQueries,
+    getSavedQuery,
+    saveQuery,
+    deleteSavedQuery,
+    runSavedQuery
+} from '../services/saved-queries.js';
+import { recordQuery, searchQueryHistory, getHistoryEntry, getReplayArguments } from '../services/query-history.js';
+import { getCacheStats, clearResultCache } from '../services/result-cache.js';
+
+/**
+ * Get the output budget left for a result once other text of the response is counted
+ * @param {number} maxBytes - Output budget of the whole response
+ * @param {Array<string|Object>} extra - Other text, or content blocks (only text blocks count)
+ * @returns {number} Bytes left for the result (at least 1, so formatting still sees a budget)
+ */
+function remainingBudget(maxBytes, extra) {
+    const used = extra.reduce((total, item) => {
+        const text = typeof item === 'string' ? item : item.type === 'text' ? item.text : '';
+        return total + Buffer.byteLength(text, 'utf8');
+    }, 0);
+    return Math.max(maxBytes - used, 1);
+}
 
 /**
  * Handle list tools request
@@ -62,33 +113,69 @@ export function handleListTools() {
  * Handle execute_query tool request
  * @param {Object} args - Tool arguments
  * @param {string} [args.database_path] - Database path (optional if env var set)
- * @param {string} args.query - SQL query to execute
+ * @param {string} [args.database] - Registered database alias (alternative to database_path)
+ * @param {string} [args.query] - SQL query to execute (required unless a cursor is given)
+ * @param {Array|Object} [args.params] - Values for the query's placeholders
+ * @param {number} [args.page_size] - Return one page of this many rows, with a next_cursor
+ * @param {string} [args.cursor] - Cursor from a previous page, in place of query and params
+ * @param {number} [args.timeout_ms] - Lower the configured query timeout for this call
+ * @param {boolean} [args.force] - Run a query the cost guard holds back under the confirm policy
+ * @param {number} [args.max_rows] - Rows to read from a query without a LIMIT (default SQLCIPHER_AUTO_LIMIT)
+ * @param {number} [args.max_output_tokens] - Shrink the response to about this many tokens
+ * @param {number} [args.max_bytes] - Shrink the response to this many bytes
+ * @param {string} [args.format] - Output format: text (default), markdown, csv, tsv, json or jsonl
+ * @param {Object} [extra] - Request context from the MCP SDK; its `signal` aborts on notifications/cancelled
  * @returns {Promise<Object>} MCP response object
  */
-export async function handleExecuteQuery(args) {
+export async function handleExecuteQuery(args, extra = {}) {
     try {
         // Validate arguments
         validateArguments(args);
         
-        const { database_path, query } = args;
-        
-        // Validate query
-        validateQuery(query);
-        
-        // Resolve database path
-        const dbPath = resolveDatabasePath(database_path);
+        // Resolve database (alias or path) and connection options
+        const target = resolveDatabaseTarget(args);
         
-        // Get database password
-        const password = getDatabasePassword();
+        // Validate query, parameters, page and timeout (a cursor supplies the query, params and page)
+        const { query, params, pageSize, offset, force } = resolveQueryRequest(args, target.dbPath);
+        const timeoutMs = resolveQueryTimeout(args.timeout_ms);
+        const blobEncoding = resolveBlobEncoding(args.blob_encoding);
+        const format = resolveOutputFormat(args.format);
+        const largeIntegers = resolveLargeIntegers(args.large_integers);
+        const autoLimit = resolveAutoLimit(args.max_rows);
+        const maxBytes = resolveOutputBudget(args);
         
-        // Execute query
+        // Execute query (recorded in the query history)
         try {
-            const result = await executeQueryOnDatabase(dbPath, password, query);
+            const result = await recordQuery({ tool: 'execute_query', target, query, params, arguments: force ? { force } : undefined }, () => (
+                executeQueryOnDatabase(target.dbPath, target.connection, query, params, {
+                    timeoutMs,
+                    signal: extra.signal,
+                    pageSize,
+                    offset,
+                    autoLimit,
+                    largeIntegers,
+                    force,
+                })
+            ), result => result.rowCount);
+            
+            // Small images are attached as image content; every BLOB is encoded in the rows
+            const images = findImageBlobs(result.rows);
+            result.rows = encodeRowBlobs(result.rows, blobEncoding);
             
-            // Format results for response
-            const responseText = formatQueryResults(result);
+            // Format results for response, shrunk to the output budget (image captions included);
+            // other formats than text keep the rows in the first block and add the notes as a second one
+            const imageContent = formatImageContent(images);
+            const { text, notes } = formatQueryResultsAs(result, format, {
+                maxBytes: remainingBudget(maxBytes, imageContent),
+                cursorFrom: (from, size) => encodeCursor('query', {
+                    database: target.dbPath, query, params, offset: from, pageSize: size, force: force || undefined,
+                }),
+            });
             
-            return createMcpSuccessResponse(responseText);
+            return createMcpSuccessResponse(text, [
+                ...(notes ? [{ type: 'text', text: notes }] : []),
+                ...imageContent,
+            ]);
         } catch (error) {
             return createMcpErrorResponse(`Query execution failed: ${error.message}`);
         }
@@ -97,6 +184,93 @@ export async function handleExecuteQuery(args) {
     }
 }
 
+/**
+ * Handle execute_batch tool request
+ * @param {Object} args - Tool arguments
+ * @param {Array} args.statements - Query strings or { query, params } objects, in order
+ * @param {boolean} [args.stop_on_error] - Skip the remaining statements after the first failure
+ * @param {boolean} [args.force] - Run every statement past the cost guard's confirm policy
+ * @param {number} [args.timeout_ms] - Lower the configured per-statement timeout
+ * @param {Object} [extra] - Request context from the MCP SDK; its `signal` aborts on notifications/cancelled
+ * @returns {Promise<Object>} MCP response object
+ */
+export async function handleExecuteBatch(args, extra = {}) {
+    try {
+        validateArguments(args);
+        
+        const statements = validateBatchStatements(args.statements);
+        const timeoutMs = resolveQueryTimeout(args.timeout_ms);
+        const blobEncoding = resolveBlobEncoding(args.blob_encoding);
+        const largeIntegers = resolveLargeIntegers(args.large_integers);
+        const { dbPath, connection } = resolveDatabaseTarget(args);
+        
+        const batch = await executeBatchOnDatabase(dbPath, connection, statements, {
+            stopOnError: args.stop_on_error === true,
+            timeoutMs,
+            signal: extra.signal,
+            largeIntegers,
+            force: args.force === true,
+        });
+        
+        const images = [];
+        for (const result of batch.statements.filter(statement => statement.rows)) {
+            const found = findImageBlobs(result.rows, BLOB_CONFIG.maxImagesPerResponse - images.length);
+            images.push(...found.map(image => ({ ...image, statement: result.index + 1 })));
+            result.rows = encodeRowBlobs(result.rows, blobEncoding);
+        }
+        
+        return createMcpSuccessResponse(formatBatchResults(batch), formatImageContent(images));
+    } catch (error) {
+        return createMcpErrorResponse(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Handle execute_write tool request
+ * Only available for registered aliases marked read_only: false
+ * @param {Object} args - Tool arguments
+ * @param {string} args.database - Registered database alias (must be writable)
+ * @param {string} args.query - INSERT, UPDATE, DELETE, REPLACE, CREATE, DROP or ALTER statement
+ * @param {Array|Object} [args.params] - Values for the statement's placeholders
+ * @param {boolean} [args.dry_run] - Preview the affected rows and roll back
+ * @param {number} [args.timeout_ms] - Lower the configured timeout for this call
+ * @param {string} [args.large_integers] - How large integers in preview rows are returned
+ * @param {string} [args.blob_encoding] - How BLOBs in preview rows are returned
+ * @param {Object} [extra] - Request context from the MCP SDK; its `signal` aborts on notifications/cancelled
+ * @returns {Promise<Object>} MCP response object
+ */
+export async function handleExecuteWrite(args, extra = {}) {
+    try {
+        validateArguments(args);
+        
+        const { query, params, dry_run } = args;
+        validateQuery(query);
+        validateQueryParams(params);
+        const timeoutMs = resolveQueryTimeout(args.timeout_ms);
+        const largeIntegers = resolveLargeIntegers(args.large_integers);
+        const blobEncoding = resolveBlobEncoding(args.blob_encoding);
+        
+        const { dbPath, connection } = resolveWriteTarget(args);
+        
+        const result = await executeWriteOnDatabase(dbPath, connection, query, params, {
+            dryRun: dry_run === true,
+            timeoutMs,
+            largeIntegers,
+            signal: extra.signal,
+        });
+        
+        // Preview rows follow the same BLOB policy as query results
+        const images = result.preview ? findImageBlobs(result.preview.rows) : [];
+        if (result.preview) {
+            result.preview.rows = encodeRowBlobs(result.preview.rows, blobEncoding);
+        }
+        
+        return createMcpSuccessResponse(formatWriteResult(result), formatImageContent(images));
+    } catch (error) {
+        return createMcpErrorResponse(`Error: ${error.message}`);
+    }
+}
+
 /**
  * Handle list_tables tool request
  * @param {Object} args - Tool arguments
@@ -106,11 +280,10 @@ export async function handleListTables(args) {
     try {
         validateArguments(args);
         
-        const { database_path, table_names } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { table_names } = args;
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
-        const tables = await getTableListFromDatabase(dbPath, password, table_names);
+        const tables = await getTableListFromDatabase(dbPath, connection, table_names);
         const responseText = formatTableList(tables);
         
         return createMcpSuccessResponse(responseText);
@@ -129,11 +302,10 @@ export async function handleGetTableSchema(args) {
         validateArguments(args);
         validateTableName(args.table_name);
         
-        const { database_path, table_name } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { table_name } = args;
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
-        const schema = await getTableSchemaFromDatabase(dbPath, password, table_name);
+        const schema = await getTableSchemaFromDatabase(dbPath, connection, table_name);
         const responseText = formatTableSchema(schema);
         
         return createMcpSuccessResponse(responseText);
@@ -152,11 +324,10 @@ export async function handleListColumns(args) {
         validateArguments(args);
         validateTableName(args.table_name);
         
-        const { database_path, table_name } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { table_name } = args;
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
-        const schema = await getTableSchemaFromDatabase(dbPath, password, table_name);
+        const schema = await getTableSchemaFromDatabase(dbPath, connection, table_name);
         const responseText = formatTableSchema(schema);
         
         return createMcpSuccessResponse(responseText);
@@ -174,11 +345,10 @@ export async function handleGetForeignKeys(args) {
     try {
         validateArguments(args);
         
-        const { database_path, table_name } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { table_name } = args;
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
-        const foreignKeys = await getForeignKeysFromDatabase(dbPath, password, table_name);
+        const foreignKeys = await getForeignKeysFromDatabase(dbPath, connection, table_name);
         const responseText = formatForeignKeys(foreignKeys);
         
         return createMcpSuccessResponse(responseText);
@@ -196,11 +366,10 @@ export async function handleGetIndexes(args) {
     try {
         validateArguments(args);
         
-        const { database_path, table_name } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { table_name } = args;
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
-        const indexes = await getIndexesFromDatabase(dbPath, password, table_name);
+        const indexes = await getIndexesFromDatabase(dbPath, connection, table_name);
         const responseText = formatIndexes(indexes);
         
         return createMcpSuccessResponse(responseText);
@@ -218,11 +387,9 @@ export async function handleGetDatabaseInfo(args) {
     try {
         validateArguments(args);
         
-        const { database_path } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
-        const info = await getDatabaseInfoFromDatabase(dbPath, password);
+        const info = await getDatabaseInfoFromDatabase(dbPath, connection);
         const responseText = formatDatabaseInfo(info);
         
         return createMcpSuccessResponse(responseText);
@@ -241,11 +408,10 @@ export async function handleGetTableInfo(args) {
         validateArguments(args);
         validateTableName(args.table_name);
         
-        const { database_path, table_name } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { table_name } = args;
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
-        const info = await getTableInfoFromDatabase(dbPath, password, table_name);
+        const info = await getTableInfoFromDatabase(dbPath, connection, table_name);
         const responseText = formatTableInfo(info);
         
         return createMcpSuccessResponse(responseText);
@@ -263,12 +429,13 @@ export async function handleTestConnection(args) {
     try {
         validateArguments(args);
         
-        const { database_path } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
-        await testDatabaseConnection(dbPath, password);
-        const responseText = 'Database connection successful.';
+        const result = await testDatabaseConnection(dbPath, connection);
+        let responseText = 'Database connection successful.';
+        if (result.key_label) {
+            responseText += ` Unlocked with key "${result.key_label}".`;
+        }
         
         return createMcpSuccessResponse(responseText);
     } catch (error) {
@@ -276,6 +443,21 @@ export async function handleTestConnection(args) {
     }
 }
 
+/**
+ * Handle list_databases tool request
+ * @returns {Promise<Object>} MCP response object
+ */
+export async function handleListDatabases() {
+    try {
+        const databases = await listRegisteredDatabases();
+        const responseText = formatDatabaseList(databases);
+        
+        return createMcpSuccessResponse(responseText);
+    } catch (error) {
+        return createMcpErrorResponse(`Error: ${error.message}`);
+    }
+}
+
 /**
  * Handle explain_query tool request
  * @param {Object} args - Tool arguments
@@ -286,11 +468,12 @@ export async function handleExplainQuery(args) {
         validateArguments(args);
         validateQuery(args.query);
         
-        const { database_path, query } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { query } = args;
+        const target = resolveDatabaseTarget(args);
         
-        const plan = await explainQueryPlanFromDatabase(dbPath, password, query);
+        const plan = await recordQuery({ tool: 'explain_query', target, query }, () => (
+            explainQueryPlanFromDatabase(target.dbPath, target.connection, query)
+        ), steps => steps.length);
         const responseText = formatQueryPlan(plan);
         
         return createMcpSuccessResponse(responseText);
@@ -309,12 +492,11 @@ export async function handleValidateQuerySyntax(args) {
         validateArguments(args);
         validateQuery(args.query);
         
-        const { database_path, query } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { query } = args;
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
         // Try to explain the query - if it succeeds, syntax is valid
-        await explainQueryPlanFromDatabase(dbPath, password, query);
+        await explainQueryPlanFromDatabase(dbPath, connection, query);
         const responseText = 'Query syntax is valid.';
         
         return createMcpSuccessResponse(responseText);
@@ -332,15 +514,14 @@ export async function handleSuggestQuery(args) {
     try {
         validateArguments(args);
         
-        const { database_path, table_name, intent } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { table_name, intent } = args;
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
         let suggestions = [];
         
         if (table_name) {
             // Get table schema to build suggestions
-            const schema = await getTableSchemaFromDatabase(dbPath, password, table_name);
+            const schema = await getTableSchemaFromDatabase(dbPath, connection, table_name);
             const columns = schema.columns.map(c => c.name).join(', ');
             
             switch (intent) {
@@ -405,20 +586,27 @@ export async function handleSuggestQuery(args) {
 /**
  * Handle get_table_statistics tool request
  * @param {Object} args - Tool arguments
+ * @param {Object} [extra] - Request context from the MCP SDK; its `signal` aborts on notifications/cancelled
  * @returns {Promise<Object>} MCP response object
  */
-export async function handleGetTableStatistics(args) {
+export async function handleGetTableStatistics(args, extra = {}) {
     try {
         validateArguments(args);
         validateTableName(args.table_name);
         
-        const { database_path, table_name, max_sample_size, timeout_ms } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { table_name, max_sample_size, timeout_ms, large_integers } = args;
+        const target = resolveDatabaseTarget(args);
         
         const maxSample = validateNumericParameter(max_sample_size, 'max_sample_size', 1, 1000000) || 10000;
-        
-        const stats = await getTableStatisticsFromDatabase(dbPath, password, table_name, maxSample);
+        const largeIntegers = resolveLargeIntegers(large_integers);
+        const timeoutMs = resolveQueryTimeout(timeout_ms);
+        
+        const stats = await recordQuery({ tool: 'get_table_statistics', target, arguments: { table_name } }, () => (
+            getTableStatisticsFromDatabase(target.dbPath, target.connection, table_name, maxSample, largeIntegers, {
+                timeoutMs,
+                signal: extra.signal,
+            })
+        ));
         const responseText = formatTableStatistics(stats);
         
         return createMcpSuccessResponse(responseText);
@@ -435,19 +623,23 @@ export async function handleGetTableStatistics(args) {
 export async function handleSampleTableData(args) {
     try {
         validateArguments(args);
-        validateTableName(args.table_name);
         
-        const { database_path, table_name, limit, offset, columns } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
-        
-        const limitNum = validateNumericParameter(limit, 'limit', 1, 10000) || 10;
-        const offsetNum = validateNumericParameter(offset, 'offset', 0, Number.MAX_SAFE_INTEGER) || 0;
-        
-        const sample = await sampleTableDataFromDatabase(dbPath, password, table_name, limitNum, offsetNum, columns);
-        const responseText = formatSampleData(sample);
-        
-        return createMcpSuccessResponse(responseText);
+        const { dbPath, connection } = resolveDatabaseTarget(args);
+        // A cursor supplies the table, columns and next offset
+        const { tableName, columns, limit, offset } = resolveSampleRequest(args, 10000, dbPath);
+        const blobEncoding = resolveBlobEncoding(args.blob_encoding);
+        const format = resolveOutputFormat(args.format);
+        const largeIntegers = resolveLargeIntegers(args.large_integers);
+        
+        const sample = await sampleTableDataFromDatabase(dbPath, connection, tableName, limit, offset, columns, largeIntegers);
+        const images = findImageBlobs(sample.rows);
+        sample.rows = encodeRowBlobs(sample.rows, blobEncoding);
+        const { text, notes } = formatSampleDataAs(sample, format);
+        
+        return createMcpSuccessResponse(text, [
+            ...(notes ? [{ type: 'text', text: notes }] : []),
+            ...formatImageContent(images),
+        ]);
     } catch (error) {
         return createMcpErrorResponse(`Error: ${error.message}`);
     }
@@ -464,13 +656,15 @@ export async function handleGetColumnStatistics(args) {
         validateTableName(args.table_name);
         validateColumnName(args.column_name);
         
-        const { database_path, table_name, column_name, max_sample_size } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { table_name, column_name, max_sample_size, large_integers } = args;
+        const target = resolveDatabaseTarget(args);
         
         const maxSample = validateNumericParameter(max_sample_size, 'max_sample_size', 1, 1000000) || 10000;
+        const largeIntegers = resolveLargeIntegers(large_integers);
         
-        const stats = await getColumnStatisticsFromDatabase(dbPath, password, table_name, column_name, maxSample);
+        const stats = await recordQuery({ tool: 'get_column_statistics', target, arguments: { table_name, column_name } }, () => (
+            getColumnStatisticsFromDatabase(target.dbPath, target.connection, table_name, column_name, maxSample, largeIntegers)
+        ));
         const responseText = formatColumnStatistics(stats);
         
         return createMcpSuccessResponse(responseText);
@@ -489,11 +683,10 @@ export async function handleSearchTables(args) {
         validateArguments(args);
         validatePattern(args.pattern);
         
-        const { database_path, pattern } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { pattern } = args;
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
-        const results = await searchTablesInDatabase(dbPath, password, pattern);
+        const results = await searchTablesInDatabase(dbPath, connection, pattern);
         const responseText = formatSearchResults(results, 'tables');
         
         return createMcpSuccessResponse(responseText);
@@ -512,11 +705,10 @@ export async function handleSearchColumns(args) {
         validateArguments(args);
         validatePattern(args.pattern);
         
-        const { database_path, pattern } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { pattern } = args;
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
-        const results = await searchColumnsInDatabase(dbPath, password, pattern);
+        const results = await searchColumnsInDatabase(dbPath, connection, pattern);
         const responseText = formatSearchResults(results, 'columns');
         
         return createMcpSuccessResponse(responseText);
@@ -535,11 +727,10 @@ export async function handleFindRelatedTables(args) {
         validateArguments(args);
         validateTableName(args.table_name);
         
-        const { database_path, table_name } = args;
-        const dbPath = resolveDatabasePath(database_path);
-        const password = getDatabasePassword();
+        const { table_name } = args;
+        const { dbPath, connection } = resolveDatabaseTarget(args);
         
-        const related = await findRelatedTablesInDatabase(dbPath, password, table_name);
+        const related = await findRelatedTablesInDatabase(dbPath, connection, table_name);
         const responseText = formatRelatedTables(related);
         
         return createMcpSuccessResponse(responseText);
@@ -548,6 +739,195 @@ export async function handleFindRelatedTables(args) {
     }
 }
 
+/**
+ * Handle save_query tool request
+ * @param {Object} args - Tool arguments
+ * @param {string} args.name - Saved query name
+ * @param {string} args.description - What the query is for
+ * @param {string} args.query - Read-only SQL using named placeholders
+ * @param {Array<Object>} [args.parameters] - Parameter definitions, one per placeholder
+ * @param {boolean} [args.overwrite] - Replace an existing query with the same name
+ * @returns {Promise<Object>} MCP response object
+ */
+export async function handleSaveQuery(args) {
+    try {
+        validateArguments(args);
+        
+        const definition = validateSavedQueryDefinition(args);
+        const target = resolveDatabaseTarget(args);
+        
+        const { savedQuery, replaced } = saveQuery(target, definition, args.overwrite === true);
+        
+        return createMcpSuccessResponse(formatSavedQuery(savedQuery, `${replaced ? 'Replaced' : 'Saved'} query: ${savedQuery.name}`));
+    } catch (error) {
+        return createMcpErrorResponse(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Handle list_saved_queries tool request
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} MCP response object
+ */
+export async function handleListSavedQueries(args) {
+    try {
+        const target = resolveDatabaseTarget(args || {});
+        
+        return createMcpSuccessResponse(formatSavedQueryList(listSavedQueries(target)));
+    } catch (error) {
+        return createMcpErrorResponse(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Handle get_saved_query tool request
+ * @param {Object} args - Tool arguments
+ * @param {string} args.name - Saved query name
+ * @returns {Promise<Object>} MCP response object
+ */
+export async function handleGetSavedQuery(args) {
+    try {
+        validateArguments(args);
+        validateSavedQueryName(args.name);
+        
+        const target = resolveDatabaseTarget(args);
+        
+        return createMcpSuccessResponse(formatSavedQuery(getSavedQuery(target, args.name)));
+    } catch (error) {
+        return createMcpErrorResponse(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Handle delete_saved_query tool request
+ * @param {Object} args - Tool arguments
+ * @param {string} args.name - Saved query name
+ * @returns {Promise<Object>} MCP response object
+ */
+export async function handleDeleteSavedQuery(args) {
+    try {
+        validateArguments(args);
+        validateSavedQueryName(args.name);
+        
+        const target = resolveDatabaseTarget(args);
+        
+        return createMcpSuccessResponse(formatSavedQuery(deleteSavedQuery(target, args.name), `Deleted saved query: ${args.name}`));
+    } catch (error) {
+        return createMcpErrorResponse(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Handle run_saved_query tool request
+ * @param {Object} args - Tool arguments
+ * @param {string} args.name - Saved query name
+ * @param {Object} [args.params] - Values keyed by parameter name
+ * @param {number} [args.timeout_ms] - Lower the configured query timeout for this call
+ * @param {boolean} [args.force] - Run a query the cost guard holds back under the confirm policy
+ * @param {number} [args.max_rows] - Rows to read from a query without a LIMIT (default SQLCIPHER_AUTO_LIMIT)
+ * @param {number} [args.max_output_tokens] - Shrink the response to about this many tokens
+ * @param {number} [args.max_bytes] - Shrink the response to this many bytes
+ * @param {Object} [extra] - Request context from the MCP SDK; its `signal` aborts on notifications/cancelled
+ * @returns {Promise<Object>} MCP response object
+ */
+export async function handleRunSavedQuery(args, extra = {}) {
+    try {
+        validateArguments(args);
+        validateSavedQueryName(args.name);
+        
+        const timeoutMs = resolveQueryTimeout(args.timeout_ms);
+        const blobEncoding = resolveBlobEncoding(args.blob_encoding);
+        const largeIntegers = resolveLargeIntegers(args.large_integers);
+        const autoLimit = resolveAutoLimit(args.max_rows);
+        const maxBytes = resolveOutputBudget(args);
+        const target = resolveDatabaseTarget(args);
+        
+        const result = await runSavedQuery(target, args.name, args.params, {
+            timeoutMs,
+            signal: extra.signal,
+            autoLimit,
+            largeIntegers,
+            force: args.force === true,
+        });
+        
+        const images = findImageBlobs(result.rows);
+        result.rows = encodeRowBlobs(result.rows, blobEncoding);
+        
+        // The heading and image captions count against the output budget too
+        const heading = `Saved query: ${result.saved_query.name} - ${result.saved_query.description}\n`;
+        const imageContent = formatImageContent(images);
+        const responseText = heading +
+            formatQueryResults(result, { maxBytes: remainingBudget(maxBytes, [heading, ...imageContent]) });
+        
+        return createMcpSuccessResponse(responseText, imageContent);
+    } catch (error) {
+        return createMcpErrorResponse(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Handle query_history tool request
+ * @param {Object} args - Tool arguments (filters; all optional)
+ * @returns {Promise<Object>} MCP response object
+ */
+export async function handleQueryHistory(args) {
+    try {
+        const filters = resolveHistoryFilters(args || {});
+        
+        return createMcpSuccessResponse(formatQueryHistory(searchQueryHistory(filters)));
+    } catch (error) {
+        return createMcpErrorResponse(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Handle replay_query tool request
+ * Runs a history entry again through the tool that recorded it; the replay is recorded too.
+ * @param {Object} args - Tool arguments
+ * @param {string} args.id - History entry id
+ * @param {Object} [extra] - Request context from the MCP SDK
+ * @returns {Promise<Object>} MCP response object of the replayed tool
+ */
+export async function handleReplayQuery(args, extra = {}) {
+    try {
+        validateArguments(args);
+        if (!args.id || typeof args.id !== 'string') {
+            throw new Error('id is required and must be a string (see query_history)');
+        }
+        
+        const entry = getHistoryEntry(args.id);
+        const replayArgs = getReplayArguments(entry);
+        
+        switch (entry.tool) {
+            case 'execute_query':
+                return await handleExecuteQuery(replayArgs, extra);
+            case 'explain_query':
+                return await handleExplainQuery(replayArgs);
+            case 'get_table_statistics':
+                return await handleGetTableStatistics(replayArgs, extra);
+            default:
+                return await handleGetColumnStatistics(replayArgs);
+        }
+    } catch (error) {
+        return createMcpErrorResponse(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Handle cache_stats tool request
+ * @param {Object} args - Tool arguments
+ * @param {boolean} [args.clear] - Empty the cache and reset its counters first
+ * @returns {Promise<Object>} MCP response object
+ */
+export async function handleCacheStats(args) {
+    try {
+        const cleared = args && args.clear === true ? clearResultCache() : null;
+        return createMcpSuccessResponse(formatCacheStats(getCacheStats(), cleared));
+    } catch (error) {
+        return createMcpErrorResponse(`Error: ${error.message}`);
+    }
+}
+
 /**
  * Handle unknown tool request
  * @param {string} toolName - Name of the unknown tool
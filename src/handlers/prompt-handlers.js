@@ -3,9 +3,11 @@
  * Handlers for MCP prompt requests
  */
 
+import { BLOB_CONFIG } from '../config/constants.js';
 import { PROMPT_DEFINITIONS } from '../definitions/prompts.js';
-import { getDatabasePassword } from '../config/environment.js';
-import { resolveDatabasePath } from '../utils/validators.js';
+import { resolveAutoLimit, resolveDatabaseTarget, resolveOutputBudget } from '../utils/validators.js';
+import { formatQueryResults } from '../utils/formatters.js';
+import { encodeRowBlobs } from '../utils/blobs.js';
 import {
     getTableListFromDatabase,
     getTableSchemaFromDatabase,
@@ -15,6 +17,36 @@ import {
     explainQueryPlanFromDatabase,
     getTableStatisticsFromDatabase
 } from '../services/database-service.js';
+import { listSavedQueryStores, runSavedQuery } from '../services/saved-queries.js';
+
+/**
+ * Prefix of the prompts generated from saved queries: `saved_query:<store>:<name>`
+ */
+export const SAVED_QUERY_PROMPT_PREFIX = 'saved_query:';
+
+/**
+ * Build the prompts for every saved query
+ * Each saved query becomes a prompt whose arguments are its parameters.
+ * Unreadable store files are skipped, so a broken file never hides the built-in prompts.
+ * @returns {Array<Object>} Prompt definitions
+ */
+function getSavedQueryPrompts() {
+    const prompts = [];
+    for (const store of listSavedQueryStores()) {
+        for (const savedQuery of store.queries) {
+            prompts.push({
+                name: `${SAVED_QUERY_PROMPT_PREFIX}${store.key}:${savedQuery.name}`,
+                description: `Saved query on ${store.database ? `database "${store.database}"` : store.database_path}: ${savedQuery.description}`,
+                arguments: savedQuery.parameters.map(parameter => ({
+                    name: parameter.name,
+                    description: `${parameter.description || parameter.name} (${parameter.type})`,
+                    required: parameter.required && parameter.default === undefined,
+                })),
+            });
+        }
+    }
+    return prompts;
+}
 
 /**
  * Handle list prompts request
@@ -22,7 +54,7 @@ import {
  */
 export function handleListPrompts() {
     return {
-        prompts: Object.values(PROMPT_DEFINITIONS),
+        prompts: [...Object.values(PROMPT_DEFINITIONS), ...getSavedQueryPrompts()],
     };
 }
 
@@ -32,11 +64,9 @@ export function handleListPrompts() {
  * @returns {Promise<Object>} Prompt response
  */
 export async function handleExploreDatabaseSchemaPrompt(args) {
-    const { database_path } = args || {};
-    const dbPath = resolveDatabasePath(database_path);
-    const password = getDatabasePassword();
+    const { dbPath, connection } = resolveDatabaseTarget(args);
     
-    const tables = await getTableListFromDatabase(dbPath, password);
+    const tables = await getTableListFromDatabase(dbPath, connection);
     
     let messages = [
         {
@@ -69,7 +99,7 @@ export async function handleExploreDatabaseSchemaPrompt(args) {
  * @returns {Promise<Object>} Prompt response
  */
 export async function handleDescribeTableStructurePrompt(args) {
-    const { database_path, table_name } = args || {};
+    const { table_name } = args || {};
     
     if (!table_name) {
         return {
@@ -92,12 +122,11 @@ export async function handleDescribeTableStructurePrompt(args) {
         };
     }
     
-    const dbPath = resolveDatabasePath(database_path);
-    const password = getDatabasePassword();
+    const { dbPath, connection } = resolveDatabaseTarget(args);
     
-    const schema = await getTableSchemaFromDatabase(dbPath, password, table_name);
-    const info = await getTableInfoFromDatabase(dbPath, password, table_name);
-    const sample = await sampleTableDataFromDatabase(dbPath, password, table_name, 5, 0);
+    const schema = await getTableSchemaFromDatabase(dbPath, connection, table_name);
+    const info = await getTableInfoFromDatabase(dbPath, connection, table_name);
+    const sample = await sampleTableDataFromDatabase(dbPath, connection, table_name, 5, 0);
     
     let description = `Table: ${table_name}\n\n`;
     description += `Type: ${info.type}\n`;
@@ -162,11 +191,10 @@ export async function handleDescribeTableStructurePrompt(args) {
  * @returns {Promise<Object>} Prompt response
  */
 export async function handleFindDataRelationshipsPrompt(args) {
-    const { database_path, table_name } = args || {};
-    const dbPath = resolveDatabasePath(database_path);
-    const password = getDatabasePassword();
+    const { table_name } = args || {};
+    const { dbPath, connection } = resolveDatabaseTarget(args);
     
-    const foreignKeys = await getForeignKeysFromDatabase(dbPath, password, table_name);
+    const foreignKeys = await getForeignKeysFromDatabase(dbPath, connection, table_name);
     
     let description = table_name 
         ? `Foreign key relationships for table "${table_name}":\n\n`
@@ -221,7 +249,7 @@ export async function handleFindDataRelationshipsPrompt(args) {
  * @returns {Promise<Object>} Prompt response
  */
 export async function handleGenerateQueryTemplatePrompt(args) {
-    const { database_path, table_name, intent } = args || {};
+    const { table_name, intent } = args || {};
     
     if (!table_name) {
         return {
@@ -244,10 +272,9 @@ export async function handleGenerateQueryTemplatePrompt(args) {
         };
     }
     
-    const dbPath = resolveDatabasePath(database_path);
-    const password = getDatabasePassword();
+    const { dbPath, connection } = resolveDatabaseTarget(args);
     
-    const schema = await getTableSchemaFromDatabase(dbPath, password, table_name);
+    const schema = await getTableSchemaFromDatabase(dbPath, connection, table_name);
     const columns = schema.columns.map(c => c.name).join(', ');
     
     let templates = [];
@@ -343,7 +370,7 @@ export async function handleGenerateQueryTemplatePrompt(args) {
  * @returns {Promise<Object>} Prompt response
  */
 export async function handleOptimizeQueryPrompt(args) {
-    const { database_path, query } = args || {};
+    const { query } = args || {};
     
     if (!query) {
         return {
@@ -366,10 +393,9 @@ export async function handleOptimizeQueryPrompt(args) {
         };
     }
     
-    const dbPath = resolveDatabasePath(database_path);
-    const password = getDatabasePassword();
+    const { dbPath, connection } = resolveDatabaseTarget(args);
     
-    const plan = await explainQueryPlanFromDatabase(dbPath, password, query);
+    const plan = await explainQueryPlanFromDatabase(dbPath, connection, query);
     
     let response = `Query Execution Plan:\n\n`;
     plan.forEach(step => {
@@ -420,7 +446,7 @@ export async function handleOptimizeQueryPrompt(args) {
  * @returns {Promise<Object>} Prompt response
  */
 export async function handleAnalyzeTableDataPrompt(args) {
-    const { database_path, table_name } = args || {};
+    const { table_name } = args || {};
     
     if (!table_name) {
         return {
@@ -443,11 +469,10 @@ export async function handleAnalyzeTableDataPrompt(args) {
         };
     }
     
-    const dbPath = resolveDatabasePath(database_path);
-    const password = getDatabasePassword();
+    const { dbPath, connection } = resolveDatabaseTarget(args);
     
-    const stats = await getTableStatisticsFromDatabase(dbPath, password, table_name);
-    const sample = await sampleTableDataFromDatabase(dbPath, password, table_name, 5, 0);
+    const stats = await getTableStatisticsFromDatabase(dbPath, connection, table_name);
+    const sample = await sampleTableDataFromDatabase(dbPath, connection, table_name, 5, 0);
     
     let response = `Data Analysis for table "${table_name}":\n\n`;
     response += `Total Rows: ${stats.total_rows}\n`;
@@ -510,7 +535,7 @@ export async function handleAnalyzeTableDataPrompt(args) {
  * @returns {Promise<Object>} Prompt response
  */
 export async function handleCompareTablesPrompt(args) {
-    const { database_path, table1_name, table2_name } = args || {};
+    const { table1_name, table2_name } = args || {};
     
     if (!table1_name || !table2_name) {
         return {
@@ -533,13 +558,12 @@ export async function handleCompareTablesPrompt(args) {
         };
     }
     
-    const dbPath = resolveDatabasePath(database_path);
-    const password = getDatabasePassword();
+    const { dbPath, connection } = resolveDatabaseTarget(args);
     
-    const schema1 = await getTableSchemaFromDatabase(dbPath, password, table1_name);
-    const schema2 = await getTableSchemaFromDatabase(dbPath, password, table2_name);
-    const info1 = await getTableInfoFromDatabase(dbPath, password, table1_name);
-    const info2 = await getTableInfoFromDatabase(dbPath, password, table2_name);
+    const schema1 = await getTableSchemaFromDatabase(dbPath, connection, table1_name);
+    const schema2 = await getTableSchemaFromDatabase(dbPath, connection, table2_name);
+    const info1 = await getTableInfoFromDatabase(dbPath, connection, table1_name);
+    const info2 = await getTableInfoFromDatabase(dbPath, connection, table2_name);
     
     let response = `Comparison of "${table1_name}" and "${table2_name}":\n\n`;
     
@@ -599,3 +623,46 @@ export async function handleCompareTablesPrompt(args) {
         ]
     };
 }
+
+/**
+ * Handle a saved query prompt (`saved_query:<store>:<name>`)
+ * Runs the saved query with the prompt arguments as its parameters.
+ * @param {string} promptName - Prompt name
+ * @param {Object} args - Prompt arguments (parameter values, as strings)
+ * @returns {Promise<Object>} Prompt response
+ */
+export async function handleSavedQueryPrompt(promptName, args) {
+    const rest = promptName.slice(SAVED_QUERY_PROMPT_PREFIX.length);
+    const separator = rest.lastIndexOf(':');
+    const key = rest.slice(0, separator);
+    const name = rest.slice(separator + 1);
+    
+    const store = listSavedQueryStores().find(s => s.key === key);
+    if (separator === -1 || !store || !store.queries.some(q => q.name === name)) {
+        throw new Error(`Unknown prompt: ${promptName}`);
+    }
+    
+    const target = resolveDatabaseTarget(store.database ? { database: store.database } : { database_path: store.database_path });
+    const result = await runSavedQuery(target, name, args, { autoLimit: resolveAutoLimit() });
+    result.rows = encodeRowBlobs(result.rows, BLOB_CONFIG.defaultEncoding);
+    
+    return {
+        messages: [
+            {
+                role: 'user',
+                content: {
+                    type: 'text',
+                    text: `Run the saved query "${name}" (${result.saved_query.description})` +
+                          (Object.keys(result.params).length > 0 ? ` with ${JSON.stringify(result.params)}` : '')
+                }
+            },
+            {
+                role: 'assistant',
+                content: {
+                    type: 'text',
+                    text: formatQueryResults(result, { maxBytes: resolveOutputBudget({}) })
+                }
+            }
+        ]
+    };
+}
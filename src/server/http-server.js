@@ -10,6 +10,8 @@ import {
     handleHealthCheck, 
     handleInfo, 
     handleQuery,
+    handleExecuteBatch,
+    handleExecuteWrite,
     handleListTables,
     handleGetTableSchema,
     handleListColumns,
@@ -19,6 +21,7 @@ import {
     handleGetDatabaseInfo,
     handleGetTableInfo,
     handleTestConnection,
+    handleListDatabases,
     handleExplainQuery,
     handleValidateQuerySyntax,
     handleSuggestQuery,
@@ -26,8 +29,17 @@ import {
     handleSampleTableData,
     handleGetColumnStatistics,
     handleSearchTables,
-    handleSearchColumns
+    handleSearchColumns,
+    handleSaveQuery,
+    handleListSavedQueries,
+    handleGetSavedQuery,
+    handleDeleteSavedQuery,
+    handleRunSavedQuery,
+    handleQueryHistory,
+    handleReplayQuery,
+    handleCacheStats
 } from '../handlers/http-handlers.js';
+import { closeWorkerPool } from '../services/worker-pool.js';
 
 /**
  * Create and configure Express app
@@ -45,6 +57,8 @@ export function createHttpApp() {
     
     // Query Execution
     app.post('/api/query', handleQuery);
+    app.post('/api/tool/execute_batch', handleExecuteBatch);
+    app.post('/api/tool/execute_write', handleExecuteWrite);
     
     // Schema Exploration Routes
     app.post('/api/tool/list_tables', handleListTables);
@@ -58,6 +72,7 @@ export function createHttpApp() {
     app.post('/api/tool/get_database_info', handleGetDatabaseInfo);
     app.post('/api/tool/get_table_info', handleGetTableInfo);
     app.post('/api/tool/test_connection', handleTestConnection);
+    app.post('/api/tool/list_databases', handleListDatabases);
     
     // Query Helper Routes
     app.post('/api/tool/explain_query', handleExplainQuery);
@@ -73,6 +88,20 @@ export function createHttpApp() {
     app.post('/api/tool/search_tables', handleSearchTables);
     app.post('/api/tool/search_columns', handleSearchColumns);
     
+    // Saved Query Routes
+    app.post('/api/tool/save_query', handleSaveQuery);
+    app.post('/api/tool/list_saved_queries', handleListSavedQueries);
+    app.post('/api/tool/get_saved_query', handleGetSavedQuery);
+    app.post('/api/tool/delete_saved_query', handleDeleteSavedQuery);
+    app.post('/api/tool/run_saved_query', handleRunSavedQuery);
+    
+    // Query History Routes
+    app.post('/api/tool/query_history', handleQueryHistory);
+    app.post('/api/tool/replay_query', handleReplayQuery);
+    
+    // Result Cache Routes
+    app.post('/api/tool/cache_stats', handleCacheStats);
+    
     return app;
 }
 
@@ -86,13 +115,13 @@ export async function startHttpServer(port) {
     const serverPort = port || getPort(HTTP_CONFIG.defaultPort);
     
     return new Promise((resolve) => {
-        app.listen(serverPort, () => {
+        const server = app.listen(serverPort, () => {
             console.log(`SQLCipher MCP HTTP Server running on http://localhost:${serverPort}`);
             console.log(`Health check: http://localhost:${serverPort}/health`);
             console.log(`API info: http://localhost:${serverPort}/api/info`);
             
             if (!isPasswordConfigured()) {
-                console.warn('\n⚠️  Warning: SQLCIPHER_PASSWORD environment variable is not set.');
+                console.warn('\n⚠️  Warning: No database password is configured (SQLCIPHER_PASSWORD, SQLCIPHER_PASSWORD_FILE or SQLCIPHER_PASSWORD_COMMAND).');
                 console.warn('   Database queries will fail until this is configured.\n');
             } else {
                 console.log('✅ Database password is configured.\n');
@@ -100,5 +129,13 @@ export async function startHttpServer(port) {
             
             resolve();
         });
+        
+        // Stop accepting requests, close pooled connections and stop the database workers on shutdown
+        const shutdown = () => {
+            server.close();
+            closeWorkerPool().finally(() => process.exit(0));
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
     });
 }
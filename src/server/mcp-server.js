@@ -17,6 +17,8 @@ import { getConfigurationWarnings } from '../config/environment.js';
 import { 
     handleListTools, 
     handleExecuteQuery,
+    handleExecuteBatch,
+    handleExecuteWrite,
     handleListTables,
     handleGetTableSchema,
     handleListColumns,
@@ -25,6 +27,7 @@ import {
     handleGetDatabaseInfo,
     handleGetTableInfo,
     handleTestConnection,
+    handleListDatabases,
     handleExplainQuery,
     handleValidateQuerySyntax,
     handleSuggestQuery,
@@ -34,6 +37,14 @@ import {
     handleSearchTables,
     handleSearchColumns,
     handleFindRelatedTables,
+    handleSaveQuery,
+    handleListSavedQueries,
+    handleGetSavedQuery,
+    handleDeleteSavedQuery,
+    handleRunSavedQuery,
+    handleQueryHistory,
+    handleReplayQuery,
+    handleCacheStats,
     handleUnknownTool 
 } from '../handlers/mcp-handlers.js';
 
@@ -45,8 +56,11 @@ import {
     handleGenerateQueryTemplatePrompt,
     handleOptimizeQueryPrompt,
     handleAnalyzeTableDataPrompt,
-    handleCompareTablesPrompt
+    handleCompareTablesPrompt,
+    handleSavedQueryPrompt,
+    SAVED_QUERY_PROMPT_PREFIX
 } from '../handlers/prompt-handlers.js';
+import { closeWorkerPool } from '../services/worker-pool.js';
 
 /**
  * Create and configure MCP server
@@ -97,6 +111,9 @@ export function createMcpServer() {
                 case 'compare_tables':
                     return await handleCompareTablesPrompt(args);
                 default:
+                    if (name.startsWith(SAVED_QUERY_PROMPT_PREFIX)) {
+                        return await handleSavedQueryPrompt(name, args);
+                    }
                     throw new Error(`Unknown prompt: ${name}`);
             }
         } catch (error) {
@@ -115,12 +132,16 @@ export function createMcpServer() {
     });
     
     // Register tool execution handler
-    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
         const { name, arguments: args } = request.params;
         
         switch (name) {
             case 'execute_query':
-                return await handleExecuteQuery(args);
+                return await handleExecuteQuery(args, extra);
+            case 'execute_batch':
+                return await handleExecuteBatch(args, extra);
+            case 'execute_write':
+                return await handleExecuteWrite(args, extra);
             case 'list_tables':
                 return await handleListTables(args);
             case 'get_table_schema':
@@ -137,6 +158,8 @@ export function createMcpServer() {
                 return await handleGetTableInfo(args);
             case 'test_connection':
                 return await handleTestConnection(args);
+            case 'list_databases':
+                return await handleListDatabases();
             case 'explain_query':
                 return await handleExplainQuery(args);
             case 'validate_query_syntax':
@@ -144,7 +167,7 @@ export function createMcpServer() {
             case 'suggest_query':
                 return await handleSuggestQuery(args);
             case 'get_table_statistics':
-                return await handleGetTableStatistics(args);
+                return await handleGetTableStatistics(args, extra);
             case 'sample_table_data':
                 return await handleSampleTableData(args);
             case 'get_column_statistics':
@@ -155,6 +178,22 @@ export function createMcpServer() {
                 return await handleSearchColumns(args);
             case 'find_related_tables':
                 return await handleFindRelatedTables(args);
+            case 'save_query':
+                return await handleSaveQuery(args);
+            case 'list_saved_queries':
+                return await handleListSavedQueries(args);
+            case 'get_saved_query':
+                return await handleGetSavedQuery(args);
+            case 'delete_saved_query':
+                return await handleDeleteSavedQuery(args);
+            case 'run_saved_query':
+                return await handleRunSavedQuery(args, extra);
+            case 'query_history':
+                return await handleQueryHistory(args);
+            case 'replay_query':
+                return await handleReplayQuery(args, extra);
+            case 'cache_stats':
+                return await handleCacheStats(args);
             default:
                 return handleUnknownTool(name);
         }
@@ -195,11 +234,15 @@ export async function startMcpServer() {
     // Keep the process alive - keep stdin open to prevent the process from exiting
     process.stdin.resume();
     
+    // Close pooled connections and stop the database workers before exiting
+    const shutdown = () => {
+        closeWorkerPool().finally(() => process.exit(0));
+    };
+    
     // Handle stdin end event (when client disconnects)
-    process.stdin.on('end', () => {
-        // When stdin ends, exit gracefully
-        process.exit(0);
-    });
+    process.stdin.on('end', shutdown);
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
     
     // Handle errors on stdin
     process.stdin.on('error', (error) => {
@@ -0,0 +1,267 @@
+/**
+ * Connection Pool
+ * Keeps unlocked database handles open between tool calls so SQLCipher's
+ * key derivation only runs once per database
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { POOL_CONFIG } from '../config/constants.js';
+import { getPoolIdleTimeout, getPoolMaxConnections } from '../config/environment.js';
+import { connectDatabase, closeConnection } from '../utils/database-operations.js';
+
+/**
+ * Open pool entries keyed by connection identity
+ * @type {Map<string, Object>}
+ */
+const entries = new Map();
+
+/**
+ * Callers waiting for a free slot when the pool is at capacity
+ * @type {Function[]}
+ */
+const waiters = [];
+
+/**
+ * Build the pool key for a connection
+ * Connections are shared only when path, key sources, cipher settings and access mode all
+ * match. The key is hashed so inline passwords are never held in plain text as a map key.
+ * Key sources are not read here: a pooled connection is reused without reading its keys again.
+ * @param {string} dbPath - Path to the database file
+ * @param {string|Object|undefined} connection - Password or connection options
+ * @returns {string} Pool key
+ */
+function createPoolKey(dbPath, connection) {
+    const { keys, password, cipher, readOnly } = typeof connection === 'object' && connection !== null
+        ? connection
+        : { password: connection };
+    const secrets = keys ? keys.map(key => [key.label, key.source]) : password || '';
+    
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([path.resolve(dbPath), secrets, cipher || null, readOnly !== false]))
+        .digest('hex');
+}
+
+/**
+ * Check whether an error means the handle should not be reused
+ * Interrupted handles are discarded too, so a timed-out or cancelled query
+ * leaves no state behind for the next caller.
+ * @param {Error} error - Error raised while using the connection
+ * @returns {boolean} True if the connection should be discarded
+ */
+function isConnectionBroken(error) {
+    if (error?.code === 'SQLITE_INTERRUPT') {
+        return true;
+    }
+    return /SQLITE_(NOTADB|CORRUPT|MISUSE|IOERR|CANTOPEN|INTERRUPT)|Database is closed/i.test(error?.message || '');
+}
+
+/**
+ * Wake the next caller waiting for pool capacity
+ */
+function notifyWaiter() {
+    const next = waiters.shift();
+    if (next) {
+        next();
+    }
+}
+
+/**
+ * Remove an entry from the pool and close its handle
+ * @param {Object} entry - Pool entry
+ * @returns {Promise<void>}
+ */
+async function removeEntry(entry) {
+    if (entries.get(entry.key) === entry) {
+        entries.delete(entry.key);
+    }
+    clearTimeout(entry.idleTimer);
+    notifyWaiter();
+
+    try {
+        const db = await entry.ready;
+        await closeConnection(db);
+    } catch (error) {
+        // Connection never opened - nothing to close
+    }
+}
+
+/**
+ * Evict the least recently used idle entry
+ * @returns {boolean} True if an entry was evicted
+ */
+function evictIdleEntry() {
+    let oldest = null;
+    for (const entry of entries.values()) {
+        if (entry.leases === 0 && (!oldest || entry.lastUsed < oldest.lastUsed)) {
+            oldest = entry;
+        }
+    }
+
+    if (!oldest) {
+        return false;
+    }
+
+    removeEntry(oldest);
+    return true;
+}
+
+/**
+ * Acquire a lease on a pooled connection, opening it if needed
+ * @param {string} dbPath - Path to the database file
+ * @param {Object} connection - Connection options (keys, cipher settings and access mode)
+ * @returns {Promise<Object>} Pool entry with an open `db` handle
+ */
+async function acquire(dbPath, connection) {
+    const key = createPoolKey(dbPath, connection);
+    let entry = entries.get(key);
+
+    if (!entry) {
+        const maxConnections = getPoolMaxConnections(POOL_CONFIG.maxConnections);
+        if (entries.size >= maxConnections && !evictIdleEntry()) {
+            // Every connection is busy - wait for one to be released
+            await new Promise((resolve) => waiters.push(resolve));
+            return acquire(dbPath, connection);
+        }
+
+        entry = {
+            key,
+            leases: 0,
+            lastUsed: Date.now(),
+            idleTimer: null,
+            db: null,
+            // Settles once the last exclusive operation queued on the handle has finished
+            exclusiveTail: Promise.resolve(),
+            // Shared operations started or waiting, each as a promise that never rejects
+            shared: new Set(),
+            ready: connectDatabase(dbPath, connection),
+        };
+        entries.set(key, entry);
+    }
+
+    entry.leases++;
+    clearTimeout(entry.idleTimer);
+
+    try {
+        entry.db = await entry.ready;
+    } catch (error) {
+        entry.leases--;
+        if (entries.get(key) === entry) {
+            entries.delete(key);
+            notifyWaiter();
+        }
+        throw error;
+    }
+
+    return entry;
+}
+
+/**
+ * Return a lease to the pool
+ * Idle connections are closed once the idle timeout expires
+ * @param {Object} entry - Pool entry
+ * @param {boolean} discard - Close the connection instead of keeping it
+ */
+function release(entry, discard = false) {
+    entry.leases--;
+    entry.lastUsed = Date.now();
+
+    if (discard) {
+        removeEntry(entry);
+        return;
+    }
+
+    if (entry.leases === 0) {
+        const idleTimeout = getPoolIdleTimeout(POOL_CONFIG.idleTimeoutMs);
+        entry.idleTimer = setTimeout(() => removeEntry(entry), idleTimeout);
+        // Idle connections must not keep the process alive
+        entry.idleTimer.unref();
+    }
+
+    notifyWaiter();
+}
+
+/**
+ * Run an operation on a pool entry once the handle is free for it
+ * Shared operations run side by side, but only between exclusive ones: an exclusive
+ * operation waits for everything queued before it and holds the handle until it ends,
+ * so no other call can read a transaction's uncommitted changes.
+ * @param {Object} entry - Pool entry
+ * @param {boolean} exclusive - Hold the handle to this operation alone
+ * @param {Function} operation - Async function receiving the database handle
+ * @returns {Promise<any>} Result of the operation
+ */
+async function runInTurn(entry, exclusive, operation) {
+    const ignore = () => {};
+
+    if (exclusive) {
+        const turn = Promise.all([entry.exclusiveTail, ...entry.shared]).then(() => operation(entry.db));
+        entry.exclusiveTail = turn.catch(ignore);
+        return turn;
+    }
+
+    const turn = entry.exclusiveTail.then(() => operation(entry.db));
+    const settled = turn.catch(ignore);
+    entry.shared.add(settled);
+    try {
+        return await turn;
+    } finally {
+        entry.shared.delete(settled);
+    }
+}
+
+/**
+ * Run an operation with a pooled database connection
+ * The connection stays open after the operation for reuse by later calls.
+ * Operations that open a transaction pass `exclusive`, so other calls wait
+ * until the transaction has ended.
+ * @param {string} dbPath - Path to the database file
+ * @param {Object} connection - Connection options (keys, cipher settings and access mode)
+ * @param {Function} operation - Async function receiving the database handle
+ * @param {Object} [options] - Lease options
+ * @param {boolean} [options.exclusive] - Hold the handle to this operation alone
+ * @returns {Promise<any>} Result of the operation
+ */
+export async function withConnection(dbPath, connection, operation, options = {}) {
+    const entry = await acquire(dbPath, connection);
+    let discard = false;
+
+    try {
+        return await runInTurn(entry, options.exclusive === true, operation);
+    } catch (error) {
+        discard = isConnectionBroken(error);
+        throw error;
+    } finally {
+        release(entry, discard);
+    }
+}
+
+/**
+ * Close every pooled connection
+ * Called on shutdown; in-flight leases are not waited for
+ * @returns {Promise<void>}
+ */
+export async function closeAllConnections() {
+    const open = [...entries.values()];
+    await Promise.all(open.map(removeEntry));
+}
+
+/**
+ * Get current pool usage
+ * @returns {{open: number, inUse: number, maxConnections: number}} Pool statistics
+ */
+export function getPoolStats() {
+    let inUse = 0;
+    for (const entry of entries.values()) {
+        if (entry.leases > 0) {
+            inUse++;
+        }
+    }
+
+    return {
+        open: entries.size,
+        inUse,
+        maxConnections: getPoolMaxConnections(POOL_CONFIG.maxConnections),
+    };
+}
@@ -1,395 +1,357 @@
 /**
  * Database Service
  * Service layer that wraps database operations with error handling
+ * The work runs as tasks on the worker pool, next to pooled connections that are reused across calls
  */
 
-import { 
-    connectDatabase, 
-    executeQuery, 
-    closeConnection,
-    getTableList,
-    getTableSchema,
-    getForeignKeys,
-    getIndexes,
-    getDatabaseInfo,
-    getTableInfo,
-    testConnection,
-    explainQueryPlan,
-    getTableStatistics,
-    sampleTableData,
-    getColumnStatistics,
-    searchTables,
-    searchColumns,
-    findRelatedTables
-} from '../utils/database-operations.js';
+import { runDatabaseTask } from './worker-pool.js';
+import { normalizeSql, withResultCache, invalidateResultCache } from './result-cache.js';
+import { getRegisteredDatabases, describeKeySource } from '../config/database-registry.js';
+import { resolveDatabaseTarget } from '../utils/validators.js';
+import { encodeCursor } from '../utils/cursor.js';
+import { COST_GUARD_CONFIG } from '../config/constants.js';
+import { getCostGuardSettingsFromEnvironment } from '../config/environment.js';
+import { getCostGuardFromConfigFile } from '../config/config-file.js';
+
+/**
+ * Get the query cost guard settings
+ * Environment variables win over the "cost_guard" section of the config file.
+ * @returns {{policy: string, maxScanRows: number}} Settings
+ * @throws {Error} If the policy is not one of COST_GUARD_CONFIG.policies
+ */
+function getCostGuardSettings() {
+    const settings = { ...getCostGuardFromConfigFile(), ...getCostGuardSettingsFromEnvironment() };
+    const policy = settings.policy || COST_GUARD_CONFIG.defaultPolicy;
+    if (!COST_GUARD_CONFIG.policies.includes(policy)) {
+        throw new Error(`Invalid cost guard policy "${policy}". Must be one of: ${COST_GUARD_CONFIG.policies.join(', ')}`);
+    }
+    return { policy, maxScanRows: settings.maxScanRows || COST_GUARD_CONFIG.defaultMaxScanRows };
+}
 
 /**
  * Execute a query on a database
  * Handles connection, query execution, and cleanup
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string} query - SQL query to execute
- * @returns {Promise<Object>} Query results
- * @throws {Error} If connection or query execution fails
+ * @param {Array|Object} [params] - Values for the query's placeholders
+ * @param {Object} [options] - Execution options
+ * @param {number} [options.timeoutMs] - Interrupt the query after this many milliseconds
+ * @param {AbortSignal} [options.signal] - Interrupt the query when the request is cancelled
+ * @param {number} [options.pageSize] - Return one page of this many rows, with a next_cursor
+ * @param {number} [options.offset] - Rows to skip before the page
+ * @param {number} [options.autoLimit] - Stop a query without a LIMIT after this many rows, with a next_cursor
+ * @param {string} [options.largeIntegers] - How integers beyond Number.MAX_SAFE_INTEGER are returned
+ * @param {boolean} [options.force] - Run a query the cost guard would hold back under the confirm policy
+ * @returns {Promise<Object>} Query results, with `cache` metadata (see withResultCache) and a
+ *   `cost_analysis` when the cost guard found costly plan steps
+ * @throws {Error} If connection or query execution fails, the query times out or is cancelled,
+ *   or the cost guard holds it back
  */
-export async function executeQueryOnDatabase(dbPath, password, query) {
-    let db = null;
-    
+export async function executeQueryOnDatabase(dbPath, connection, query, params, options = {}) {
+    const { signal, ...queryOptions } = options;
+    const costGuard = getCostGuardSettings();
+    const { pageSize, offset, autoLimit, largeIntegers } = options;
+    let costAnalysis = null;
+
+    // Runs next to a pooled connection - stays unlocked for subsequent calls; discarded if the query is interrupted
+    const result = await withResultCache(dbPath, 'execute_query',
+        { query: normalizeSql(query), params, pageSize, offset, autoLimit, largeIntegers },
+        async (cachedVersion) => {
+            const output = await runDatabaseTask('execute_query',
+                { dbPath, connection, query, params, options: queryOptions, costGuard, cachedVersion }, { signal });
+            costAnalysis = output.costAnalysis;
+            return output;
+        });
+    if (costAnalysis) {
+        result.cost_analysis = costAnalysis;
+    }
+
+    if (options.pageSize !== undefined) {
+        result.next_cursor = result.has_more
+            ? encodeCursor('query', { database: dbPath, query, params, offset: result.offset + result.rowCount, pageSize: options.pageSize, force: options.force || undefined })
+            : null;
+    } else if (result.auto_limit !== undefined) {
+        // The automatic LIMIT made this the first page
+        result.next_cursor = result.has_more
+            ? encodeCursor('query', { database: dbPath, query, params, offset: result.rowCount, pageSize: result.auto_limit, force: options.force || undefined })
+            : null;
+    }
+
+    return result;
+}
+
+/**
+ * Stream the rows of a query on a database
+ * The pooled connection is held until the last row has been consumed
+ * @param {string} dbPath - Path to the database file
+ * @param {Object} connection - Connection options (keys and cipher settings)
+ * @param {string} query - SQL query to execute
+ * @param {Array|Object} [params] - Values for the query's placeholders
+ * @param {Function} onRow - Called with (row, columns) for each row; may return a promise for backpressure
+ * @param {Object} [options] - Execution options (timeoutMs, signal, force, largeIntegers)
+ * @returns {Promise<{columns: string[], rowCount: number}>} Stream summary
+ * @throws {Error} If connection or query execution fails, the query is interrupted,
+ *   or the cost guard holds it back
+ */
+export async function streamQueryOnDatabase(dbPath, connection, query, params, onRow, options = {}) {
+    const { signal, ...queryOptions } = options;
+    return runDatabaseTask('stream_query',
+        { dbPath, connection, query, params, options: queryOptions, costGuard: getCostGuardSettings() }, { signal, onRow });
+}
+
+/**
+ * Execute a write statement on a writable database
+ * @param {string} dbPath - Path to the database file
+ * @param {Object} connection - Connection options; must have readOnly: false
+ * @param {string} query - Write statement
+ * @param {Array|Object} [params] - Values for the statement's placeholders
+ * @param {Object} [options] - Execution options (dryRun, timeoutMs, signal)
+ * @returns {Promise<Object>} Write result (changes, lastID, dry_run, committed, preview)
+ * @throws {Error} If connection or execution fails
+ */
+export async function executeWriteOnDatabase(dbPath, connection, query, params, options = {}) {
+    const { signal, ...writeOptions } = options;
     try {
-        // Connect to database
-        db = await connectDatabase(dbPath, password);
-        
-        // Execute query
-        const result = await executeQuery(db, query);
-        
-        return result;
+        return await runDatabaseTask('execute_write', { dbPath, connection, query, params, options: writeOptions }, { signal });
     } finally {
-        // Always close the database connection
-        if (db) {
-            closeConnection(db);
+        // Also after failures: a statement may have committed before the error was reported
+        if (!options.dryRun) {
+            invalidateResultCache(dbPath);
         }
     }
 }
 
+/**
+ * Execute several read-only queries in one read transaction
+ * @param {string} dbPath - Path to the database file
+ * @param {Object} connection - Connection options (keys and cipher settings)
+ * @param {Array<{query: string, params?: Array|Object, force?: boolean}>} statements - Queries in order
+ * @param {Object} [options] - Execution options (stopOnError, timeoutMs, signal, largeIntegers, force)
+ * @returns {Promise<Object>} Per-statement results and totals, each with the cost guard's
+ *   `cost_analysis` when it found costly plan steps
+ * @throws {Error} If connection fails or the batch is cancelled
+ */
+export async function executeBatchOnDatabase(dbPath, connection, statements, options = {}) {
+    const { signal, ...batchOptions } = options;
+    return runDatabaseTask('execute_batch',
+        { dbPath, connection, statements, options: batchOptions, costGuard: getCostGuardSettings() }, { signal });
+}
+
 /**
  * Test database connection
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
- * @returns {Promise<boolean>} True if connection successful
+ * @param {Object} connection - Connection options (keys and cipher settings)
+ * @returns {Promise<{success: boolean, encrypted: boolean, key_label: string|null}>}
+ *   Result, including the label of the key that unlocked the database
  */
-export async function testDatabaseConnection(dbPath, password) {
-    let db = null;
-    
+export async function testDatabaseConnection(dbPath, connection) {
     try {
-        db = await connectDatabase(dbPath, password);
-        await testConnection(db);
-        return true;
+        return await runDatabaseTask('test_connection', { dbPath, connection });
     } catch (error) {
         throw new Error(`Failed to connect to database: ${error.message}`);
-    } finally {
-        if (db) {
-            closeConnection(db);
+    }
+}
+
+/**
+ * List registered databases and whether each one currently unlocks
+ * Databases are checked one at a time so key derivation never runs in parallel.
+ * Key values are never included in the result.
+ * @returns {Promise<Array>} Registry entries with unlock status
+ */
+export async function listRegisteredDatabases() {
+    const entries = getRegisteredDatabases();
+    const results = [];
+    
+    for (const entry of entries) {
+        const status = {
+            alias: entry.alias,
+            path: entry.path,
+            description: entry.description,
+            read_only: entry.readOnly,
+            key_source: describeKeySource(entry),
+            cipher: entry.cipher,
+            unlocked: false,
+        };
+        
+        try {
+            const { dbPath, connection } = resolveDatabaseTarget({ database: entry.alias });
+            const result = await testDatabaseConnection(dbPath, connection);
+            status.unlocked = result.success;
+            status.key_label = result.key_label;
+        } catch (error) {
+            status.error = error.message;
         }
+        
+        results.push(status);
     }
+    
+    return results;
 }
 
 /**
  * Get list of tables from database
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string[]} tableNames - Optional array of table names to filter
  * @returns {Promise<Array>} Array of table objects
  */
-export async function getTableListFromDatabase(dbPath, password, tableNames = null) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        const tables = await getTableList(db, tableNames);
-        
-        // Get row counts for each table
-        const tablesWithCounts = await Promise.all(
-            tables.map(async (table) => {
-                try {
-                    const info = await getTableInfo(db, table.name);
-                    return {
-                        ...table,
-                        row_count: info.row_count
-                    };
-                } catch (error) {
-                    return {
-                        ...table,
-                        row_count: 0
-                    };
-                }
-            })
-        );
-        
-        return tablesWithCounts;
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function getTableListFromDatabase(dbPath, connection, tableNames = null) {
+    return runDatabaseTask('list_tables', { dbPath, connection, tableNames });
 }
 
 /**
  * Get table schema from database
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string|string[]} tableName - Table name or array of table names
  * @returns {Promise<Object|Array>} Table schema or array of schemas
  */
-export async function getTableSchemaFromDatabase(dbPath, password, tableName) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        
-        // Handle batch operation
-        if (Array.isArray(tableName)) {
-            const schemas = await Promise.all(
-                tableName.map(async (name) => {
-                    try {
-                        const schema = await getTableSchema(db, name);
-                        const fks = await getForeignKeys(db, name);
-                        const indexes = await getIndexes(db, name);
-                        return {
-                            ...schema,
-                            foreign_keys: fks,
-                            indexes: indexes
-                        };
-                    } catch (error) {
-                        return {
-                            tableName: name,
-                            error: error.message
-                        };
-                    }
-                })
-            );
-            return schemas;
-        } else {
-            // Single table
-            const schema = await getTableSchema(db, tableName);
-            const fks = await getForeignKeys(db, tableName);
-            const indexes = await getIndexes(db, tableName);
-            return {
-                ...schema,
-                foreign_keys: fks,
-                indexes: indexes
-            };
-        }
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function getTableSchemaFromDatabase(dbPath, connection, tableName) {
+    return runDatabaseTask('get_table_schema', { dbPath, connection, tableName });
 }
 
 /**
  * Get foreign keys from database
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string} tableName - Optional table name
  * @returns {Promise<Array>} Array of foreign key relationships
  */
-export async function getForeignKeysFromDatabase(dbPath, password, tableName = null) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        return await getForeignKeys(db, tableName);
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function getForeignKeysFromDatabase(dbPath, connection, tableName = null) {
+    return runDatabaseTask('get_foreign_keys', { dbPath, connection, tableName });
 }
 
 /**
  * Get indexes from database
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string} tableName - Optional table name
  * @returns {Promise<Array>} Array of index information
  */
-export async function getIndexesFromDatabase(dbPath, password, tableName = null) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        return await getIndexes(db, tableName);
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function getIndexesFromDatabase(dbPath, connection, tableName = null) {
+    return runDatabaseTask('get_indexes', { dbPath, connection, tableName });
 }
 
 /**
  * Get database info
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @returns {Promise<Object>} Database metadata
  */
-export async function getDatabaseInfoFromDatabase(dbPath, password) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        return await getDatabaseInfo(db, dbPath);
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function getDatabaseInfoFromDatabase(dbPath, connection) {
+    return runDatabaseTask('get_database_info', { dbPath, connection });
 }
 
 /**
  * Get table info
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string} tableName - Table name
  * @returns {Promise<Object>} Table information
  */
-export async function getTableInfoFromDatabase(dbPath, password, tableName) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        return await getTableInfo(db, tableName);
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function getTableInfoFromDatabase(dbPath, connection, tableName) {
+    return runDatabaseTask('get_table_info', { dbPath, connection, tableName });
 }
 
 /**
  * Explain query plan
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string} query - SQL query
  * @returns {Promise<Array>} Query execution plan
  */
-export async function explainQueryPlanFromDatabase(dbPath, password, query) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        return await explainQueryPlan(db, query);
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function explainQueryPlanFromDatabase(dbPath, connection, query) {
+    return runDatabaseTask('explain_query', { dbPath, connection, query });
 }
 
 /**
  * Get table statistics
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string} tableName - Table name
  * @param {number} maxSampleSize - Maximum sample size
+ * @param {string} [largeIntegers] - How integers beyond Number.MAX_SAFE_INTEGER are returned
+ * @param {Object} [options] - Execution options (timeoutMs, signal)
  * @returns {Promise<Object>} Table statistics
+ * @throws {Error} If the table cannot be read, or the scans time out or are cancelled
  */
-export async function getTableStatisticsFromDatabase(dbPath, password, tableName, maxSampleSize = 10000) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        return await getTableStatistics(db, tableName, maxSampleSize);
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function getTableStatisticsFromDatabase(dbPath, connection, tableName, maxSampleSize = 10000, largeIntegers, options = {}) {
+    const { signal, ...statisticsOptions } = options;
+    return withResultCache(dbPath, 'get_table_statistics', { tableName, maxSampleSize, largeIntegers },
+        cachedVersion => runDatabaseTask('get_table_statistics',
+            { dbPath, connection, tableName, maxSampleSize, largeIntegers, options: statisticsOptions, cachedVersion }, { signal }));
 }
 
 /**
  * Sample table data
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string} tableName - Table name
  * @param {number} limit - Row limit
  * @param {number} offset - Row offset
  * @param {string[]} columns - Optional column filter
- * @returns {Promise<Object>} Sample data
+ * @param {string} [largeIntegers] - How integers beyond Number.MAX_SAFE_INTEGER are returned
+ * @returns {Promise<Object>} Sample data, with a next_cursor when more rows follow
  */
-export async function sampleTableDataFromDatabase(dbPath, password, tableName, limit = 10, offset = 0, columns = null) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        return await sampleTableData(db, tableName, limit, offset, columns);
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function sampleTableDataFromDatabase(dbPath, connection, tableName, limit = 10, offset = 0, columns = null, largeIntegers) {
+    const sample = await runDatabaseTask('sample_table_data',
+        { dbPath, connection, tableName, limit, offset, columns, largeIntegers });
+
+    sample.next_cursor = sample.has_more
+        ? encodeCursor('sample', { database: dbPath, table: tableName, columns, offset: offset + sample.row_count, pageSize: limit })
+        : null;
+
+    return sample;
 }
 
 /**
  * Get column statistics
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string} tableName - Table name
  * @param {string|string[]} columnName - Column name or array of column names
  * @param {number} maxSampleSize - Maximum sample size
+ * @param {string} [largeIntegers] - How integers beyond Number.MAX_SAFE_INTEGER are returned
  * @returns {Promise<Array>} Column statistics
  */
-export async function getColumnStatisticsFromDatabase(dbPath, password, tableName, columnName, maxSampleSize = 10000) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        
-        // Handle single column or array
-        const columnNames = Array.isArray(columnName) ? columnName : [columnName];
-        return await getColumnStatistics(db, tableName, columnNames, maxSampleSize);
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function getColumnStatisticsFromDatabase(dbPath, connection, tableName, columnName, maxSampleSize = 10000, largeIntegers) {
+    // Handle single column or array
+    const columnNames = Array.isArray(columnName) ? columnName : [columnName];
+    return withResultCache(dbPath, 'get_column_statistics', { tableName, columnNames, maxSampleSize, largeIntegers },
+        cachedVersion => runDatabaseTask('get_column_statistics',
+            { dbPath, connection, tableName, columnNames, maxSampleSize, largeIntegers, cachedVersion }));
 }
 
 /**
  * Search tables
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string} pattern - Search pattern
  * @returns {Promise<Array>} Matching tables
  */
-export async function searchTablesInDatabase(dbPath, password, pattern) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        return await searchTables(db, pattern);
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function searchTablesInDatabase(dbPath, connection, pattern) {
+    return runDatabaseTask('search_tables', { dbPath, connection, pattern });
 }
 
 /**
  * Search columns
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string} pattern - Search pattern
  * @returns {Promise<Array>} Matching columns
  */
-export async function searchColumnsInDatabase(dbPath, password, pattern) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        return await searchColumns(db, pattern);
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function searchColumnsInDatabase(dbPath, connection, pattern) {
+    return runDatabaseTask('search_columns', { dbPath, connection, pattern });
 }
 
 /**
  * Find related tables
  * @param {string} dbPath - Path to the database file
- * @param {string|undefined} password - Database password (optional)
+ * @param {Object} connection - Connection options (keys and cipher settings)
  * @param {string} tableName - Table name
  * @returns {Promise<Object>} Related tables information
  */
-export async function findRelatedTablesInDatabase(dbPath, password, tableName) {
-    let db = null;
-    
-    try {
-        db = await connectDatabase(dbPath, password);
-        return await findRelatedTables(db, tableName);
-    } finally {
-        if (db) {
-            closeConnection(db);
-        }
-    }
+export async function findRelatedTablesInDatabase(dbPath, connection, tableName) {
+    return runDatabaseTask('find_related_tables', { dbPath, connection, tableName });
 }
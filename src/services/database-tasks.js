@@ -0,0 +1,198 @@
+/**
+ * Database Tasks
+ * The database work behind the service layer, run next to the connection pool:
+ * in a worker thread, or on the main thread when workers are turned off
+ * Arguments and results are plain data, so they can be posted between threads.
+ */
+
+import {
+    executeQuery,
+    analyzeQueryCost,
+    streamQuery,
+    executeWrite,
+    executeBatch,
+    getTableList,
+    getTableSchema,
+    getForeignKeys,
+    getIndexes,
+    getDatabaseInfo,
+    getTableInfo,
+    testConnection,
+    explainQueryPlan,
+    getTableStatistics,
+    sampleTableData,
+    getColumnStatistics,
+    searchTables,
+    searchColumns,
+    findRelatedTables
+} from '../utils/database-operations.js';
+import { withConnection } from './connection-pool.js';
+import { runForResultCache } from './result-cache.js';
+
+/**
+ * Check the plan of a query against the cost guard before it runs
+ * @param {Database} db - Database connection instance
+ * @param {string} query - SQL query
+ * @param {Object} options - Execution options (force)
+ * @param {{policy: string, maxScanRows: number}} settings - Cost guard settings
+ * @returns {Promise<Object|null>} Analysis to attach to the result, or null if there is nothing to report
+ * @throws {Error} If the policy is confirm (without force) or block and the plan has costly steps;
+ *   the error carries the analysis as `costAnalysis`
+ */
+async function guardQueryCost(db, query, options, settings) {
+    const { policy, maxScanRows } = settings;
+    // Every page is checked again: the plan is cheap, and a cursor must not stand in for permission
+    if (policy === 'off') {
+        return null;
+    }
+
+    const findings = await analyzeQueryCost(db, query, maxScanRows);
+    if (findings.length === 0) {
+        return null;
+    }
+
+    const analysis = { policy, max_scan_rows: maxScanRows, findings, forced: false };
+    const summary = findings.map(finding => finding.message).join('; ');
+    if (policy === 'block' || (policy === 'confirm' && !options.force)) {
+        const error = new Error(policy === 'block'
+            ? `Query refused by the cost guard (policy "block"): ${summary}`
+            : `Query blocked by the cost guard (policy "confirm"): ${summary}. Pass force: true to run it anyway`);
+        error.costAnalysis = analysis;
+        throw error;
+    }
+
+    analysis.forced = policy === 'confirm';
+    return analysis;
+}
+
+/**
+ * Tasks by name
+ * Each task receives its arguments (always with `dbPath` and `connection`) and a context:
+ * `signal` aborts when the request is cancelled, `onRow` receives streamed rows.
+ * @type {Object<string, Function>}
+ */
+export const DATABASE_TASKS = {
+    // Returns the output of runForResultCache() plus the cost guard's `costAnalysis`
+    execute_query: ({ dbPath, connection, query, params, options, costGuard, cachedVersion }, { signal }) =>
+        withConnection(dbPath, connection, async (db) => {
+            const costAnalysis = await guardQueryCost(db, query, options, costGuard);
+            const output = await runForResultCache(db, dbPath, cachedVersion,
+                () => executeQuery(db, query, params, { ...options, signal }));
+            return { ...output, costAnalysis };
+        }),
+
+    // A streamed response has no place for warnings, but confirm and block still apply
+    stream_query: ({ dbPath, connection, query, params, options, costGuard }, { signal, onRow }) =>
+        withConnection(dbPath, connection, async (db) => {
+            await guardQueryCost(db, query, options, costGuard);
+            return await streamQuery(db, query, params, onRow, { ...options, signal });
+        }),
+
+    // Both open a transaction, so they hold the pooled handle until it has ended
+    execute_write: ({ dbPath, connection, query, params, options }, { signal }) =>
+        withConnection(dbPath, connection, db => executeWrite(db, query, params, { ...options, signal }),
+            { exclusive: true }),
+
+    // Each statement passes the cost guard on its own; force is given per statement or for the batch
+    execute_batch: ({ dbPath, connection, statements, options, costGuard }, { signal }) =>
+        withConnection(dbPath, connection, db => executeBatch(db, statements, {
+            ...options,
+            signal,
+            checkStatement: statement => guardQueryCost(db, statement.query,
+                { force: options.force || statement.force }, costGuard),
+        }), { exclusive: true }),
+
+    test_connection: ({ dbPath, connection }) =>
+        withConnection(dbPath, connection, async (db) => {
+            await testConnection(db);
+            return {
+                success: true,
+                encrypted: !!db.cipherSettings,
+                key_label: db.keyLabel,
+            };
+        }),
+
+    list_tables: ({ dbPath, connection, tableNames }) =>
+        withConnection(dbPath, connection, async (db) => {
+            const tables = await getTableList(db, tableNames);
+
+            // Get row counts for each table
+            return await Promise.all(
+                tables.map(async (table) => {
+                    try {
+                        const info = await getTableInfo(db, table.name);
+                        return {
+                            ...table,
+                            row_count: info.row_count
+                        };
+                    } catch (error) {
+                        return {
+                            ...table,
+                            row_count: 0
+                        };
+                    }
+                })
+            );
+        }),
+
+    get_table_schema: ({ dbPath, connection, tableName }) =>
+        withConnection(dbPath, connection, async (db) => {
+            const describe = async (name) => ({
+                ...(await getTableSchema(db, name)),
+                foreign_keys: await getForeignKeys(db, name),
+                indexes: await getIndexes(db, name),
+            });
+
+            // Handle batch operation
+            if (Array.isArray(tableName)) {
+                return await Promise.all(
+                    tableName.map(async (name) => {
+                        try {
+                            return await describe(name);
+                        } catch (error) {
+                            return {
+                                tableName: name,
+                                error: error.message
+                            };
+                        }
+                    })
+                );
+            }
+            return await describe(tableName);
+        }),
+
+    get_foreign_keys: ({ dbPath, connection, tableName }) =>
+        withConnection(dbPath, connection, db => getForeignKeys(db, tableName)),
+
+    get_indexes: ({ dbPath, connection, tableName }) =>
+        withConnection(dbPath, connection, db => getIndexes(db, tableName)),
+
+    get_database_info: ({ dbPath, connection }) =>
+        withConnection(dbPath, connection, db => getDatabaseInfo(db, dbPath)),
+
+    get_table_info: ({ dbPath, connection, tableName }) =>
+        withConnection(dbPath, connection, db => getTableInfo(db, tableName)),
+
+    explain_query: ({ dbPath, connection, query }) =>
+        withConnection(dbPath, connection, db => explainQueryPlan(db, query)),
+
+    get_table_statistics: ({ dbPath, connection, tableName, maxSampleSize, largeIntegers, options, cachedVersion }, { signal }) =>
+        withConnection(dbPath, connection, db => runForResultCache(db, dbPath, cachedVersion,
+            () => getTableStatistics(db, tableName, maxSampleSize, largeIntegers, { ...options, signal }))),
+
+    sample_table_data: ({ dbPath, connection, tableName, limit, offset, columns, largeIntegers }) =>
+        withConnection(dbPath, connection, db => sampleTableData(db, tableName, limit, offset, columns, largeIntegers)),
+
+    get_column_statistics: ({ dbPath, connection, tableName, columnNames, maxSampleSize, largeIntegers, cachedVersion }) =>
+        withConnection(dbPath, connection, db => runForResultCache(db, dbPath, cachedVersion,
+            () => getColumnStatistics(db, tableName, columnNames, maxSampleSize, largeIntegers))),
+
+    search_tables: ({ dbPath, connection, pattern }) =>
+        withConnection(dbPath, connection, db => searchTables(db, pattern)),
+
+    search_columns: ({ dbPath, connection, pattern }) =>
+        withConnection(dbPath, connection, db => searchColumns(db, pattern)),
+
+    find_related_tables: ({ dbPath, connection, tableName }) =>
+        withConnection(dbPath, connection, db => findRelatedTables(db, tableName)),
+};
@@ -0,0 +1,87 @@
+/**
+ * Database Worker
+ * Worker thread entry point: runs the database tasks posted by the worker pool
+ * Each worker has its own connection pool, so keys are derived and queries run off
+ * the main event loop.
+ */
+
+import { parentPort } from 'worker_threads';
+import { WORKER_CONFIG } from '../config/constants.js';
+import { closeAllConnections, getPoolStats } from './connection-pool.js';
+import { DATABASE_TASKS } from './database-tasks.js';
+
+/**
+ * Tasks in progress, keyed by task id
+ * @type {Map<number, {controller: AbortController, unacknowledged: number, resume: Function}>}
+ */
+const running = new Map();
+
+/**
+ * Turn an error into plain data for the main thread
+ * Own properties (e.g. code, costAnalysis) are kept; handlers rely on them.
+ * @param {Error} error - Error raised by a task
+ * @returns {Object} Message and properties of the error
+ */
+function serializeError(error) {
+    return { ...error, message: error.message };
+}
+
+/**
+ * Run a task and post its result or error
+ * Streamed rows are posted as they are read; once WORKER_CONFIG.streamHighWaterMark rows
+ * are waiting for the client, the task waits for acknowledgements before reading more.
+ * @param {{id: number, task: string, args: Object}} message - Run message
+ */
+async function runTask({ id, task, args }) {
+    const state = { controller: new AbortController(), unacknowledged: 0, resume: () => {} };
+    running.set(id, state);
+
+    const onRow = (row, columns) => {
+        state.unacknowledged++;
+        parentPort.postMessage({ type: 'row', id, row, columns });
+        if (state.unacknowledged < WORKER_CONFIG.streamHighWaterMark) {
+            return undefined;
+        }
+        return new Promise((resolve) => { state.resume = resolve; });
+    };
+
+    try {
+        if (!DATABASE_TASKS[task]) {
+            throw new Error(`Unknown database task "${task}"`);
+        }
+        const result = await DATABASE_TASKS[task](args, { signal: state.controller.signal, onRow });
+        parentPort.postMessage({ type: 'done', id, result, pool: getPoolStats() });
+    } catch (error) {
+        parentPort.postMessage({ type: 'failed', id, error: serializeError(error), pool: getPoolStats() });
+    } finally {
+        running.delete(id);
+    }
+}
+
+parentPort.on('message', (message) => {
+    const state = running.get(message.id);
+
+    switch (message.type) {
+        case 'run':
+            runTask(message);
+            break;
+
+        case 'abort':
+            if (state) {
+                state.controller.abort();
+                // A stream waiting on the client checks for the abort once it reads on
+                state.resume();
+            }
+            break;
+
+        case 'ack':
+            if (state && --state.unacknowledged < WORKER_CONFIG.streamHighWaterMark) {
+                state.resume();
+            }
+            break;
+
+        case 'close':
+            closeAllConnections().finally(() => parentPort.postMessage({ type: 'closed' }));
+            break;
+    }
+});
@@ -0,0 +1,203 @@
+/**
+ * Query History
+ * Opt-in, append-only log of the queries, plans and statistics the server ran
+ * Each call is one JSON line: when, where, what, how long, how many rows and any error.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { HISTORY_CONFIG } from '../config/constants.js';
+import { getHistorySettingsFromEnvironment } from '../config/environment.js';
+import { getConfigFileDirectory, getHistoryFromConfigFile } from '../config/config-file.js';
+import { redactErrorMessage, redactParams, redactSqlLiterals } from '../utils/redaction.js';
+
+/**
+ * Get the history settings
+ * Environment variables win over the "history" section of the config file.
+ * Recording is off unless it is turned on, since entries hold SQL, params and errors.
+ * @returns {{enabled: boolean, file: string, redact: boolean}} Settings
+ */
+function getHistorySettings() {
+    const settings = { ...getHistoryFromConfigFile(), ...getHistorySettingsFromEnvironment() };
+    return {
+        enabled: settings.enabled === true,
+        file: path.resolve(getConfigFileDirectory(), settings.file || HISTORY_CONFIG.defaultFile),
+        redact: settings.redact === true,
+    };
+}
+
+/**
+ * Append an entry to the history file
+ * A failed write is logged and otherwise ignored, so history never breaks a query.
+ * @param {string} file - History file path
+ * @param {Object} entry - History entry
+ * @returns {Promise<void>} Resolves once the entry is written (never rejects)
+ */
+async function appendEntry(file, entry) {
+    try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    } catch (error) {
+        console.error(`Failed to write query history to ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Run an operation and record it in the query history
+ * @param {Object} details - What is being run
+ * @param {string} details.tool - Tool name (e.g. execute_query)
+ * @param {{dbPath: string, alias: string|null}} details.target - Resolved database target
+ * @param {string} [details.query] - SQL text
+ * @param {Array|Object} [details.params] - Query parameters
+ * @param {Object} [details.arguments] - Other arguments needed to replay the call (e.g. table_name)
+ * @param {Function} operation - Async function performing the call
+ * @param {Function} [countRows] - Gets the row count from the operation's result
+ * @returns {Promise<any>} The operation's result
+ * @throws {Error} The operation's error, after it has been recorded
+ */
+export async function recordQuery(details, operation, countRows = () => null) {
+    const settings = getHistorySettings();
+    if (!settings.enabled) {
+        return operation();
+    }
+
+    const query = details.query === undefined ? null : details.query;
+    const params = details.params === undefined ? null : details.params;
+    const entry = {
+        id: crypto.randomBytes(6).toString('hex'),
+        timestamp: new Date().toISOString(),
+        tool: details.tool,
+        database: details.target.alias || null,
+        database_path: details.target.dbPath,
+        query: settings.redact && typeof query === 'string' ? redactSqlLiterals(query) : query,
+        params: settings.redact ? redactParams(params) : params,
+        arguments: details.arguments || null,
+        redacted: settings.redact,
+    };
+
+    const started = Date.now();
+    try {
+        const result = await operation();
+        await appendEntry(settings.file, { ...entry, duration_ms: Date.now() - started, row_count: countRows(result), error: null });
+        return result;
+    } catch (error) {
+        const message = settings.redact ? redactErrorMessage(error.message) : error.message;
+        await appendEntry(settings.file, { ...entry, duration_ms: Date.now() - started, row_count: null, error: message });
+        throw error;
+    }
+}
+
+/**
+ * Read every entry of the history file
+ * Lines that do not parse (e.g. a write cut short) are skipped.
+ * @returns {Array<Object>} Entries, oldest first
+ * @throws {Error} If the file exists but cannot be read
+ */
+function readEntries() {
+    const { file } = getHistorySettings();
+
+    let contents;
+    try {
+        contents = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw new Error(`Failed to read query history from ${file}: ${error.message}`);
+    }
+
+    const entries = [];
+    for (const line of contents.split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            // Skip partial lines
+        }
+    }
+    return entries;
+}
+
+/**
+ * Search the query history
+ * @param {Object} [filters] - Filters (see resolveHistoryFilters); all are optional
+ * @param {string} [filters.tool] - Only entries of this tool
+ * @param {string} [filters.database] - Only entries run through this alias
+ * @param {string} [filters.databasePath] - Only entries for this database file
+ * @param {string} [filters.search] - Case-insensitive text the SQL, params, arguments or error must contain
+ * @param {boolean} [filters.errorsOnly] - Only failed calls
+ * @param {number} [filters.since] - Only entries at or after this time (epoch milliseconds)
+ * @param {number} [filters.until] - Only entries at or before this time (epoch milliseconds)
+ * @param {number} [filters.limit] - Most entries to return (default HISTORY_CONFIG.defaultLimit)
+ * @returns {{entries: Array<Object>, total: number, enabled: boolean}} Matching entries, newest
+ *   first, how many matched before the limit, and whether new calls are being recorded
+ */
+export function searchQueryHistory(filters = {}) {
+    const needle = filters.search ? filters.search.toLowerCase() : null;
+    const databasePath = filters.databasePath ? path.resolve(filters.databasePath) : null;
+
+    const matches = readEntries().filter((entry) => {
+        const time = Date.parse(entry.timestamp);
+        if (filters.tool && entry.tool !== filters.tool) return false;
+        if (filters.database && entry.database !== filters.database) return false;
+        if (databasePath && entry.database_path !== databasePath) return false;
+        if (filters.errorsOnly && !entry.error) return false;
+        if (filters.since !== undefined && !(time >= filters.since)) return false;
+        if (filters.until !== undefined && !(time <= filters.until)) return false;
+        if (needle) {
+            const text = [entry.query, entry.error, JSON.stringify(entry.params), JSON.stringify(entry.arguments)]
+                .filter(Boolean).join('\n').toLowerCase();
+            if (!text.includes(needle)) return false;
+        }
+        return true;
+    }).reverse();
+
+    return {
+        entries: matches.slice(0, filters.limit || HISTORY_CONFIG.defaultLimit),
+        total: matches.length,
+        enabled: getHistorySettings().enabled,
+    };
+}
+
+/**
+ * Get a history entry by id
+ * @param {string} id - Entry id
+ * @returns {Object} History entry
+ * @throws {Error} If no entry has that id
+ */
+export function getHistoryEntry(id) {
+    const entry = readEntries().find(e => e.id === id);
+    if (!entry) {
+        throw new Error(`No query history entry with id "${id}"`);
+    }
+    return entry;
+}
+
+/**
+ * Build the tool arguments that run a history entry again
+ * The database is addressed the same way as the original call (alias or path);
+ * keys and cipher settings are resolved afresh and were never stored.
+ * @param {Object} entry - History entry
+ * @returns {Object} Arguments for the entry's tool
+ * @throws {Error} If the entry was recorded with redacted values or its tool cannot be replayed
+ */
+export function getReplayArguments(entry) {
+    if (!HISTORY_CONFIG.recordedTools.includes(entry.tool)) {
+        throw new Error(`History entry "${entry.id}" was recorded for ${entry.tool}, which cannot be replayed`);
+    }
+    if (entry.redacted) {
+        throw new Error(`History entry "${entry.id}" was recorded with its values redacted and cannot be replayed`);
+    }
+
+    const args = entry.database ? { database: entry.database } : { database_path: entry.database_path };
+    if (entry.query !== null) {
+        args.query = entry.query;
+    }
+    if (entry.params !== null) {
+        args.params = entry.params;
+    }
+    return { ...args, ...(entry.arguments || {}) };
+}
@@ -0,0 +1,295 @@
+/**
+ * Result Cache
+ * In-memory LRU cache of query and statistics results
+ * An entry is only served while the database is unchanged: same connection and
+ * data_version, same schema_version, and same modification time of the file (and its WAL).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { threadId } from 'worker_threads';
+import { CACHE_CONFIG } from '../config/constants.js';
+import { getCacheSettingsFromEnvironment } from '../config/environment.js';
+import { getCacheFromConfigFile } from '../config/config-file.js';
+import { getDataVersion } from '../utils/database-operations.js';
+import { tokenize } from '../utils/sql-tokenizer.js';
+
+/**
+ * Cache entries keyed by a hash of database, operation and arguments, least recently used first
+ * @type {Map<string, Object>}
+ */
+const entries = new Map();
+
+/**
+ * Identity of each connection handle of this thread; data_version is only comparable on one connection
+ * @type {WeakMap<Object, number>}
+ */
+const connectionIds = new WeakMap();
+let nextConnectionId = 1;
+
+/**
+ * Counters since start-up (or the last clear)
+ */
+const counters = { hits: 0, misses: 0, invalidations: 0, expirations: 0, evictions: 0, uncacheable: 0 };
+
+/**
+ * Get the cache settings
+ * Environment variables win over the "cache" section of the config file.
+ * @returns {{enabled: boolean, maxEntries: number, maxBytes: number, ttlMs: number}} Settings
+ */
+function getCacheSettings() {
+    const settings = { ...getCacheFromConfigFile(), ...getCacheSettingsFromEnvironment() };
+    return {
+        enabled: settings.enabled !== false,
+        maxEntries: settings.maxEntries || CACHE_CONFIG.defaultMaxEntries,
+        maxBytes: settings.maxBytes || CACHE_CONFIG.defaultMaxBytes,
+        ttlMs: settings.ttlMs || CACHE_CONFIG.defaultTtlMs,
+    };
+}
+
+/**
+ * Normalize SQL for cache keys
+ * Whitespace and comments are dropped and keywords upper-cased, so formatting
+ * differences share an entry; literals and quoted identifiers are kept as written.
+ * @param {string} sql - SQL text
+ * @returns {string} Normalized SQL (the text itself if it does not tokenize)
+ */
+export function normalizeSql(sql) {
+    try {
+        return tokenize(sql).map(token => (token.type === 'word' ? token.upper : token.text)).join(' ');
+    } catch {
+        return sql;
+    }
+}
+
+/**
+ * Roughly estimate the memory held by a cached value
+ * @param {any} value - Value
+ * @returns {number} Estimated bytes
+ */
+function estimateSize(value) {
+    if (typeof value === 'string') {
+        return 2 * value.length;
+    }
+    if (Buffer.isBuffer(value)) {
+        return value.length;
+    }
+    if (Array.isArray(value)) {
+        return value.reduce((size, item) => size + estimateSize(item), 16);
+    }
+    if (value && typeof value === 'object') {
+        return Object.entries(value).reduce((size, [key, item]) => size + 2 * key.length + estimateSize(item), 16);
+    }
+    return 8;
+}
+
+/**
+ * Get the modification times of a database file and its WAL
+ * @param {string} dbPath - Path to the database file
+ * @returns {Array<number|null>} mtimes in milliseconds (null for a missing file)
+ */
+function getFileTimes(dbPath) {
+    return [dbPath, `${dbPath}-wal`].map((file) => {
+        try {
+            return fs.statSync(file).mtimeMs;
+        } catch {
+            return null;
+        }
+    });
+}
+
+/**
+ * Read what identifies the current state of a database
+ * Runs in the thread that holds the connection; the thread id is part of the version
+ * because connection ids are only unique within a thread.
+ * @param {Database} db - Database connection instance
+ * @param {string} dbPath - Path to the database file
+ * @returns {Promise<string>} Version, equal only while nothing has changed
+ */
+async function readVersion(db, dbPath) {
+    if (!connectionIds.has(db)) {
+        connectionIds.set(db, nextConnectionId++);
+    }
+    const { dataVersion, schemaVersion } = await getDataVersion(db);
+    return JSON.stringify([threadId, connectionIds.get(db), dataVersion, schemaVersion, ...getFileTimes(dbPath)]);
+}
+
+/**
+ * Run an operation for the result cache, next to its connection
+ * Skips the operation when the database is still at the version of the cached result.
+ * @param {Database} db - Database connection instance
+ * @param {string} dbPath - Path to the database file
+ * @param {string|null|undefined} cachedVersion - Version of the cached result; null when nothing
+ *   is cached, undefined when the cache is off (the version is then not read)
+ * @param {Function} operation - Async function computing the result
+ * @returns {Promise<{version?: string, value?: any, unchanged?: boolean}>} The result and the
+ *   version it was read at, or `unchanged: true` when the cached result is still current
+ */
+export async function runForResultCache(db, dbPath, cachedVersion, operation) {
+    if (cachedVersion === undefined) {
+        return { value: await operation() };
+    }
+    const version = await readVersion(db, dbPath);
+    if (version === cachedVersion) {
+        return { version, unchanged: true };
+    }
+    return { version, value: await operation() };
+}
+
+/**
+ * Remove an entry
+ * @param {string} key - Entry key
+ * @param {string} counter - Counter to increment (invalidations, expirations or evictions)
+ */
+function removeEntry(key, counter) {
+    entries.delete(key);
+    counters[counter]++;
+}
+
+/**
+ * Evict least recently used entries until the cache is within its limits
+ * @param {{maxEntries: number, maxBytes: number}} settings - Cache settings
+ */
+function enforceLimits(settings) {
+    let bytes = [...entries.values()].reduce((total, entry) => total + entry.bytes, 0);
+    for (const [key, entry] of entries) {
+        if (entries.size <= settings.maxEntries && bytes <= settings.maxBytes) {
+            break;
+        }
+        bytes -= entry.bytes;
+        removeEntry(key, 'evictions');
+    }
+}
+
+/**
+ * Copy a result and add its cache metadata
+ * Arrays (e.g. column statistics) get `cache` as a property too; JSON.stringify skips it,
+ * so their serialized shape does not change.
+ * @param {Object|Array} value - Result
+ * @param {{hit: boolean, age_ms: number}} cache - Cache metadata
+ * @returns {Object|Array} Shallow copy with `cache`
+ */
+function withCacheMetadata(value, cache) {
+    return Array.isArray(value) ? Object.assign([...value], { cache }) : { ...value, cache };
+}
+
+/**
+ * Run an operation, or return its cached result while the database is unchanged
+ * `run` gets the version of the cached result (see runForResultCache), so checking the
+ * version and computing a new result take one trip to the connection's thread.
+ * The result gets a `cache` property: `{hit, age_ms}`. Each caller receives its own
+ * shallow copy, so callers may replace its properties (e.g. encoded rows).
+ * Failed operations are not cached.
+ * @param {string} dbPath - Path to the database file
+ * @param {string} kind - Operation name (e.g. execute_query)
+ * @param {Object} args - Everything the result depends on besides the database
+ * @param {Function} run - Async function receiving the cached version and resolving to the
+ *   output of runForResultCache()
+ * @returns {Promise<Object|Array>} Result, with `cache` metadata
+ */
+export async function withResultCache(dbPath, kind, args, run) {
+    const settings = getCacheSettings();
+    if (!settings.enabled) {
+        return (await run(undefined)).value;
+    }
+
+    const database = path.resolve(dbPath);
+    const key = crypto.createHash('sha256').update(JSON.stringify([database, kind, args])).digest('hex');
+
+    let cached = entries.get(key) || null;
+    if (cached && Date.now() - cached.storedAt > settings.ttlMs) {
+        removeEntry(key, 'expirations');
+        cached = null;
+    }
+
+    const { version, value, unchanged } = await run(cached ? cached.version : null);
+    if (unchanged) {
+        // Most recently used entries live at the end of the map
+        if (entries.get(key) === cached) {
+            entries.delete(key);
+            entries.set(key, cached);
+        }
+        counters.hits++;
+        return withCacheMetadata(cached.value, { hit: true, age_ms: Date.now() - cached.storedAt });
+    }
+
+    if (cached && entries.get(key) === cached) {
+        removeEntry(key, 'invalidations');
+    }
+    counters.misses++;
+    const bytes = estimateSize(value);
+    if (bytes <= settings.maxBytes) {
+        entries.set(key, { database, kind, version, storedAt: Date.now(), bytes, value });
+        enforceLimits(settings);
+    } else {
+        counters.uncacheable++;
+    }
+    return withCacheMetadata(value, { hit: false, age_ms: 0 });
+}
+
+/**
+ * Drop the cached results of a database
+ * Called after writes through this server: writes on the connection that holds a cached
+ * result do not change its data_version.
+ * @param {string} dbPath - Path to the database file
+ * @returns {number} Entries removed
+ */
+export function invalidateResultCache(dbPath) {
+    const database = path.resolve(dbPath);
+    let removed = 0;
+    for (const [key, entry] of entries) {
+        if (entry.database === database) {
+            removeEntry(key, 'invalidations');
+            removed++;
+        }
+    }
+    return removed;
+}
+
+/**
+ * Empty the cache and reset its counters
+ * @returns {number} Entries removed
+ */
+export function clearResultCache() {
+    const removed = entries.size;
+    entries.clear();
+    for (const counter of Object.keys(counters)) {
+        counters[counter] = 0;
+    }
+    return removed;
+}
+
+/**
+ * Get cache usage and hit rates
+ * @returns {Object} Settings, counters, hit_rate, size and per-database entry counts
+ */
+export function getCacheStats() {
+    const settings = getCacheSettings();
+    const now = Date.now();
+    const databases = new Map();
+    let bytes = 0;
+
+    for (const entry of entries.values()) {
+        const stats = databases.get(entry.database) || { database_path: entry.database, entries: 0, bytes: 0, kinds: {} };
+        stats.entries++;
+        stats.bytes += entry.bytes;
+        stats.kinds[entry.kind] = (stats.kinds[entry.kind] || 0) + 1;
+        stats.oldest_age_ms = Math.max(stats.oldest_age_ms || 0, now - entry.storedAt);
+        databases.set(entry.database, stats);
+        bytes += entry.bytes;
+    }
+
+    const lookups = counters.hits + counters.misses;
+    return {
+        enabled: settings.enabled,
+        max_entries: settings.maxEntries,
+        max_bytes: settings.maxBytes,
+        ttl_ms: settings.ttlMs,
+        entries: entries.size,
+        bytes,
+        ...counters,
+        hit_rate: lookups > 0 ? counters.hits / lookups : null,
+        databases: [...databases.values()].sort((a, b) => a.database_path.localeCompare(b.database_path)),
+    };
+}
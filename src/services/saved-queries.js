@@ -0,0 +1,250 @@
+/**
+ * Saved Queries
+ * Named, parameterized read-only queries kept in one JSON file per database
+ * Registered aliases get `<alias>.json`; databases opened by path get
+ * `paths/<file name>-<hash of the path>.json`.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { SAVED_QUERY_CONFIG } from '../config/constants.js';
+import { getSavedQueriesDirectory } from '../config/environment.js';
+import { getConfigFileDirectory, getSavedQueriesDirFromConfigFile } from '../config/config-file.js';
+import { resolveSavedQueryParams } from '../utils/validators.js';
+import { executeQueryOnDatabase } from './database-service.js';
+
+/**
+ * Get the directory the saved query files are kept in
+ * SQLCIPHER_SAVED_QUERIES_DIR wins over "saved_queries_dir" in the config file
+ * @returns {string} Absolute directory path
+ */
+function getStoreDirectory() {
+    const fromEnvironment = getSavedQueriesDirectory();
+    if (fromEnvironment) {
+        return path.resolve(fromEnvironment);
+    }
+    return getSavedQueriesDirFromConfigFile() ||
+        path.resolve(getConfigFileDirectory(), SAVED_QUERY_CONFIG.defaultDirectory);
+}
+
+/**
+ * Get the store key and file of a database
+ * @param {{dbPath: string, alias: string|null}} target - Resolved database target
+ * @returns {{key: string, file: string}} Store key (alias, or `paths/<stem>`) and file path
+ */
+function locateStore(target) {
+    const directory = getStoreDirectory();
+    if (target.alias) {
+        return { key: target.alias, file: path.join(directory, `${target.alias}.json`) };
+    }
+
+    const resolved = path.resolve(target.dbPath);
+    const hash = crypto.createHash('sha256').update(resolved).digest('hex').slice(0, 12);
+    const base = path.basename(resolved).replace(/[^A-Za-z0-9_.-]/g, '_');
+    const key = `paths/${base}-${hash}`;
+    return { key, file: path.join(directory, `${key}.json`) };
+}
+
+/**
+ * Read a store file
+ * @param {string} file - Store file path
+ * @returns {Object|null} Parsed store, or null if the file does not exist
+ * @throws {Error} If the file cannot be read or is not a saved query store
+ */
+function readStoreFile(file) {
+    let contents;
+    try {
+        contents = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Failed to read saved queries from ${file}: ${error.message}`);
+    }
+
+    let store;
+    try {
+        store = JSON.parse(contents);
+    } catch (error) {
+        throw new Error(`Invalid JSON in saved query file ${file}: ${error.message}`);
+    }
+    if (!store || typeof store !== 'object' || !store.queries || typeof store.queries !== 'object') {
+        throw new Error(`Saved query file ${file} must contain an object with a "queries" object`);
+    }
+    return store;
+}
+
+/**
+ * Load the saved queries of a database
+ * @param {{dbPath: string, alias: string|null}} target - Resolved database target
+ * @returns {{key: string, file: string, store: Object}} Store location and contents
+ *   (an empty store if nothing has been saved yet)
+ */
+function loadStore(target) {
+    const { key, file } = locateStore(target);
+    const store = readStoreFile(file) || {
+        database: target.alias || null,
+        database_path: target.alias ? null : path.resolve(target.dbPath),
+        queries: {},
+    };
+    return { key, file, store };
+}
+
+/**
+ * Write a store file
+ * The file is written next to its final name and renamed, so readers never see half a file.
+ * @param {string} file - Store file path
+ * @param {Object} store - Store contents
+ */
+function writeStoreFile(file, store) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(store, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * Describe a database for error messages
+ * @param {{dbPath: string, alias: string|null}} target - Resolved database target
+ * @returns {string} Alias or path
+ */
+function describeTarget(target) {
+    return target.alias ? `database "${target.alias}"` : target.dbPath;
+}
+
+/**
+ * List the saved queries of a database
+ * @param {{dbPath: string, alias: string|null}} target - Resolved database target
+ * @returns {Array<Object>} Saved queries sorted by name
+ */
+export function listSavedQueries(target) {
+    const { store } = loadStore(target);
+    return Object.values(store.queries).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get one saved query of a database
+ * @param {{dbPath: string, alias: string|null}} target - Resolved database target
+ * @param {string} name - Saved query name
+ * @returns {Object} Saved query
+ * @throws {Error} If there is no saved query with that name
+ */
+export function getSavedQuery(target, name) {
+    const { store } = loadStore(target);
+    const savedQuery = Object.prototype.hasOwnProperty.call(store.queries, name) ? store.queries[name] : null;
+
+    if (!savedQuery) {
+        const known = Object.keys(store.queries).sort();
+        throw new Error(
+            `No saved query "${name}" for ${describeTarget(target)}. ` +
+            (known.length > 0 ? `Saved queries: ${known.join(', ')}` : 'No queries have been saved for it yet.')
+        );
+    }
+    return savedQuery;
+}
+
+/**
+ * Save a query for a database
+ * @param {{dbPath: string, alias: string|null}} target - Resolved database target
+ * @param {{name: string, description: string, query: string, parameters: Array<Object>}} definition
+ *   Validated definition (see validateSavedQueryDefinition)
+ * @param {boolean} [overwrite] - Replace an existing query with the same name
+ * @returns {{savedQuery: Object, replaced: boolean}} Stored entry and whether it replaced another
+ * @throws {Error} If the name is taken and overwrite is not set
+ */
+export function saveQuery(target, definition, overwrite = false) {
+    const { file, store } = loadStore(target);
+    const existing = Object.prototype.hasOwnProperty.call(store.queries, definition.name) ? store.queries[definition.name] : null;
+
+    if (existing && !overwrite) {
+        throw new Error(`A saved query named "${definition.name}" already exists for ${describeTarget(target)}; pass overwrite: true to replace it`);
+    }
+
+    const now = new Date().toISOString();
+    const savedQuery = {
+        ...definition,
+        created_at: existing ? existing.created_at : now,
+        updated_at: now,
+    };
+    store.queries[definition.name] = savedQuery;
+    writeStoreFile(file, store);
+
+    return { savedQuery, replaced: !!existing };
+}
+
+/**
+ * Delete a saved query of a database
+ * @param {{dbPath: string, alias: string|null}} target - Resolved database target
+ * @param {string} name - Saved query name
+ * @returns {Object} The deleted query
+ * @throws {Error} If there is no saved query with that name
+ */
+export function deleteSavedQuery(target, name) {
+    const savedQuery = getSavedQuery(target, name);
+    const { file, store } = loadStore(target);
+
+    delete store.queries[name];
+    writeStoreFile(file, store);
+
+    return savedQuery;
+}
+
+/**
+ * Run a saved query through the regular read-only query path
+ * @param {{dbPath: string, connection: Object, alias: string|null}} target - Resolved database target
+ * @param {string} name - Saved query name
+ * @param {Object} [params] - Values keyed by parameter name; defaults fill in the rest
+ * @param {Object} [options] - Execution options passed to executeQueryOnDatabase
+ * @returns {Promise<Object>} Query results, with the `saved_query` (name and description) and
+ *   the `params` it ran with
+ * @throws {Error} If the query does not exist, a parameter is invalid, or execution fails
+ */
+export async function runSavedQuery(target, name, params, options = {}) {
+    const savedQuery = getSavedQuery(target, name);
+    const values = resolveSavedQueryParams(savedQuery, params);
+
+    const result = await executeQueryOnDatabase(target.dbPath, target.connection, savedQuery.query, values, options);
+
+    return {
+        ...result,
+        saved_query: { name: savedQuery.name, description: savedQuery.description },
+        params: values || {},
+    };
+}
+
+/**
+ * List every store with saved queries, for exposing them as MCP prompts
+ * Unreadable store files are skipped.
+ * @returns {Array<{key: string, database: string|null, database_path: string|null, queries: Array<Object>}>}
+ *   Stores sorted by key, each with its queries sorted by name
+ */
+export function listSavedQueryStores() {
+    const directory = getStoreDirectory();
+    const files = [];
+    for (const subdirectory of ['', 'paths']) {
+        let names;
+        try {
+            names = fs.readdirSync(path.join(directory, subdirectory));
+        } catch {
+            continue;
+        }
+        for (const name of names.filter(n => n.endsWith('.json'))) {
+            files.push({ key: path.posix.join(subdirectory, name.slice(0, -'.json'.length)), file: path.join(directory, subdirectory, name) });
+        }
+    }
+
+    const stores = [];
+    for (const { key, file } of files) {
+        try {
+            const store = readStoreFile(file);
+            const queries = Object.values(store.queries).sort((a, b) => a.name.localeCompare(b.name));
+            if (queries.length > 0) {
+                stores.push({ key, database: store.database || null, database_path: store.database_path || null, queries });
+            }
+        } catch {
+            // A broken file only hides its own queries
+        }
+    }
+    return stores.sort((a, b) => a.key.localeCompare(b.key));
+}
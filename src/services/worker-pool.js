@@ -0,0 +1,387 @@
+/**
+ * Worker Pool
+ * Runs database tasks on a bounded pool of worker threads, so key derivation and
+ * heavy queries never hold up the main event loop (health checks, other clients)
+ * Tasks wait in a queue per database. Databases take turns, at most
+ * WORKER_CONFIG.maxTasksPerDatabase tasks of one database run at once and at most
+ * maxConcurrentTasks in all. A database stays on the worker that first ran it,
+ * where its connection is already unlocked.
+ */
+
+import path from 'path';
+import { Worker, SHARE_ENV } from 'worker_threads';
+import { POOL_CONFIG, WORKER_CONFIG } from '../config/constants.js';
+import {
+    getWorkerCount,
+    getMaxConcurrentTasks,
+    getMaxTasksPerDatabase,
+    getPoolMaxConnections
+} from '../config/environment.js';
+import { closeAllConnections, getPoolStats } from './connection-pool.js';
+import { DATABASE_TASKS } from './database-tasks.js';
+
+/**
+ * Running workers
+ * @type {Array<{worker: Worker, tasks: Map<number, Object>, pool: Object, onClosed: Function|null}>}
+ */
+const workers = [];
+
+/**
+ * Queue and worker of each database, keyed by resolved path; the next database to be
+ * served comes first
+ * @type {Map<string, {path: string, queue: Object[], running: number, worker: Object|null}>}
+ */
+const databases = new Map();
+
+let runningTasks = 0;
+let nextTaskId = 1;
+
+/**
+ * Number of workers, fixed when the first task runs (0 runs tasks on the main thread)
+ * @type {number|null}
+ */
+let workerCount = null;
+
+/**
+ * Get the concurrency limits
+ * @returns {{maxConcurrentTasks: number, maxTasksPerDatabase: number}} Limits
+ */
+function getLimits() {
+    return {
+        maxConcurrentTasks: getMaxConcurrentTasks(WORKER_CONFIG.maxConcurrentTasks),
+        maxTasksPerDatabase: getMaxTasksPerDatabase(WORKER_CONFIG.maxTasksPerDatabase),
+    };
+}
+
+/**
+ * Create the error of a task cancelled while it waited in the queue
+ * Carries the same code as an interrupted query, so handlers report both alike.
+ * @returns {Error} Cancellation error
+ */
+function createCancelledError() {
+    const error = new Error('Query was cancelled by the client before it started');
+    error.code = 'SQLITE_INTERRUPT';
+    return error;
+}
+
+/**
+ * Restore the Buffers of a result posted by a worker
+ * Posting turns Buffers into plain Uint8Arrays; BLOB handling expects Buffers.
+ * @param {any} value - Posted value (changed in place)
+ * @returns {any} Value with Buffers
+ */
+function reviveBuffers(value) {
+    if (value instanceof Uint8Array) {
+        return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    }
+    if (value && typeof value === 'object') {
+        for (const key of Object.keys(value)) {
+            value[key] = reviveBuffers(value[key]);
+        }
+    }
+    return value;
+}
+
+/**
+ * Restore an error posted by a worker
+ * @param {Object} serialized - Message and properties of the error
+ * @returns {Error} Error
+ */
+function reviveError(serialized) {
+    return Object.assign(new Error(serialized.message), serialized);
+}
+
+/**
+ * Settle a task and start the next ones
+ * @param {Object} task - Task
+ * @param {Error|null} error - Error, if the task failed
+ * @param {any} [result] - Result, if it succeeded
+ */
+function finishTask(task, error, result) {
+    if (task.finished) {
+        return;
+    }
+    task.finished = true;
+    runningTasks--;
+    task.database.running--;
+    if (task.worker) {
+        task.worker.tasks.delete(task.id);
+        if (task.worker.tasks.size === 0) {
+            // Idle workers must not keep the process alive
+            task.worker.worker.unref();
+        }
+    }
+    task.release();
+
+    if (error) {
+        task.reject(error);
+    } else {
+        task.resolve(result);
+    }
+    pump();
+}
+
+/**
+ * Handle a message from a worker
+ * Streamed rows go to the task's onRow one at a time, each acknowledged once handled;
+ * the task settles after its last row.
+ * @param {Object} entry - Worker entry
+ * @param {Object} message - Message
+ */
+function handleWorkerMessage(entry, message) {
+    if (message.pool) {
+        entry.pool = message.pool;
+    }
+    if (message.type === 'closed') {
+        entry.onClosed?.();
+        return;
+    }
+
+    const task = entry.tasks.get(message.id);
+    if (!task) {
+        return;
+    }
+
+    switch (message.type) {
+        case 'row':
+            task.rows = task.rows.then(async () => {
+                // Rows already posted when the client went away are dropped
+                if (!task.finished && !task.failure && !task.signal?.aborted) {
+                    try {
+                        await task.onRow(reviveBuffers(message.row), message.columns);
+                    } catch (error) {
+                        // Stop reading rows the client cannot take
+                        task.failure = error;
+                        entry.worker.postMessage({ type: 'abort', id: task.id });
+                    }
+                }
+                entry.worker.postMessage({ type: 'ack', id: task.id });
+            });
+            break;
+
+        case 'done':
+            task.rows.then(() => finishTask(task, task.failure || null, reviveBuffers(message.result)));
+            break;
+
+        case 'failed':
+            task.rows.then(() => finishTask(task, task.failure || reviveError(message.error)));
+            break;
+    }
+}
+
+/**
+ * Take a worker out of the pool after it stopped, failing its tasks
+ * The next task for its databases starts a new worker.
+ * @param {Object} entry - Worker entry
+ * @param {string} reason - Why it stopped
+ */
+function removeWorker(entry, reason) {
+    const index = workers.indexOf(entry);
+    if (index === -1) {
+        return;
+    }
+    workers.splice(index, 1);
+
+    for (const database of databases.values()) {
+        if (database.worker === entry) {
+            database.worker = null;
+        }
+    }
+    for (const task of [...entry.tasks.values()]) {
+        finishTask(task, new Error(`Database worker stopped unexpectedly (${reason})`));
+    }
+}
+
+/**
+ * Start a worker thread
+ * Workers share process.env with the main thread, so settings changed at run time apply to them too.
+ * @returns {Object} Worker entry
+ */
+function startWorker() {
+    const worker = new Worker(new URL('./database-worker.js', import.meta.url), { env: SHARE_ENV });
+    const entry = { worker, tasks: new Map(), pool: { open: 0, inUse: 0 }, onClosed: null };
+
+    worker.on('message', message => handleWorkerMessage(entry, message));
+    worker.on('error', error => removeWorker(entry, error.message));
+    worker.on('exit', code => removeWorker(entry, `exit code ${code}`));
+    worker.unref();
+
+    workers.push(entry);
+    return entry;
+}
+
+/**
+ * Choose the worker for a database
+ * A database keeps its worker; a new database gets a new worker while the pool has room,
+ * then the least busy one.
+ * @param {Object} database - Database entry
+ * @returns {Object} Worker entry
+ */
+function chooseWorker(database) {
+    if (!database.worker) {
+        database.worker = workers.length < workerCount
+            ? startWorker()
+            : workers.reduce((least, entry) => (entry.tasks.size < least.tasks.size ? entry : least));
+    }
+    return database.worker;
+}
+
+/**
+ * Start a queued task, on a worker or (without workers) on the main thread
+ * @param {Object} database - Database entry
+ * @param {Object} task - Task
+ */
+function startTask(database, task) {
+    runningTasks++;
+    database.running++;
+    task.database = database;
+
+    if (workerCount === 0) {
+        Promise.resolve()
+            .then(() => DATABASE_TASKS[task.name](task.args, { signal: task.signal, onRow: task.onRow }))
+            .then(result => finishTask(task, null, result), error => finishTask(task, error));
+        return;
+    }
+
+    const entry = chooseWorker(database);
+    task.id = nextTaskId++;
+    task.worker = entry;
+    if (entry.tasks.size === 0) {
+        entry.worker.ref();
+    }
+    entry.tasks.set(task.id, task);
+
+    try {
+        entry.worker.postMessage({ type: 'run', id: task.id, task: task.name, args: task.args });
+    } catch (error) {
+        // Arguments that cannot be posted
+        finishTask(task, error);
+    }
+}
+
+/**
+ * Start queued tasks while the limits allow
+ * The database served moves to the back, so databases take turns.
+ */
+function pump() {
+    const { maxConcurrentTasks, maxTasksPerDatabase } = getLimits();
+
+    while (runningTasks < maxConcurrentTasks) {
+        const database = [...databases.values()].find(d => d.queue.length > 0 && d.running < maxTasksPerDatabase);
+        if (!database) {
+            return;
+        }
+        databases.delete(database.path);
+        databases.set(database.path, database);
+        startTask(database, database.queue.shift());
+    }
+}
+
+/**
+ * Run a database task
+ * @param {string} name - Task name (a key of DATABASE_TASKS)
+ * @param {Object} args - Task arguments, with `dbPath` and `connection`; plain data only
+ * @param {Object} [context] - Main-thread context
+ * @param {AbortSignal} [context.signal] - Cancels the task (queued or running)
+ * @param {Function} [context.onRow] - Receives streamed rows; may return a promise for backpressure
+ * @returns {Promise<any>} Task result
+ * @throws {Error} The task's error; cancelled tasks fail with code SQLITE_INTERRUPT
+ */
+export function runDatabaseTask(name, args, context = {}) {
+    if (workerCount === null) {
+        workerCount = getWorkerCount(WORKER_CONFIG.workers);
+    }
+
+    const { signal, onRow } = context;
+    if (signal && signal.aborted) {
+        return Promise.reject(createCancelledError());
+    }
+
+    const key = path.resolve(args.dbPath);
+    if (!databases.has(key)) {
+        databases.set(key, { path: key, queue: [], running: 0, worker: null });
+    }
+    const database = databases.get(key);
+
+    return new Promise((resolve, reject) => {
+        const task = {
+            name, args, signal, onRow, resolve, reject,
+            id: null, worker: null, database: null,
+            rows: Promise.resolve(), failure: null, finished: false,
+            release: () => {},
+        };
+
+        if (signal) {
+            const onAbort = () => {
+                const queued = database.queue.indexOf(task);
+                if (queued !== -1) {
+                    database.queue.splice(queued, 1);
+                    reject(createCancelledError());
+                } else if (task.worker && !task.finished) {
+                    task.worker.worker.postMessage({ type: 'abort', id: task.id });
+                }
+                // Without workers the task watches the signal itself
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            task.release = () => signal.removeEventListener('abort', onAbort);
+        }
+
+        database.queue.push(task);
+        pump();
+    });
+}
+
+/**
+ * Get pool usage and saturation
+ * Open connections are counted as of each worker's last finished task.
+ * @returns {Object} Workers, running and queued tasks, limits, busy databases and open connections
+ */
+export function getWorkerPoolStats() {
+    const { maxConcurrentTasks, maxTasksPerDatabase } = getLimits();
+    const count = workerCount === null ? getWorkerCount(WORKER_CONFIG.workers) : workerCount;
+    const busy = [...databases.values()].filter(d => d.running > 0 || d.queue.length > 0);
+    const queuedTasks = busy.reduce((total, d) => total + d.queue.length, 0);
+    const connections = count === 0
+        ? getPoolStats()
+        : workers.reduce((total, entry) => ({
+            open: total.open + entry.pool.open,
+            inUse: total.inUse + entry.pool.inUse,
+            maxConnections: total.maxConnections,
+        }), { open: 0, inUse: 0, maxConnections: getPoolMaxConnections(POOL_CONFIG.maxConnections) });
+
+    return {
+        mode: count === 0 ? 'main_thread' : 'worker_threads',
+        workers: workers.length,
+        maxWorkers: count,
+        busyWorkers: workers.filter(entry => entry.tasks.size > 0).length,
+        runningTasks,
+        queuedTasks,
+        maxConcurrentTasks,
+        maxTasksPerDatabase,
+        saturated: runningTasks >= maxConcurrentTasks,
+        databases: busy.map(d => ({ path: d.path, runningTasks: d.running, queuedTasks: d.queue.length })),
+        // maxConnections applies to each worker
+        connections,
+    };
+}
+
+/**
+ * Close every connection and stop the workers
+ * Called on shutdown; running tasks are not waited for
+ * @returns {Promise<void>}
+ */
+export async function closeWorkerPool() {
+    await closeAllConnections();
+
+    const open = workers.splice(0);
+    await Promise.all(open.map(async (entry) => {
+        await new Promise((resolve) => {
+            entry.onClosed = resolve;
+            entry.worker.once('exit', resolve);
+            // Keep the process up until the worker has closed its connections
+            entry.worker.ref();
+            entry.worker.postMessage({ type: 'close' });
+        });
+        await entry.worker.terminate();
+    }));
+}
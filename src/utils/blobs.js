@@ -0,0 +1,172 @@
+/**
+ * BLOB Utilities
+ * Recognize BLOB contents and encode BLOB values for responses
+ */
+
+import { BLOB_CONFIG } from '../config/constants.js';
+
+/**
+ * Known formats, recognized by their leading (magic) bytes
+ */
+const SIGNATURES = [
+    { kind: 'sqlite', offset: 0, bytes: Buffer.from('SQLite format 3\0', 'latin1') },
+    { kind: 'png', mimeType: 'image/png', offset: 0, bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { kind: 'jpeg', mimeType: 'image/jpeg', offset: 0, bytes: Buffer.from([0xff, 0xd8, 0xff]) },
+    { kind: 'gif', mimeType: 'image/gif', offset: 0, bytes: Buffer.from('GIF8', 'latin1') },
+    { kind: 'webp', mimeType: 'image/webp', offset: 8, bytes: Buffer.from('WEBP', 'latin1'), riff: true },
+    { kind: 'gzip', offset: 0, bytes: Buffer.from([0x1f, 0x8b]) },
+];
+
+/**
+ * Read a protobuf varint
+ * @param {Buffer} buffer - Data
+ * @param {number} offset - Position of the first byte
+ * @returns {{value: number, next: number}|null} Value and position after it, or null if truncated
+ */
+function readVarint(buffer, offset) {
+    let value = 0;
+    let scale = 1;
+    for (let i = offset; i < buffer.length && i < offset + 10; i++) {
+        value += (buffer[i] & 0x7f) * scale;
+        scale *= 128;
+        if ((buffer[i] & 0x80) === 0) {
+            return { value, next: i + 1 };
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether data parses as a sequence of protobuf fields
+ * Protobuf has no magic bytes, so this only says the data is well-formed wire format
+ * (valid tags and lengths that end exactly at the end of the buffer).
+ * @param {Buffer} buffer - Data
+ * @returns {boolean} True if the whole buffer parses as protobuf fields
+ */
+function looksLikeProtobuf(buffer) {
+    let offset = 0;
+    while (offset < buffer.length) {
+        const tag = readVarint(buffer, offset);
+        if (!tag || tag.value < 8) {
+            return false;
+        }
+        offset = tag.next;
+
+        switch (tag.value % 8) {
+            case 0: {
+                const varint = readVarint(buffer, offset);
+                if (!varint) {
+                    return false;
+                }
+                offset = varint.next;
+                break;
+            }
+            case 1:
+                offset += 8;
+                break;
+            case 2: {
+                const length = readVarint(buffer, offset);
+                if (!length) {
+                    return false;
+                }
+                offset = length.next + length.value;
+                break;
+            }
+            case 5:
+                offset += 4;
+                break;
+            default:
+                return false;
+        }
+    }
+    return offset === buffer.length;
+}
+
+/**
+ * Detect what a BLOB contains from its leading bytes
+ * @param {Buffer} buffer - BLOB value
+ * @returns {{kind: string, mimeType?: string}|null} Detected format (png, jpeg, gif, webp, gzip,
+ *   sqlite or protobuf-like), with a MIME type for images; null if unrecognized
+ */
+export function detectBlobKind(buffer) {
+    for (const signature of SIGNATURES) {
+        const { offset, bytes } = signature;
+        if (signature.riff && buffer.toString('latin1', 0, 4) !== 'RIFF') {
+            continue;
+        }
+        if (buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes)) {
+            return signature.mimeType ? { kind: signature.kind, mimeType: signature.mimeType } : { kind: signature.kind };
+        }
+    }
+    if (buffer.length >= 2 && looksLikeProtobuf(buffer)) {
+        return { kind: 'protobuf-like' };
+    }
+    return null;
+}
+
+/**
+ * Encode a BLOB value for a response
+ * @param {Buffer} buffer - BLOB value
+ * @param {string} encoding - summary, hex or base64
+ * @returns {{type: 'blob', bytes: number, kind: string|null, hex_prefix?: string, hex?: string, base64?: string}}
+ *   Encoded BLOB: its size, detected format, and its leading bytes (summary) or full contents
+ */
+export function encodeBlob(buffer, encoding) {
+    const detected = detectBlobKind(buffer);
+    const encoded = { type: 'blob', bytes: buffer.length, kind: detected ? detected.kind : null };
+
+    if (encoding === 'hex') {
+        encoded.hex = buffer.toString('hex');
+    } else if (encoding === 'base64') {
+        encoded.base64 = buffer.toString('base64');
+    } else {
+        encoded.hex_prefix = buffer.subarray(0, BLOB_CONFIG.summaryPrefixBytes).toString('hex');
+    }
+    return encoded;
+}
+
+/**
+ * Encode the BLOB values in result rows
+ * @param {Array<Object>} rows - Result rows
+ * @param {string} encoding - summary, hex or base64
+ * @returns {Array<Object>} Rows with every Buffer replaced by encodeBlob() output
+ *   (rows without BLOBs are returned as they are)
+ */
+export function encodeRowBlobs(rows, encoding) {
+    return rows.map((row) => {
+        if (!Object.values(row).some(value => Buffer.isBuffer(value))) {
+            return row;
+        }
+        const encoded = {};
+        for (const [column, value] of Object.entries(row)) {
+            encoded[column] = Buffer.isBuffer(value) ? encodeBlob(value, encoding) : value;
+        }
+        return encoded;
+    });
+}
+
+/**
+ * Find small image BLOBs in result rows
+ * @param {Array<Object>} rows - Result rows (before encoding)
+ * @param {number} [limit] - Most images to return (default BLOB_CONFIG.maxImagesPerResponse)
+ * @returns {Array<{row: number, column: string, mimeType: string, bytes: number, data: string}>}
+ *   Images in row order, base64-encoded
+ */
+export function findImageBlobs(rows, limit = BLOB_CONFIG.maxImagesPerResponse) {
+    const images = [];
+    for (const [index, row] of rows.entries()) {
+        for (const [column, value] of Object.entries(row)) {
+            if (images.length >= limit) {
+                return images;
+            }
+            if (!Buffer.isBuffer(value) || value.length > BLOB_CONFIG.maxImageBytes) {
+                continue;
+            }
+            const detected = detectBlobKind(value);
+            if (detected && detected.mimeType) {
+                images.push({ row: index + 1, column, mimeType: detected.mimeType, bytes: value.length, data: value.toString('base64') });
+            }
+        }
+    }
+    return images;
+}
@@ -0,0 +1,82 @@
+/**
+ * Pagination Cursors
+ * Opaque cursors that carry everything needed to fetch the next page of a result
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Cursor format version, bumped when the encoded state changes
+ */
+const CURSOR_VERSION = 1;
+
+/**
+ * Key signing the cursors of this process
+ * A cursor carries the database it pages through and the force of its first page, so it
+ * must have been issued here; cursors from before a restart are refused.
+ */
+const SIGNING_KEY = crypto.randomBytes(32);
+
+/**
+ * Sign a cursor payload
+ * @param {string} payload - base64url cursor payload
+ * @returns {string} base64url HMAC-SHA256 of the payload
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', SIGNING_KEY).update(payload).digest('base64url');
+}
+
+/**
+ * Encode a pagination cursor
+ * The cursor is signed base64url JSON: opaque to clients, but not secret - it holds the
+ * query text and parameters, never keys.
+ * @param {string} kind - What the cursor pages through ('query' or 'sample')
+ * @param {Object} state - Request state to resume from, including `offset` and `pageSize`
+ * @returns {string} Cursor
+ */
+export function encodeCursor(kind, state) {
+    const payload = Buffer.from(JSON.stringify({ v: CURSOR_VERSION, kind, ...state }), 'utf8').toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Decode a pagination cursor
+ * Cursors come from clients, so everything resumed from one is validated again by the caller.
+ * @param {any} cursor - Cursor from a previous response
+ * @param {string} kind - Expected kind ('query' or 'sample')
+ * @returns {Object} Decoded state, with integer `offset` and `pageSize`
+ * @throws {Error} If the cursor is malformed, not signed by this process, from another version,
+ *   or for another kind of request
+ */
+export function decodeCursor(cursor, kind) {
+    if (!cursor || typeof cursor !== 'string') {
+        throw new Error('cursor must be a non-empty string');
+    }
+
+    const [payload, signature = ''] = cursor.split('.');
+    const given = Buffer.from(signature);
+    const expected = Buffer.from(sign(payload));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new Error('Invalid cursor: it was not returned by this server or has been modified');
+    }
+
+    let state;
+    try {
+        state = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor: it was not returned by this server or has been modified');
+    }
+
+    if (!state || typeof state !== 'object' || state.v !== CURSOR_VERSION) {
+        throw new Error('Invalid cursor: it was not returned by this server or has been modified');
+    }
+    if (state.kind !== kind) {
+        throw new Error(`Invalid cursor: it was issued for ${state.kind === 'sample' ? 'sample_table_data' : 'execute_query'}`);
+    }
+    if (!Number.isSafeInteger(state.offset) || state.offset < 0 ||
+        !Number.isSafeInteger(state.pageSize) || state.pageSize < 1) {
+        throw new Error('Invalid cursor: bad position');
+    }
+
+    return state;
+}
@@ -1,175 +1,621 @@
 import sqlcipher from '@journeyapps/sqlcipher';
 import fs from 'fs';
+import { CIPHER_CONFIG, QUERY_CONFIG, SQL_CONFIG } from '../config/constants.js';
+import { forgetKeySource, isRawKey, resolveKeySource } from '../config/key-providers.js';
+import { detectDatabaseType } from './detectors.js';
+import { hasTopLevelLimit, validateReadOnlyQuery, validateWriteStatement } from './sql-classifier.js';
+import { bindQueryParams, coerceParamValue, findReferencedTables, findWriteTarget } from './query-params.js';
+import { describeResultColumns, findSelectList } from './result-columns.js';
+import { exactColumnsSql, takeExactIntegers, representLargeIntegers } from './large-integers.js';
+import { describePlanStep, findCostlyPlanSteps, resolvePlanTable } from './query-cost.js';
 
 // Extract Database from the sqlcipher module object
 const Database = sqlcipher.Database;
 
+/**
+ * Normalize the connection argument accepted by connectDatabase
+ * A plain string is treated as a password for backward compatibility.
+ * A single `password` may also be a key source ({ env }, { file }, { command } or
+ * { value }).
+ * @param {string|Object|undefined} connection - Password or connection options
+ * @returns {{keys: Array<{label: string, source: Object}>, cipher: Object, readOnly: boolean}}
+ *   Keys to try in order, cipher settings, and access mode (read-only unless explicitly disabled)
+ */
+function normalizeConnectionOptions(connection) {
+    if (!connection || typeof connection === 'string') {
+        return { keys: connection ? [{ label: 'default', source: { value: connection } }] : [], cipher: {}, readOnly: true };
+    }
+    
+    const { keys, password } = connection;
+    let candidates = keys || [];
+    if (!keys && password) {
+        candidates = [{
+            label: 'default',
+            source: typeof password === 'object' ? password : { value: password },
+        }];
+    }
+    
+    return {
+        keys: candidates,
+        cipher: connection.cipher || {},
+        readOnly: connection.readOnly !== false,
+    };
+}
+
+/**
+ * Open a database file
+ * Read-only handles use SQLITE_OPEN_READONLY so the engine itself refuses writes
+ * @param {string} dbPath - Path to the database file
+ * @param {boolean} readOnly - Open without write access
+ * @returns {Promise<Database>} Opened (not yet keyed) database
+ */
+function openDatabase(dbPath, readOnly) {
+    const mode = readOnly ? sqlcipher.OPEN_READONLY : sqlcipher.OPEN_READWRITE;
+    return new Promise((resolve, reject) => {
+        const db = new Database(dbPath, mode, (err) => {
+            if (err) {
+                return reject(new Error(`Failed to open database: ${err.message}`));
+            }
+            resolve(db);
+        });
+    });
+}
+
+/**
+ * Execute a statement that returns no rows (PRAGMA, etc.)
+ * @param {Database} db - Database connection instance
+ * @param {string} sql - Statement to execute
+ * @returns {Promise<void>}
+ */
+function execStatement(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
+}
+
+/**
+ * Apply SQLCipher cipher settings to an unkeyed connection
+ * Settings are applied in CIPHER_CONFIG.settingOrder: cipher_compatibility first
+ * (it resets the other settings to that version's defaults), then individual overrides.
+ * All values have already been validated, so they are safe to embed.
+ * @param {Database} db - Database connection instance
+ * @param {Object} cipher - Normalized cipher settings
+ * @returns {Promise<void>}
+ */
+async function applyCipherSettings(db, cipher) {
+    for (const name of CIPHER_CONFIG.settingOrder) {
+        if (cipher[name] === undefined) {
+            continue;
+        }
+        
+        const pragma = name === 'compatibility' ? 'cipher_compatibility' : name;
+        try {
+            await execStatement(db, `PRAGMA ${pragma} = ${cipher[name]}`);
+        } catch (err) {
+            throw new Error(`Failed to set ${pragma}: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Build the PRAGMA key statement for a key
+ * Raw keys (x'<hex>') are passed through in double quotes so SQLCipher uses them
+ * directly without key derivation; anything else is a passphrase.
+ * @param {string} key - Passphrase or raw key
+ * @returns {string} PRAGMA key statement
+ */
+function buildKeyPragma(key) {
+    if (isRawKey(key)) {
+        return `PRAGMA key = "${key}"`;
+    }
+    
+    // PRAGMA key does NOT support parameterized queries, so we must embed the password directly
+    // Escape single quotes in password for SQL (double them) and escape backslashes
+    const escapedPassword = key.replace(/\\/g, '\\\\').replace(/'/g, "''");
+    return `PRAGMA key = '${escapedPassword}'`;
+}
+
+/**
+ * Verify the database can actually be read
+ * Reads sqlite_master so a wrong key or wrong cipher settings are detected
+ * (SELECT 1 alone never touches the file)
+ * @param {Database} db - Database connection instance
+ * @returns {Promise<void>}
+ */
+function verifyDatabase(db) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT count(*) AS count FROM sqlite_master', (err) => (err ? reject(err) : resolve()));
+    });
+}
+
+/**
+ * Open an encrypted database with specific cipher settings and key
+ * The handle is closed again if the settings or key do not unlock the file
+ * @param {string} dbPath - Path to the database file
+ * @param {string} password - Database password or raw key (x'<hex>')
+ * @param {Object} cipher - Normalized cipher settings
+ * @param {boolean} readOnly - Open without write access
+ * @returns {Promise<Database>} Unlocked database connection
+ */
+async function unlockDatabase(dbPath, password, cipher, readOnly) {
+    const db = await openDatabase(dbPath, readOnly);
+
+    // Cipher settings must be applied before the key is set
+    try {
+        await applyCipherSettings(db, cipher);
+    } catch (error) {
+        closeConnection(db);
+        throw error;
+    }
+
+    try {
+        await execStatement(db, buildKeyPragma(password));
+    } catch (err) {
+        closeConnection(db);
+        throw new Error(`Failed to set encryption key: ${err.message}`);
+    }
+
+    // Verify the database is accessible
+    // This will throw an error if the password or cipher settings are incorrect
+    try {
+        await verifyDatabase(db);
+    } catch (err) {
+        closeConnection(db);
+        if (err.message.includes('file is not a database') || 
+            err.message.includes('malformed database') ||
+            err.code === 'SQLITE_NOTADB') {
+            throw new Error('Invalid password, wrong cipher settings, or database is corrupted');
+        }
+        throw new Error(`Failed to verify database: ${err.message}`);
+    }
+
+    db.cipherSettings = { ...cipher };
+    return db;
+}
+
+/**
+ * Apply the access mode to an opened (and unlocked) connection
+ * Read-only connections also set query_only, so even statements that the
+ * read-only open flag alone would let through (e.g. on temp tables) are refused.
+ * @param {Database} db - Database connection instance
+ * @param {boolean} readOnly - Whether the connection is read-only
+ * @returns {Promise<Database>} The same connection with `db.readOnly` set
+ */
+async function applyAccessMode(db, readOnly) {
+    if (readOnly) {
+        try {
+            await execStatement(db, 'PRAGMA query_only = ON');
+        } catch (err) {
+            closeConnection(db);
+            throw new Error(`Failed to enable read-only mode: ${err.message}`);
+        }
+    }
+    db.readOnly = readOnly;
+    return db;
+}
+
+/**
+ * Unlock an encrypted database with one key
+ * Uses the configured cipher settings, or tries the detection profiles when none are set
+ * @param {string} dbPath - Path to the database file
+ * @param {string} password - Database password or raw key
+ * @param {Object} cipher - Normalized cipher settings (empty to auto-detect)
+ * @param {boolean} readOnly - Open without write access
+ * @returns {Promise<Database>} Unlocked database connection with `cipherProfile` set
+ */
+async function unlockWithKey(dbPath, password, cipher, readOnly) {
+    if (Object.keys(cipher).length === 0) {
+        const detection = await detectDatabaseType(
+            dbPath,
+            password,
+            (settings) => unlockDatabase(dbPath, password, settings, readOnly)
+        );
+        detection.handle.cipherProfile = detection.profile;
+        return detection.handle;
+    }
+
+    const db = await unlockDatabase(dbPath, password, cipher, readOnly);
+    db.cipherProfile = 'configured';
+    return db;
+}
+
 /**
  * Connects to a SQLite database (encrypted or unencrypted)
  * Supports both SQLCipher-encrypted and plain SQLite databases
  * 
+ * Encryption is detected from the file header. For encrypted files, each key is
+ * read and tried in order, stopping at the first that unlocks the file; explicitly
+ * configured cipher settings are used as-is, otherwise the known SQLCipher profiles
+ * are tried until one unlocks the file (see detectDatabaseType). Plaintext files
+ * read no keys at all.
+ * 
  * @param {string} dbPath - Path to the database file
- * @param {string} [password] - Optional database password (for encrypted databases)
- * @returns {Promise<Database>} Database connection instance
+ * @param {string|Object} [connection] - Password, or connection options
+ * @param {Array} [connection.keys] - Labelled key sources to try in order ({label, source},
+ *   see resolveKeySource)
+ * @param {string|Object} [connection.password] - Single database password, a raw key as
+ *   x'<64 hex chars>' (raw keys skip key derivation), or a key source object
+ * @param {Object} [connection.cipher] - Normalized cipher settings (empty to auto-detect)
+ * @param {boolean} [connection.readOnly=true] - Open read-only; only explicitly writable
+ *   databases pass false
+ * @returns {Promise<Database>} Database connection instance; `db.cipherSettings` holds the
+ *   settings used to unlock it (null for unencrypted databases), `db.cipherProfile`
+ *   names the detected profile ("configured" when settings were given explicitly),
+ *   `db.keyLabel` names the key that unlocked it and `db.readOnly` the access mode
  * @throws {Error} If database file doesn't exist or connection fails
  */
-export function connectDatabase(dbPath, password) {
-    return new Promise((resolve, reject) => {
-        // Validate database path exists
-        if (!fs.existsSync(dbPath)) {
-            return reject(new Error(`Database file not found: ${dbPath}`));
+export async function connectDatabase(dbPath, connection) {
+    const { keys, cipher, readOnly } = normalizeConnectionOptions(connection);
+    
+    // Validate database path exists
+    if (!fs.existsSync(dbPath)) {
+        throw new Error(`Database file not found: ${dbPath}`);
+    }
+
+    // Plaintext SQLite header - open without a key (a configured password is not needed)
+    const detection = await detectDatabaseType(dbPath);
+    if (!detection.isEncrypted) {
+        const db = await openDatabase(dbPath, readOnly);
+        try {
+            await verifyDatabase(db);
+        } catch (err) {
+            closeConnection(db);
+            throw new Error(`Failed to verify database: ${err.message}`);
         }
+        db.cipherSettings = null;
+        db.cipherProfile = null;
+        db.keyLabel = null;
+        return await applyAccessMode(db, readOnly);
+    }
 
-        let db = null;
-        // Open database connection with callback
-        db = new Database(dbPath, (err) => {
-            if (err) {
-                return reject(new Error(`Failed to open database: ${err.message}`));
-            }
+    // Keys are read one at a time, so the ones after the key that unlocks the file are never read.
+    // A key that cannot be read (unset variable, missing file) does not stop the remaining keys;
+    // it is reported by label with the reason (never a value).
+    const tried = [];
+    const unavailable = [];
+    let lastError;
+    for (const { label, source } of keys) {
+        let password;
+        try {
+            password = await resolveKeySource(source, `key "${label}"`);
+        } catch (error) {
+            unavailable.push(`${label} (${error.message})`);
+            continue;
+        }
+        if (password.trim() === '') {
+            continue;
+        }
 
-            // If no password provided, treat as unencrypted SQLite database
-            if (!password || password.trim() === '') {
-                // Verify the database is accessible by running a simple query
-                db.get('SELECT 1', (getErr, row) => {
-                    if (getErr) {
-                        db.close((closeErr) => {
-                            // Ignore close errors
-                        });
-                        return reject(new Error(`Failed to verify database: ${getErr.message}`));
-                    }
-                    resolve(db);
-                });
-                return;
-            }
+        tried.push(label);
+        try {
+            const db = await unlockWithKey(dbPath, password, cipher, readOnly);
+            db.keyLabel = label;
+            return await applyAccessMode(db, readOnly);
+        } catch (error) {
+            forgetKeySource(source);
+            lastError = error;
+        }
+    }
 
-            // Password provided - treat as encrypted SQLCipher database
-            // Explicitly set SQLCipher 3 compatibility mode
-            // This ensures SQLCipher 3 defaults are used:
-            // - Page size: 1024 bytes
-            // - PBKDF2 iterations: 64,000
-            // - KDF algorithm: PBKDF2-HMAC-SHA1
-            // - HMAC algorithm: HMAC-SHA1
-            db.exec('PRAGMA cipher_compatibility = 3', (compatErr) => {
-                if (compatErr) {
-                    db.close((closeErr) => {
-                        // Ignore close errors
-                    });
-                    return reject(new Error(`Failed to set SQLCipher 3 compatibility: ${compatErr.message}`));
-                }
+    if (tried.length === 0) {
+        throw new Error(
+            unavailable.length > 0
+                ? `Database is encrypted but no key could be read: ${unavailable.join('; ')}`
+                : 'Database is encrypted but no password is configured. Set SQLCIPHER_PASSWORD, SQLCIPHER_PASSWORD_FILE or SQLCIPHER_PASSWORD_COMMAND, or add a key ring entry.'
+        );
+    }
 
-                // Set SQLCipher 3 default encryption settings
-                // PRAGMA key sets the encryption key using SQLCipher 3 defaults
-                // PRAGMA key does NOT support parameterized queries, so we must embed the password directly
-                // Escape single quotes in password for SQL (double them) and escape backslashes
-                const escapedPassword = password.replace(/\\/g, '\\\\').replace(/'/g, "''");
-                
-                // Use db.exec() with callback for PRAGMA key
-                db.exec(`PRAGMA key = '${escapedPassword}'`, (execErr) => {
-                    if (execErr) {
-                        db.close((closeErr) => {
-                            // Ignore close errors
-                        });
-                        return reject(new Error(`Failed to set encryption key: ${execErr.message}`));
-                    }
-                    
-                    // Verify the database is accessible by running a simple query
-                    // This will throw an error if the password is incorrect
-                    db.get('SELECT 1', (getErr, row) => {
-                        if (getErr) {
-                            db.close((closeErr) => {
-                                // Ignore close errors
-                            });
+    // A single key keeps the specific error (wrong settings, unsupported profile, ...)
+    if (tried.length === 1 && unavailable.length === 0) {
+        throw lastError;
+    }
 
-                            if (getErr.message.includes('file is not a database') || 
-                                getErr.message.includes('malformed database') ||
-                                getErr.code === 'SQLITE_NOTADB') {
-                                return reject(new Error('Invalid password or database is corrupted'));
-                            }
-                            return reject(new Error(`Failed to verify database: ${getErr.message}`));
-                        }
-                        
-                        resolve(db);
-                    });
-                });
+    let message = `None of the keys unlocked the database (tried: ${tried.join(', ')})`;
+    if (unavailable.length > 0) {
+        message += `. Keys that could not be read: ${unavailable.join('; ')}`;
+    }
+    throw new Error(message);
+}
+
+/**
+ * Create the error reported for an interrupted statement
+ * Its `code` is SQLITE_INTERRUPT so the pool discards the connection.
+ * @param {string} message - Error message
+ * @returns {Error} Interrupt error
+ */
+function createInterruptError(message) {
+    const error = new Error(message);
+    error.code = 'SQLITE_INTERRUPT';
+    return error;
+}
+
+/**
+ * Interrupt a connection's running statement on timeout or when a signal aborts
+ * @param {Database} db - Database connection instance
+ * @param {number} [timeoutMs] - Interrupt after this many milliseconds
+ * @param {AbortSignal} [signal] - Interrupt when aborted (client cancelled)
+ * @param {number} [started] - performance.now() the timeout counts from, when statements
+ *   before this one used part of it (default: now)
+ * @returns {{error: Function, release: Function}} Guard; error() returns the interrupt
+ *   error once triggered (null before), release() stops watching
+ * @throws {Error} If the timeout has already run out
+ */
+function createInterruptGuard(db, timeoutMs, signal, started = performance.now()) {
+    const timedOut = `Query timed out after ${timeoutMs} ms and was interrupted`;
+    const remainingMs = timeoutMs ? started + timeoutMs - performance.now() : null;
+    if (remainingMs !== null && remainingMs <= 0) {
+        throw createInterruptError(timedOut);
+    }
+    let reason = null;
+
+    const interrupt = (message) => {
+        if (!reason) {
+            reason = message;
+            db.interrupt();
+        }
+    };
+    const onAbort = () => interrupt('Query was cancelled by the client and interrupted');
+    const timer = timeoutMs ? setTimeout(() => interrupt(timedOut), remainingMs) : null;
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return {
+        error: () => (reason ? createInterruptError(reason) : null),
+        release: () => {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        },
+    };
+}
+
+/**
+ * Load the columns of the tables a statement refers to
+ * @param {Database} db - Database connection instance
+ * @param {Array<{table: string}>} tables - Table references from findReferencedTables()
+ * @returns {Promise<Map<string, Array<{name: string, type: string}>>>} Columns in table order,
+ *   keyed by lower-case table name
+ */
+async function loadTableColumns(db, tables) {
+    const tableColumns = new Map();
+    for (const { table } of tables) {
+        const name = table.toLowerCase();
+        if (!tableColumns.has(name)) {
+            // CTE names and table-valued functions have no table_info
+            const columns = await new Promise((resolve) => {
+                db.all(`PRAGMA table_info("${table.replace(/"/g, '""')}")`, (err, rows) => resolve(err ? [] : rows || []));
             });
-        });
-    });
+            tableColumns.set(name, columns);
+        }
+    }
+    return tableColumns;
 }
 
 /**
- * Validates that a SQL query is a SELECT query (read-only)
- * 
- * @param {string} query - SQL query string
- * @returns {boolean} True if query is a SELECT query
- * @throws {Error} If query is not a SELECT query
+ * Coerce bound parameter values to the declared types of the columns they are compared with
+ * Columns are looked up in the tables the statement reads from; parameters whose
+ * column cannot be determined are bound unchanged.
+ * @param {Database} db - Database connection instance
+ * @param {Array<Object>} tokens - Statement tokens
+ * @param {{values: Array|Object|undefined, slots: Array<Object>}} binding - Result of bindQueryParams()
+ * @returns {Promise<Array|Object|undefined>} Values to bind
  */
-function validateSelectQuery(query) {
-    if (!query || typeof query !== 'string') {
-        throw new Error('Query must be a non-empty string');
+async function coerceQueryParams(db, tokens, binding) {
+    const compared = binding.slots.filter(slot => slot.column);
+    if (compared.length === 0) {
+        return binding.values;
     }
 
-    // Trim and normalize whitespace
-    const normalizedQuery = query.trim().replace(/\s+/g, ' ');
+    const tables = findReferencedTables(tokens);
+    const tableColumns = await loadTableColumns(db, tables);
+    const findColumn = (table, name) => tableColumns.get(table.toLowerCase()).find(c => c.name.toLowerCase() === name);
 
-    // Check if query starts with SELECT (case-insensitive)
-    if (!normalizedQuery.match(/^SELECT\s+/i)) {
-        throw new Error('Only SELECT queries are allowed (read-only mode)');
+    const values = Array.isArray(binding.values) ? [...binding.values] : { ...binding.values };
+    for (const { key, column } of compared) {
+        const qualifier = column.qualifier && column.qualifier.toLowerCase();
+        const name = column.column.toLowerCase();
+        const candidates = qualifier
+            ? tables.filter(t => (t.alias || t.table).toLowerCase() === qualifier)
+            : tables;
+        const owner = candidates.find(t => findColumn(t.table, name));
+        if (owner) {
+            values[key] = coerceParamValue(values[key], findColumn(owner.table, name).type);
+        }
     }
+    return values;
+}
 
-    // Additional check: ensure no DDL or DML keywords are present
-    const forbiddenKeywords = [
-        'INSERT', 'UPDATE', 'DELETE', 'DROP', 'CREATE', 'ALTER', 
-        'TRUNCATE', 'REPLACE', 'PRAGMA'
-    ];
-    
-    const upperQuery = normalizedQuery.toUpperCase();
-    for (const keyword of forbiddenKeywords) {
-        // Check for keyword followed by space or semicolon (to avoid false positives)
-        const regex = new RegExp(`\\b${keyword}\\s+`, 'i');
-        if (regex.test(normalizedQuery) && keyword !== 'SELECT') {
-            throw new Error(`Query contains forbidden keyword: ${keyword}. Only SELECT queries are allowed.`);
+/**
+ * Read the column names of a row-producing statement without running it
+ * The driver does not expose a prepared statement's columns, so the statement is
+ * left-joined, cut to LIMIT 0, onto a single row: SQLite stops before reading any of its
+ * rows, and the join yields one row of NULLs carrying the names.
+ * @param {Database} db - Database connection instance
+ * @param {string} statement - SELECT, VALUES or WITH statement (without trailing semicolon)
+ * @param {Array|Object|undefined} values - Bound parameter values
+ * @param {{timeoutMs?: number, signal?: AbortSignal, started?: number}} options - Limits for the
+ *   probe; the timeout counts from `started`, so the probe and the statement share one budget
+ * @returns {Promise<string[]>} Column names (empty if they cannot be read)
+ * @throws {Error} If the probe times out or is cancelled
+ */
+async function readColumnNames(db, statement, values, options) {
+    const guard = createInterruptGuard(db, options.timeoutMs, options.signal, options.started);
+    try {
+        const probe = await allRows(db, `SELECT q.* FROM (SELECT 1) LEFT JOIN (SELECT * FROM (\n${statement}\n) LIMIT 0) AS q`, values);
+        return probe.length > 0 ? Object.keys(probe[0]) : [];
+    } catch (error) {
+        if (guard.error()) {
+            throw guard.error();
+        }
+        if (options.signal && options.signal.aborted) {
+            throw createInterruptError('Query was cancelled by the client and interrupted');
         }
+        return [];
+    } finally {
+        guard.release();
     }
+}
 
-    return true;
+/**
+ * Describe the columns of a query result: name, declared type, origin table and
+ * column, and the storage class of the returned values
+ * The driver does not expose SQLite's column metadata, so it is worked out from the
+ * statement's SELECT list and the tables it reads. When no rows come back, the column
+ * names are read with readColumnNames().
+ * @param {Database} db - Database connection instance
+ * @param {string} statement - Statement text (without trailing semicolon)
+ * @param {Array<Object>} tokens - Statement tokens
+ * @param {string} type - Statement type from the classifier
+ * @param {Array|Object|undefined} values - Bound parameter values
+ * @param {Array<Object>} rows - Result rows
+ * @param {{timeoutMs?: number, signal?: AbortSignal, started?: number}} options - Limits for the name probe
+ * @returns {Promise<Array<Object>>} Column descriptions (empty if the names cannot be found)
+ */
+async function describeColumns(db, statement, tokens, type, values, rows, options) {
+    let names = rows.length > 0 ? Object.keys(rows[0]) : [];
+
+    // Pragmas and EXPLAIN cannot be subqueries; an empty pragma result stays without names.
+    // A failed probe leaves the (complete) result without column names; a timeout or cancel still fails.
+    if (names.length === 0 && ['select', 'values', 'with'].includes(type)) {
+        names = await readColumnNames(db, statement, values, options);
+    }
+    if (names.length === 0) {
+        return [];
+    }
+
+    const selectList = type === 'select' || type === 'with' ? findSelectList(tokens) : null;
+    const tables = selectList ? findReferencedTables(selectList.fromTokens) : [];
+    const tableColumns = await loadTableColumns(db, tables);
+    return describeResultColumns(names, selectList && selectList.items, tables, tableColumns, rows);
+}
+
+/**
+ * Read all rows of a row-producing statement, keeping integers beyond Number.MAX_SAFE_INTEGER exact
+ * The driver returns every INTEGER as a double. The column names are probed first
+ * (readColumnNames), so the statement itself is read once, through exactColumnsSql().
+ * @param {Database} db - Database connection instance
+ * @param {string} sql - Row-producing statement that can be used as a subquery
+ * @param {Array|Object|undefined} values - Bound parameter values
+ * @returns {Promise<Array<Object>>} Rows, large integers as BigInts
+ */
+async function allRowsWithExactIntegers(db, sql, values) {
+    const names = await readColumnNames(db, sql, values, {});
+    if (names.length === 0) {
+        return allRows(db, sql, values);
+    }
+    const rows = await allRows(db, `SELECT ${exactColumnsSql(names)} FROM (\n${sql}\n)`, values);
+    return rows.map(row => takeExactIntegers(row, names));
+}
+
+/**
+ * Read all rows of a statement, keeping integers beyond Number.MAX_SAFE_INTEGER exact
+ * Callback style, like db.all(), for the statistics and sampling functions.
+ * @param {Database} db - Database connection instance
+ * @param {string} sql - Row-producing statement that can be used as a subquery
+ * @param {Array} params - Bound parameter values
+ * @param {string} largeIntegers - 'string', 'bigint' or 'number' (see QUERY_CONFIG.largeIntegerModes)
+ * @param {Function} callback - Called with (err, rows)
+ */
+function allRowsExact(db, sql, params, largeIntegers, callback) {
+    (largeIntegers === 'number' ? allRows(db, sql, params) : allRowsWithExactIntegers(db, sql, params))
+        .then(rows => representLargeIntegers(rows, largeIntegers))
+        .then(rows => callback(null, rows), err => callback(err));
 }
 
 /**
- * Executes a SELECT query on the database and returns results
+ * Executes a read-only query on the database and returns results
+ * A running statement is stopped with sqlite3_interrupt() when the timeout expires
+ * or the signal aborts; the rejection then has `code` SQLITE_INTERRUPT so the
+ * caller can discard the connection.
  * 
  * @param {Database} db - Database connection instance
- * @param {string} query - SQL SELECT query to execute
- * @returns {Promise<Object>} Query results with columns, rows, and rowCount
- * @throws {Error} If query is invalid or execution fails
+ * @param {string} query - Read-only SQL query (SELECT, VALUES, WITH ... SELECT, EXPLAIN or an allowed PRAGMA)
+ * @param {Array|Object} [params] - Values for the query's placeholders: an array for `?` / `?NNN`,
+ *   an object for `:name`, `@name` and `$name` (keys with or without the prefix)
+ * @param {Object} [options] - Execution options
+ * @param {number} [options.timeoutMs] - Interrupt the statement after this many milliseconds
+ * @param {AbortSignal} [options.signal] - Interrupt the statement when aborted (client cancelled)
+ * @param {number} [options.pageSize] - Return at most this many rows, starting at `options.offset`
+ * @param {number} [options.offset] - Rows to skip before the page (default 0)
+ * @param {string} [options.largeIntegers] - How integers beyond Number.MAX_SAFE_INTEGER are returned:
+ *   'string' (default), 'bigint' (string with an "n" suffix) or 'number' (rounded)
+ * @param {number} [options.autoLimit] - Read at most this many rows from an unpaginated
+ *   row-producing statement without a LIMIT of its own
+ * @returns {Promise<Object>} Query results with columns, column_info (declared type, origin
+ *   and storage class of each column), rows, and rowCount; paginated results also have
+ *   offset, page_size and has_more, and automatically limited ones auto_limit and has_more
+ * @throws {Error} If query is invalid, the parameters do not match its placeholders,
+ *   execution fails, or the query times out or is cancelled
  */
-export function executeQuery(db, query) {
-    return new Promise((resolve, reject) => {
-        // Validate query is a SELECT query
-        try {
-            validateSelectQuery(query);
-        } catch (validationError) {
-            return reject(validationError);
-        }
+export async function executeQuery(db, query, params, options = {}) {
+    const { timeoutMs, signal, pageSize, offset = 0, autoLimit, largeIntegers = QUERY_CONFIG.defaultLargeIntegers } = options;
+
+    // Validate query is a single read-only statement, and match its parameters
+    const { type, tokens } = validateReadOnlyQuery(query);
+    const values = await coerceQueryParams(db, tokens, bindQueryParams(tokens, params));
+
+    // Pages of row-producing statements are cut by SQLite, so skipped rows never reach
+    // JavaScript; one extra row tells whether another page follows. Pragmas and EXPLAIN
+    // cannot be used as subqueries, and their (small) results are sliced instead.
+    // Statements without a LIMIT get one the same way, unless they are paginated.
+    const statement = query.slice(tokens[0].start, tokens[tokens.length - 1].end);
+    const paginated = pageSize !== undefined;
+    const rowProducing = ['select', 'values', 'with'].includes(type);
+    const pagedInSql = paginated && rowProducing;
+    const limited = !paginated && autoLimit !== undefined && rowProducing && !hasTopLevelLimit(tokens);
+
+    if (signal && signal.aborted) {
+        throw createInterruptError('Query was cancelled by the client before it started');
+    }
+
+    // Large integers are read as text next to their columns, in the same pass.
+    // The name probes and the statement share the timeout.
+    const started = performance.now();
+    const exactNames = largeIntegers !== 'number' && rowProducing
+        ? await readColumnNames(db, statement, values, { timeoutMs, signal, started })
+        : [];
+    const selectList = exactNames.length > 0 ? exactColumnsSql(exactNames) : '*';
+    let sql = query;
+    if (pagedInSql) {
+        sql = `SELECT ${selectList} FROM (\n${statement}\n) LIMIT ${pageSize + 1} OFFSET ${offset}`;
+    } else if (limited) {
+        sql = `SELECT ${selectList} FROM (\n${statement}\n) LIMIT ${autoLimit + 1}`;
+    } else if (exactNames.length > 0) {
+        sql = `SELECT ${selectList} FROM (\n${statement}\n)`;
+    }
+
+    const result = await new Promise((resolve, reject) => {
+        const guard = createInterruptGuard(db, timeoutMs, signal, started);
+        const fail = (error) => {
+            guard.release();
+            reject(guard.error() || error);
+        };
 
         // Prepare and execute the query with callback
-        const statement = db.prepare(query, (prepareErr) => {
+        const statement = db.prepare(sql, values === undefined ? [] : values, (prepareErr) => {
             if (prepareErr) {
-                return reject(new Error(`Query preparation failed: ${prepareErr.message}`));
+                return fail(new Error(`Query preparation failed: ${prepareErr.message}`));
             }
             
             // Execute query with callback - statement.all() requires a callback
-            statement.all((allErr, rows) => {
+            statement.all((allErr, rawRows) => {
+                statement.finalize();
                 if (allErr) {
-                    statement.finalize();
                     if (allErr.message.includes('no such table')) {
-                        return reject(new Error(`Table not found: ${allErr.message}`));
+                        return fail(new Error(`Table not found: ${allErr.message}`));
                     } else if (allErr.message.includes('no such column')) {
-                        return reject(new Error(`Column not found: ${allErr.message}`));
+                        return fail(new Error(`Column not found: ${allErr.message}`));
                     } else if (allErr.message.includes('syntax error')) {
-                        return reject(new Error(`SQL syntax error: ${allErr.message}`));
+                        return fail(new Error(`SQL syntax error: ${allErr.message}`));
                     }
-                    return reject(new Error(`Query execution failed: ${allErr.message}`));
+                    return fail(new Error(`Query execution failed: ${allErr.message}`));
                 }
+                guard.release();
+                const rows = exactNames.length > 0
+                    ? (rawRows || []).map(row => takeExactIntegers(row, exactNames))
+                    : rawRows;
 
                 // Get column names from the first row
                 let columns = [];
@@ -177,42 +623,376 @@ export function executeQuery(db, query) {
                     columns = Object.keys(rows[0]);
                 }
 
-                // Finalize the statement
-                statement.finalize();
+                if (limited) {
+                    const all = rows || [];
+                    const kept = all.slice(0, autoLimit);
+                    return resolve({
+                        columns: columns,
+                        rows: kept,
+                        rowCount: kept.length,
+                        auto_limit: autoLimit,
+                        has_more: all.length > autoLimit
+                    });
+                }
+
+                if (!paginated) {
+                    return resolve({
+                        columns: columns,
+                        rows: rows || [],
+                        rowCount: rows ? rows.length : 0
+                    });
+                }
+
+                let page = rows || [];
+                if (!pagedInSql) {
+                    page = page.slice(offset, offset + pageSize + 1);
+                }
+                const hasMore = page.length > pageSize;
+                page = page.slice(0, pageSize);
 
                 resolve({
                     columns: columns,
-                    rows: rows || [],
-                    rowCount: rows ? rows.length : 0
+                    rows: page,
+                    rowCount: page.length,
+                    offset: offset,
+                    page_size: pageSize,
+                    has_more: hasMore
                 });
             });
         });
     });
+
+    // Column names and types, also when no rows came back
+    const columnInfo = await describeColumns(db, statement, tokens, type, values, result.rows, { timeoutMs, signal, started });
+    return {
+        ...result,
+        columns: columnInfo.map(column => column.name),
+        column_info: columnInfo,
+        rows: representLargeIntegers(result.rows, largeIntegers),
+    };
 }
 
 /**
- * Closes a database connection
- * Ensures all statements are finalized before closing
+ * Stream the rows of a read-only query one at a time
+ * Rows are stepped with statement.get() rather than db.each(), because each() cannot
+ * be paused: the next row is only fetched once onRow's promise settles, so a slow
+ * consumer holds back the query instead of rows piling up in memory.
  * 
  * @param {Database} db - Database connection instance
+ * @param {string} query - Read-only SQL query
+ * @param {Array|Object} [params] - Values for the query's placeholders
+ * @param {Function} onRow - Called with (row, columns) for each row; may return a promise to apply backpressure
+ * @param {Object} [options] - Execution options
+ * @param {number} [options.timeoutMs] - Interrupt the statement after this many milliseconds
+ * @param {AbortSignal} [options.signal] - Stop streaming when aborted (client disconnected)
+ * @param {string} [options.largeIntegers] - How integers beyond Number.MAX_SAFE_INTEGER are returned,
+ *   as in executeQuery()
+ * @returns {Promise<{columns: string[], rowCount: number}>} Columns and number of rows streamed
+ * @throws {Error} If the query is invalid, execution fails, or it times out or is cancelled
  */
-export function closeConnection(db) {
-    if (!db || typeof db.close !== 'function') {
-        return;
+export async function streamQuery(db, query, params, onRow, options = {}) {
+    const { timeoutMs, signal, largeIntegers = QUERY_CONFIG.defaultLargeIntegers } = options;
+
+    const { type, tokens } = validateReadOnlyQuery(query);
+    const values = await coerceQueryParams(db, tokens, bindQueryParams(tokens, params));
+
+    if (signal && signal.aborted) {
+        throw createInterruptError('Query was cancelled by the client before it started');
     }
 
+    // Large integers are read as text next to their columns, as in executeQuery()
+    const started = performance.now();
+    const statementText = query.slice(tokens[0].start, tokens[tokens.length - 1].end);
+    const exactNames = largeIntegers !== 'number' && ['select', 'values', 'with'].includes(type)
+        ? await readColumnNames(db, statementText, values, { timeoutMs, signal, started })
+        : [];
+    const sql = exactNames.length > 0 ? `SELECT ${exactColumnsSql(exactNames)} FROM (\n${statementText}\n)` : query;
+
+    const guard = createInterruptGuard(db, timeoutMs, signal, started);
+    let statement = null;
+    let columns = [];
+    let rowCount = 0;
+
     try {
-        // Close with callback to handle any errors gracefully
-        db.close((err) => {
-            if (err) {
-                // Log but don't throw - closing should be best effort
-                console.error('Error closing database connection:', err.message);
-            }
+        statement = await new Promise((resolve, reject) => {
+            const prepared = db.prepare(sql, values === undefined ? [] : values, (err) => {
+                if (err) {
+                    return reject(new Error(`Query preparation failed: ${err.message}`));
+                }
+                resolve(prepared);
+            });
         });
+
+        for (;;) {
+            let row = await new Promise((resolve, reject) => {
+                statement.get((err, result) => {
+                    if (err) {
+                        return reject(new Error(`Query execution failed: ${err.message}`));
+                    }
+                    resolve(result);
+                });
+            });
+
+            // An abort while waiting on the consumer interrupts nothing, so check between rows too
+            if (guard.error()) {
+                throw guard.error();
+            }
+            if (row === undefined) {
+                break;
+            }
+            if (exactNames.length > 0) {
+                [row] = representLargeIntegers([takeExactIntegers(row, exactNames)], largeIntegers);
+            }
+
+            if (rowCount === 0) {
+                columns = Object.keys(row);
+            }
+            rowCount++;
+            await onRow(row, columns);
+        }
+    } catch (error) {
+        throw guard.error() || error;
+    } finally {
+        guard.release();
+        if (statement) {
+            statement.finalize();
+        }
+    }
+
+    return { columns, rowCount };
+}
+
+/**
+ * Run a statement that may return rows, collecting them
+ * @param {Database} db - Database connection instance
+ * @param {string} sql - Statement to run
+ * @param {Array|Object|undefined} values - Bound parameter values
+ * @returns {Promise<Array>} Rows
+ */
+function allRows(db, sql, values) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, values === undefined ? [] : values, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+    });
+}
+
+/**
+ * Read the columns RETURNING * yields for the target table of a DML statement
+ * @param {Database} db - Database connection instance
+ * @param {Array<Object>} tokens - Statement tokens
+ * @param {Object} verb - The statement's verb token
+ * @returns {Promise<string[]>} Column names (empty if the table cannot be found)
+ */
+async function readWriteTargetColumns(db, tokens, verb) {
+    const target = findWriteTarget(tokens, verb);
+    if (!target) {
+        return [];
+    }
+    const quote = name => `"${name.replace(/"/g, '""')}"`;
+    const schema = target.schema ? `${quote(target.schema)}.` : '';
+    try {
+        // Hidden columns of virtual tables are left out of *
+        const columns = await allRows(db, `PRAGMA ${schema}table_xinfo(${quote(target.table)})`);
+        return columns.filter(column => column.hidden !== 1).map(column => column.name);
     } catch (error) {
-        // Log but don't throw - closing should be best effort
-        console.error('Error closing database connection:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Executes a single write statement inside a transaction
+ * The statement runs between BEGIN IMMEDIATE and COMMIT; any failure rolls it back.
+ * With dryRun the statement runs, the rows it affected are captured (via RETURNING for
+ * INSERT / UPDATE / DELETE / REPLACE) and the transaction is rolled back.
+ * The caller must hold the connection to itself until this returns (withConnection's
+ * `exclusive` option), so no other call reads the uncommitted changes.
+ * 
+ * @param {Database} db - Writable database connection
+ * @param {string} query - INSERT, UPDATE, DELETE, REPLACE, CREATE, DROP or ALTER statement
+ * @param {Array|Object} [params] - Values for the statement's placeholders
+ * @param {Object} [options] - Execution options
+ * @param {boolean} [options.dryRun] - Roll back instead of committing, and preview affected rows
+ * @param {number} [options.timeoutMs] - Interrupt the statement after this many milliseconds
+ * @param {AbortSignal} [options.signal] - Interrupt the statement when aborted (client cancelled)
+ * @param {string} [options.largeIntegers] - How integers beyond Number.MAX_SAFE_INTEGER are returned
+ *   in preview rows, as in executeQuery() (a statement's own RETURNING clause is read as it is)
+ * @returns {Promise<Object>} Result with statement_type, changes, lastID, dry_run, committed
+ *   and (for dry-run DML) preview rows
+ * @throws {Error} If the connection is read-only, the statement is not allowed, or it fails
+ */
+export async function executeWrite(db, query, params, options = {}) {
+    const { dryRun = false, timeoutMs, signal, largeIntegers = QUERY_CONFIG.defaultLargeIntegers } = options;
+
+    if (db.readOnly !== false) {
+        throw new Error('The connection is read-only; execute_write needs a database alias marked read_only: false');
+    }
+
+    const { verb, token: verbToken, tokens } = validateWriteStatement(query);
+    const values = await coerceQueryParams(db, tokens, bindQueryParams(tokens, params));
+
+    // Dry runs of DML return the affected rows; add RETURNING * unless the statement has its own.
+    // Its columns are listed with exactColumnsSql() where they are known, to keep large integers exact.
+    const statement = query.slice(tokens[0].start, tokens[tokens.length - 1].end);
+    const isDml = SQL_CONFIG.dmlStatements.includes(verb);
+    const hasReturning = tokens.some(token => token.type === 'word' && token.upper === 'RETURNING');
+    const addReturning = dryRun && isDml && !hasReturning;
+    const exactNames = addReturning && largeIntegers !== 'number' ? await readWriteTargetColumns(db, tokens, verbToken) : [];
+    let sql = statement;
+    if (addReturning) {
+        sql = `${statement}\nRETURNING ${exactNames.length > 0 ? exactColumnsSql(exactNames) : '*'}`;
     }
+
+    if (signal && signal.aborted) {
+        throw createInterruptError('Query was cancelled by the client before it started');
+    }
+
+    const guard = createInterruptGuard(db, timeoutMs, signal);
+    try {
+        await execStatement(db, 'BEGIN IMMEDIATE');
+        try {
+            const rows = (await allRows(db, sql, values))
+                .map(row => (exactNames.length > 0 ? takeExactIntegers(row, exactNames) : row));
+            const countsSql = 'SELECT changes() AS changes, last_insert_rowid() AS lastID';
+            const [counts] = representLargeIntegers(
+                await allRowsWithExactIntegers(db, countsSql, undefined),
+                QUERY_CONFIG.defaultLargeIntegers
+            );
+            await execStatement(db, dryRun ? 'ROLLBACK' : 'COMMIT');
+
+            const result = {
+                statement_type: verb.toUpperCase(),
+                // changes() keeps the count of the last DML statement, so it means nothing after DDL
+                changes: isDml ? counts.changes : 0,
+                lastID: verb === 'insert' || verb === 'replace' ? counts.lastID : null,
+                dry_run: dryRun,
+                committed: !dryRun,
+            };
+
+            if (dryRun && isDml) {
+                result.preview = {
+                    columns: rows.length > 0 ? Object.keys(rows[0]) : [],
+                    rows: representLargeIntegers(rows.slice(0, QUERY_CONFIG.maxDisplayRows), largeIntegers),
+                    rowCount: rows.length,
+                };
+            }
+
+            return result;
+        } catch (error) {
+            // SQLite may already have rolled back (e.g. after an interrupt)
+            await execStatement(db, 'ROLLBACK').catch(() => {});
+            throw error;
+        }
+    } catch (error) {
+        throw guard.error() || new Error(`Write failed: ${error.message}`);
+    } finally {
+        guard.release();
+    }
+}
+
+/**
+ * Executes several read-only queries inside one read transaction
+ * All statements run between BEGIN DEFERRED and COMMIT on the same connection, so
+ * they read one consistent snapshot even while another process writes to the file.
+ * A failing statement is reported in its result and, unless stopOnError is set,
+ * the remaining statements still run. Cancelling (signal) aborts the whole batch.
+ * As for executeWrite(), the caller must hold the connection to itself.
+ * 
+ * @param {Database} db - Database connection instance
+ * @param {Array<{query: string, params?: Array|Object, force?: boolean}>} statements - Queries in order
+ * @param {Object} [options] - Execution options
+ * @param {boolean} [options.stopOnError] - Skip the remaining statements after the first failure
+ * @param {number} [options.timeoutMs] - Interrupt each statement after this many milliseconds
+ * @param {AbortSignal} [options.signal] - Interrupt the batch when aborted (client cancelled)
+ * @param {string} [options.largeIntegers] - How integers beyond Number.MAX_SAFE_INTEGER are returned
+ * @param {Function} [options.checkStatement] - Called with each statement before it runs; resolves
+ *   to an analysis kept as the statement's `cost_analysis`, or rejects to fail the statement
+ * @returns {Promise<Object>} One result per statement (in order) with timing, plus totals
+ * @throws {Error} If the transaction cannot be started or the batch is cancelled
+ */
+export async function executeBatch(db, statements, options = {}) {
+    const { stopOnError = false, timeoutMs, signal, largeIntegers, checkStatement } = options;
+    const elapsed = (since) => Math.round((performance.now() - since) * 100) / 100;
+
+    const started = performance.now();
+    const results = [];
+    let failed = false;
+
+    await execStatement(db, 'BEGIN DEFERRED');
+    try {
+        for (const [index, statement] of statements.entries()) {
+            const { query, params } = statement;
+            if (signal && signal.aborted) {
+                throw createInterruptError('Batch was cancelled by the client');
+            }
+            if (failed && stopOnError) {
+                results.push({ index, query, success: false, skipped: true });
+                continue;
+            }
+
+            const statementStarted = performance.now();
+            try {
+                const costAnalysis = checkStatement ? await checkStatement(statement) : null;
+                const result = await executeQuery(db, query, params, { timeoutMs, signal, largeIntegers });
+                results.push({
+                    index, query, success: true, ...result,
+                    ...(costAnalysis && { cost_analysis: costAnalysis }),
+                    duration_ms: elapsed(statementStarted),
+                });
+            } catch (error) {
+                if (signal && signal.aborted) {
+                    throw error;
+                }
+                failed = true;
+                results.push({
+                    index, query, success: false, error: error.message,
+                    ...(error.costAnalysis && { cost_analysis: error.costAnalysis }),
+                    duration_ms: elapsed(statementStarted),
+                });
+            }
+        }
+    } finally {
+        // Only reads ran, so this just ends the snapshot
+        await execStatement(db, 'COMMIT').catch(() => {});
+    }
+
+    return {
+        statements: results,
+        statement_count: results.length,
+        succeeded: results.filter(result => result.success).length,
+        failed: results.filter(result => !result.success && !result.skipped).length,
+        skipped: results.filter(result => result.skipped).length,
+        stop_on_error: stopOnError,
+        duration_ms: elapsed(started),
+    };
+}
+
+/**
+ * Closes a database connection
+ * Ensures all statements are finalized before closing
+ * 
+ * @param {Database} db - Database connection instance
+ * @returns {Promise<void>} Resolves once the connection is closed (never rejects)
+ */
+export function closeConnection(db) {
+    return new Promise((resolve) => {
+        if (!db || typeof db.close !== 'function') {
+            return resolve();
+        }
+
+        try {
+            // Close with callback to handle any errors gracefully
+            db.close((err) => {
+                if (err) {
+                    // Log but don't throw - closing should be best effort
+                    console.error('Error closing database connection:', err.message);
+                }
+                resolve();
+            });
+        } catch (error) {
+            // Log but don't throw - closing should be best effort
+            console.error('Error closing database connection:', error.message);
+            resolve();
+        }
+    });
 }
 
 /**
@@ -460,6 +1240,15 @@ export function getDatabaseInfo(db, dbPath) {
             // Ignore file stat errors
         }
         
+        // Report which cipher settings unlocked the database
+        info.encrypted = !!db.cipherSettings;
+        if (db.cipherSettings) {
+            info.cipher_profile = db.cipherProfile;
+            info.cipher_settings = db.cipherSettings;
+            info.key_label = db.keyLabel;
+        }
+        info.read_only = db.readOnly;
+        
         // Get SQLite version
         db.get('SELECT sqlite_version() as version', (err, row) => {
             if (!err && row) {
@@ -552,6 +1341,23 @@ export function testConnection(db) {
     });
 }
 
+/**
+ * Get the change counters of a database
+ * data_version changes when another connection commits; schema_version when the schema changes.
+ * @param {Database} db - Database connection instance
+ * @returns {Promise<{dataVersion: number, schemaVersion: number}>} Counters
+ * @throws {Error} If the pragmas cannot be read
+ */
+export async function getDataVersion(db) {
+    try {
+        const [{ data_version: dataVersion }] = await allRows(db, 'PRAGMA data_version');
+        const [{ schema_version: schemaVersion }] = await allRows(db, 'PRAGMA schema_version');
+        return { dataVersion, schemaVersion };
+    } catch (error) {
+        throw new Error(`Failed to read data_version: ${error.message}`);
+    }
+}
+
 /**
  * Explain query execution plan
  * @param {Database} db - Database connection instance
@@ -560,14 +1366,18 @@ export function testConnection(db) {
  */
 export function explainQueryPlan(db, query) {
     return new Promise((resolve, reject) => {
-        // Validate query is a SELECT query
+        // Validate query is a single read-only statement
+        let classification;
         try {
-            validateSelectQuery(query);
+            classification = validateReadOnlyQuery(query);
         } catch (validationError) {
             return reject(validationError);
         }
         
-        db.all(`EXPLAIN QUERY PLAN ${query}`, (err, rows) => {
+        // An EXPLAIN query is planned as the statement it explains
+        const statement = classification.type === 'explain' ? query.slice(classification.innerStart) : query;
+        
+        db.all(`EXPLAIN QUERY PLAN ${statement}`, (err, rows) => {
             if (err) {
                 return reject(new Error(`Failed to explain query: ${err.message}`));
             }
@@ -576,111 +1386,187 @@ export function explainQueryPlan(db, query) {
     });
 }
 
+/**
+ * Count the rows of a table, reading at most limit + 1 of them
+ * Larger tables are estimated from their largest rowid, which is cheap to look up.
+ * @param {Database} db - Database connection instance
+ * @param {string} tableName - Table name
+ * @param {number} limit - Counts above this are estimated
+ * @returns {Promise<{rows: number, exact: boolean}|null>} Row count, or null if the name is not a table
+ */
+async function countRowsUpTo(db, tableName, limit) {
+    const table = `"${tableName.replace(/"/g, '""')}"`;
+    try {
+        const [{ count }] = await allRows(db, `SELECT count(*) AS count FROM (SELECT 1 FROM ${table} LIMIT ${limit + 1})`);
+        if (count <= limit) {
+            return { rows: count, exact: true };
+        }
+    } catch {
+        // Subqueries and CTEs appear in plans by name but cannot be counted
+        return null;
+    }
+
+    try {
+        const [{ largest }] = await allRows(db, `SELECT max(rowid) AS largest FROM ${table}`);
+        return { rows: Math.max(largest || 0, limit + 1), exact: false };
+    } catch {
+        // WITHOUT ROWID table
+        return { rows: limit + 1, exact: false };
+    }
+}
+
+/**
+ * Analyze the plan of a read-only query for steps that are slow on large tables
+ * @param {Database} db - Database connection instance
+ * @param {string} query - SQL query
+ * @param {number} maxScanRows - Tables with more rows than this are large
+ * @returns {Promise<Array<Object>>} Findings from findCostlyPlanSteps() (empty if none,
+ *   and for EXPLAIN and PRAGMA statements)
+ * @throws {Error} If the query is not read-only or cannot be planned
+ */
+export async function analyzeQueryCost(db, query, maxScanRows) {
+    const { type, tokens } = validateReadOnlyQuery(query);
+    // EXPLAIN and PRAGMA statements do not read tables
+    if (!['select', 'values', 'with'].includes(type)) {
+        return [];
+    }
+
+    const plan = await explainQueryPlan(db, query);
+    const tables = findReferencedTables(tokens);
+
+    const rowCounts = new Map();
+    for (const row of plan) {
+        const step = describePlanStep(row.detail);
+        if ((step.operation !== 'scan' && step.operation !== 'search') || step.name === 'CONSTANT ROW') {
+            continue;
+        }
+        const table = resolvePlanTable(step, tables);
+        if (!rowCounts.has(table.toLowerCase())) {
+            rowCounts.set(table.toLowerCase(), await countRowsUpTo(db, table, maxScanRows));
+        }
+    }
+
+    return findCostlyPlanSteps(plan, tables, rowCounts, maxScanRows);
+}
+
 /**
  * Get statistics for a table
+ * The scans run one after another under one interrupt guard, so the timeout covers the
+ * whole call. A failed column scan leaves that column's statistics at zero; an interrupt
+ * fails the call.
  * @param {Database} db - Database connection instance
  * @param {string} tableName - Name of the table
  * @param {number} maxSampleSize - Maximum number of rows to sample
+ * @param {string} [largeIntegers] - How min/max integers beyond Number.MAX_SAFE_INTEGER are returned
+ * @param {Object} [options] - Execution options
+ * @param {number} [options.timeoutMs] - Interrupt the scans after this many milliseconds in total
+ * @param {AbortSignal} [options.signal] - Interrupt the scans when aborted (client cancelled)
  * @returns {Promise<Object>} Table statistics
+ * @throws {Error} If the table cannot be read, or the scans time out or are cancelled
  */
-export function getTableStatistics(db, tableName, maxSampleSize = 10000) {
-    return new Promise(async (resolve, reject) => {
+export async function getTableStatistics(db, tableName, maxSampleSize = 10000, largeIntegers = QUERY_CONFIG.defaultLargeIntegers, options = {}) {
+    const { timeoutMs, signal } = options;
+    const quotedTable = `"${tableName.replace(/"/g, '""')}"`;
+
+    if (signal && signal.aborted) {
+        throw createInterruptError('Query was cancelled by the client before it started');
+    }
+
+    // Get table schema first
+    const schema = await getTableSchema(db, tableName);
+    const columns = schema.columns;
+
+    const guard = createInterruptGuard(db, timeoutMs, signal);
+    const stopIfInterrupted = () => {
+        if (guard.error()) {
+            throw guard.error();
+        }
+    };
+    try {
+        // Get row count
+        let countRow;
         try {
-            // Get table schema first
-            const schema = await getTableSchema(db, tableName);
-            const columns = schema.columns;
-            
-            // Get row count
-            db.get(`SELECT COUNT(*) as total_rows FROM "${tableName.replace(/"/g, '""')}"`, async (err, countRow) => {
-                if (err) {
-                    return reject(new Error(`Failed to get row count: ${err.message}`));
-                }
-                
-                const totalRows = countRow ? countRow.total_rows : 0;
-                const statistics = {
-                    table_name: tableName,
-                    total_rows: totalRows,
-                    column_count: columns.length,
-                    columns: []
-                };
-                
-                if (columns.length === 0 || totalRows === 0) {
-                    return resolve(statistics);
+            [countRow] = await allRows(db, `SELECT COUNT(*) as total_rows FROM ${quotedTable}`);
+        } catch (err) {
+            stopIfInterrupted();
+            throw new Error(`Failed to get row count: ${err.message}`);
+        }
+
+        const totalRows = countRow ? countRow.total_rows : 0;
+        const statistics = {
+            table_name: tableName,
+            total_rows: totalRows,
+            column_count: columns.length,
+            columns: []
+        };
+
+        if (columns.length === 0 || totalRows === 0) {
+            return statistics;
+        }
+
+        // For each column, get basic statistics
+        for (const column of columns) {
+            const columnName = column.name;
+            const columnType = column.type;
+            const escapedColumn = `"${columnName.replace(/"/g, '""')}"`;
+            const columnStats = {
+                name: columnName,
+                type: columnType,
+                distinct_count: 0,
+                null_count: 0
+            };
+
+            // Get distinct count and null count
+            const statsQuery = `
+                SELECT 
+                    COUNT(DISTINCT ${escapedColumn}) as distinct_count,
+                    COUNT(*) - COUNT(${escapedColumn}) as null_count
+                FROM ${quotedTable}
+            `;
+            try {
+                const [statsRow] = await allRows(db, statsQuery);
+                if (statsRow) {
+                    columnStats.distinct_count = statsRow.distinct_count || 0;
+                    columnStats.null_count = statsRow.null_count || 0;
                 }
-                
-                // For each column, get basic statistics
-                let completed = 0;
-                
-                columns.forEach(column => {
-                    const columnName = column.name;
-                    const columnType = column.type;
-                    const escapedColumn = `"${columnName.replace(/"/g, '""')}"`;
-                    
-                    // Get distinct count and null count
-                    const statsQuery = `
-                        SELECT 
-                            COUNT(DISTINCT ${escapedColumn}) as distinct_count,
-                            COUNT(*) - COUNT(${escapedColumn}) as null_count
-                        FROM "${tableName.replace(/"/g, '""')}"
-                    `;
-                    
-                    db.get(statsQuery, (statsErr, statsRow) => {
-                        const columnStats = {
-                            name: columnName,
-                            type: columnType,
-                            distinct_count: 0,
-                            null_count: 0
-                        };
-                        
-                        if (!statsErr && statsRow) {
-                            columnStats.distinct_count = statsRow.distinct_count || 0;
-                            columnStats.null_count = statsRow.null_count || 0;
-                        }
-                        
-                        // For numeric columns, get min/max/avg
-                        if (columnType && (columnType.toUpperCase().includes('INT') || 
-                            columnType.toUpperCase().includes('REAL') || 
-                            columnType.toUpperCase().includes('NUMERIC') ||
-                            columnType.toUpperCase().includes('FLOAT') ||
-                            columnType.toUpperCase().includes('DOUBLE'))) {
-                            
-                            const numericQuery = `
-                                SELECT 
-                                    MIN(${escapedColumn}) as min_value,
-                                    MAX(${escapedColumn}) as max_value,
-                                    AVG(${escapedColumn}) as avg_value
-                                FROM "${tableName.replace(/"/g, '""')}"
-                            `;
-                            
-                            db.get(numericQuery, (numErr, numRow) => {
-                                if (!numErr && numRow) {
-                                    columnStats.min_value = numRow.min_value;
-                                    columnStats.max_value = numRow.max_value;
-                                    columnStats.avg_value = numRow.avg_value;
-                                }
-                                
-                                statistics.columns.push(columnStats);
-                                completed++;
-                                
-                                if (completed === columns.length) {
-                                    resolve(statistics);
-                                }
-                            });
-                        } else {
-                            statistics.columns.push(columnStats);
-                            completed++;
-                            
-                            if (completed === columns.length) {
-                                resolve(statistics);
-                            }
-                        }
-                    });
+            } catch (statsErr) {
+                // Left at zero
+            }
+            stopIfInterrupted();
+
+            // For numeric columns, get min/max/avg
+            if (columnType && (columnType.toUpperCase().includes('INT') || 
+                columnType.toUpperCase().includes('REAL') || 
+                columnType.toUpperCase().includes('NUMERIC') ||
+                columnType.toUpperCase().includes('FLOAT') ||
+                columnType.toUpperCase().includes('DOUBLE'))) {
+
+                const numericQuery = `
+                    SELECT 
+                        MIN(${escapedColumn}) as min_value,
+                        MAX(${escapedColumn}) as max_value,
+                        AVG(${escapedColumn}) as avg_value
+                    FROM ${quotedTable}
+                `;
+                const numRows = await new Promise((resolve) => {
+                    allRowsExact(db, numericQuery, [], largeIntegers, (numErr, rows) => resolve(numErr ? [] : rows));
                 });
-            });
-        } catch (error) {
-            reject(error);
+                stopIfInterrupted();
+                const numRow = numRows[0];
+                if (numRow) {
+                    columnStats.min_value = numRow.min_value;
+                    columnStats.max_value = numRow.max_value;
+                    columnStats.avg_value = numRow.avg_value;
+                }
+            }
+
+            statistics.columns.push(columnStats);
         }
-    });
+
+        return statistics;
+    } finally {
+        guard.release();
+    }
 }
 
 /**
@@ -690,9 +1576,10 @@ export function getTableStatistics(db, tableName, maxSampleSize = 10000) {
  * @param {number} limit - Number of rows to sample
  * @param {number} offset - Offset for sampling
  * @param {string[]} columns - Optional array of column names to include
- * @returns {Promise<Object>} Sample data
+ * @param {string} [largeIntegers] - How integers beyond Number.MAX_SAFE_INTEGER are returned
+ * @returns {Promise<Object>} Sample data; has_more is set when rows follow the sample
  */
-export function sampleTableData(db, tableName, limit = 10, offset = 0, columns = null) {
+export function sampleTableData(db, tableName, limit = 10, offset = 0, columns = null, largeIntegers = QUERY_CONFIG.defaultLargeIntegers) {
     return new Promise((resolve, reject) => {
         // Build column list
         let columnList = '*';
@@ -702,7 +1589,8 @@ export function sampleTableData(db, tableName, limit = 10, offset = 0, columns =
         
         const query = `SELECT ${columnList} FROM "${tableName.replace(/"/g, '""')}" LIMIT ? OFFSET ?`;
         
-        db.all(query, [limit, offset], (err, rows) => {
+        // Fetch one extra row to tell whether more rows follow
+        allRowsExact(db, query, [limit + 1, offset], largeIntegers, (err, rows) => {
             if (err) {
                 if (err.message.includes('no such table')) {
                     return reject(new Error(`Table "${tableName}" does not exist`));
@@ -718,13 +1606,15 @@ export function sampleTableData(db, tableName, limit = 10, offset = 0, columns =
                 columnNames = Object.keys(rows[0]);
             }
             
+            const sampleRows = (rows || []).slice(0, limit);
             resolve({
                 table_name: tableName,
                 columns: columnNames,
-                rows: rows || [],
-                row_count: rows ? rows.length : 0,
+                rows: sampleRows,
+                row_count: sampleRows.length,
                 limit: limit,
-                offset: offset
+                offset: offset,
+                has_more: !!rows && rows.length > limit
             });
         });
     });
@@ -736,9 +1626,10 @@ export function sampleTableData(db, tableName, limit = 10, offset = 0, columns =
  * @param {string} tableName - Name of the table
  * @param {string[]} columnNames - Array of column names
  * @param {number} maxSampleSize - Maximum sample size
+ * @param {string} [largeIntegers] - How min/max and sample integers beyond Number.MAX_SAFE_INTEGER are returned
  * @returns {Promise<Array>} Array of column statistics
  */
-export function getColumnStatistics(db, tableName, columnNames, maxSampleSize = 10000) {
+export function getColumnStatistics(db, tableName, columnNames, maxSampleSize = 10000, largeIntegers = QUERY_CONFIG.defaultLargeIntegers) {
     return new Promise(async (resolve, reject) => {
         try {
             // Verify table exists and get schema
@@ -799,7 +1690,8 @@ export function getColumnStatistics(db, tableName, columnNames, maxSampleSize =
                             FROM "${tableName.replace(/"/g, '""')}"
                         `;
                         
-                        db.get(numericQuery, (numErr, numRow) => {
+                        allRowsExact(db, numericQuery, [], largeIntegers, (numErr, numRows) => {
+                            const numRow = numRows && numRows[0];
                             if (!numErr && numRow) {
                                 stats.min_value = numRow.min_value;
                                 stats.max_value = numRow.max_value;
@@ -814,7 +1706,7 @@ export function getColumnStatistics(db, tableName, columnNames, maxSampleSize =
                                 LIMIT 5
                             `;
                             
-                            db.all(sampleQuery, (sampleErr, sampleRows) => {
+                            allRowsExact(db, sampleQuery, [], largeIntegers, (sampleErr, sampleRows) => {
                                 if (!sampleErr && sampleRows) {
                                     stats.sample_values = sampleRows.map(r => r.value);
                                 }
@@ -836,7 +1728,7 @@ export function getColumnStatistics(db, tableName, columnNames, maxSampleSize =
                             LIMIT 5
                         `;
                         
-                        db.all(sampleQuery, (sampleErr, sampleRows) => {
+                        allRowsExact(db, sampleQuery, [], largeIntegers, (sampleErr, sampleRows) => {
                             if (!sampleErr && sampleRows) {
                                 stats.sample_values = sampleRows.map(r => r.value);
                             }
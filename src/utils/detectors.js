@@ -3,20 +3,117 @@
  * Utilities for detecting and handling encrypted vs unencrypted databases
  */
 
+import fs from 'fs';
+import path from 'path';
+import { CIPHER_CONFIG } from '../config/constants.js';
+
+/**
+ * Header written at the start of every plaintext SQLite database file
+ */
+const SQLITE_HEADER = Buffer.from('SQLite format 3\0', 'latin1');
+
+/**
+ * Last profile that unlocked each database, keyed by resolved path
+ * Tried first on the next connection so detection usually needs a single attempt
+ * @type {Map<string, string>}
+ */
+const detectedProfiles = new Map();
+
+/**
+ * Read the first bytes of a database file
+ * @param {string} dbPath - Path to the database file
+ * @returns {Buffer} Up to 16 header bytes (empty for a zero-length file)
+ */
+export function readDatabaseHeader(dbPath) {
+    const header = Buffer.alloc(SQLITE_HEADER.length);
+    const fd = fs.openSync(dbPath, 'r');
+    try {
+        const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+        return header.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Check whether a header belongs to a plaintext SQLite database
+ * Empty files are treated as plaintext - SQLite initializes them on first write
+ * @param {Buffer} header - Header bytes from readDatabaseHeader
+ * @returns {boolean} True if the file is not encrypted
+ */
+export function isPlaintextHeader(header) {
+    return header.length === 0 || header.equals(SQLITE_HEADER);
+}
+
+/**
+ * Order the detection profiles, putting the last profile that worked first
+ * @param {string} dbPath - Path to the database file
+ * @returns {Array<{name: string, settings: Object}>} Profiles to try
+ */
+function getProfilesToTry(dbPath) {
+    const profiles = CIPHER_CONFIG.detectionProfiles;
+    const cached = detectedProfiles.get(path.resolve(dbPath));
+    if (!cached) {
+        return profiles;
+    }
+    return [
+        ...profiles.filter(profile => profile.name === cached),
+        ...profiles.filter(profile => profile.name !== cached)
+    ];
+}
+
 /**
- * Detect if a database is encrypted or unencrypted
- * This is a helper function that attempts to determine database type
+ * Detect if a database is encrypted and, if so, which SQLCipher profile unlocks it
+ * 
+ * The plaintext "SQLite format 3\0" header means the file is not encrypted.
+ * Otherwise each known profile (SQLCipher 4, 3, 2, 1 and common custom page sizes)
+ * is passed to `tryProfile` in turn until one unlocks the file.
+ * 
  * @param {string} dbPath - Path to the database file
- * @returns {Promise<{isEncrypted: boolean, needsPassword: boolean}>}
- */
-export async function detectDatabaseType(dbPath) {
-    // For now, we'll rely on the connection logic in database.js
-    // which handles both encrypted and unencrypted databases gracefully
-    // This function can be expanded in the future for more sophisticated detection
-    return {
-        isEncrypted: false, // Will be determined during connection
-        needsPassword: false // Will be determined during connection
-    };
+ * @param {string} [password] - Database password
+ * @param {Function} [tryProfile] - Async function (settings) => handle that opens the
+ *   database with the given cipher settings and rejects if they do not unlock it.
+ *   When omitted, only the header check is performed.
+ * @returns {Promise<{isEncrypted: boolean, needsPassword: boolean, profile?: string, settings?: Object, handle?: any}>}
+ * @throws {Error} If no profile unlocks the database
+ */
+export async function detectDatabaseType(dbPath, password, tryProfile) {
+    if (isPlaintextHeader(readDatabaseHeader(dbPath))) {
+        return {
+            isEncrypted: false,
+            needsPassword: false
+        };
+    }
+    
+    if (!password || !tryProfile) {
+        return {
+            isEncrypted: true,
+            needsPassword: true
+        };
+    }
+    
+    const tried = [];
+    for (const profile of getProfilesToTry(dbPath)) {
+        try {
+            const handle = await tryProfile(profile.settings);
+            detectedProfiles.set(path.resolve(dbPath), profile.name);
+            return {
+                isEncrypted: true,
+                needsPassword: true,
+                profile: profile.name,
+                settings: { ...profile.settings },
+                handle
+            };
+        } catch (error) {
+            tried.push(profile.name);
+        }
+    }
+    
+    detectedProfiles.delete(path.resolve(dbPath));
+    throw new Error(
+        `Invalid password or unsupported cipher settings (tried profiles: ${tried.join(', ')}). ` +
+        'Set the cipher settings explicitly if the database uses a custom configuration.'
+    );
 }
 
 /**
@@ -23,15 +23,17 @@ export function createMcpErrorResponse(message) {
 /**
  * Create MCP success response
  * @param {string} text - Response text
+ * @param {Array<Object>} [extraContent] - Further content blocks (e.g. images) after the text
  * @returns {Object} MCP success response object
  */
-export function createMcpSuccessResponse(text) {
+export function createMcpSuccessResponse(text, extraContent = []) {
     return {
         content: [
             {
                 type: 'text',
                 text: text,
             },
+            ...extraContent,
         ],
     };
 }
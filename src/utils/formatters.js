@@ -7,38 +7,352 @@ import { QUERY_CONFIG } from '../config/constants.js';
 
 /**
  * Format query results as a readable string
+ * Output over the budget is shrunk in stages until it fits: the JSON representation is
+ * dropped, long values are cut to QUERY_CONFIG.narrowValueLength characters, only the
+ * first rows are listed and the rest summarized, then the summary and finally the column
+ * types are dropped. The output ends with what was left out and how to fetch it.
  * @param {Object} result - Query result object with columns, rows, and rowCount
  * @param {string[]} result.columns - Array of column names
  * @param {Object[]} result.rows - Array of row objects
  * @param {number} result.rowCount - Number of rows returned
+ * @param {Object[]} [result.column_info] - Declared type, origin and storage class of each column
+ * @param {Object} [budget] - Output budget
+ * @param {number} [budget.maxBytes] - Largest output in bytes (unlimited when omitted)
+ * @param {Function} [budget.cursorFrom] - Returns an execute_query cursor for (offset, pageSize),
+ *   offered to continue after the listed rows
  * @returns {string} Formatted result string
+ * @throws {Error} If the output does not fit the budget even without rows and column types
  */
-export function formatQueryResults(result) {
+export function formatQueryResults(result, budget = {}) {
+    const { rows } = result;
+    const displayed = Math.min(rows.length, QUERY_CONFIG.maxDisplayRows);
+    const full = renderQueryResults(result, { json: true, valueLength: QUERY_CONFIG.maxValueLength, shownRows: displayed });
+
+    const fits = text => Buffer.byteLength(text, 'utf8') <= budget.maxBytes;
+    if (!budget.maxBytes || fits(full)) {
+        return full;
+    }
+
+    // Stage 1: drop the JSON representation (an empty result is shown without one)
+    const omitted = rows.length > 0
+        ? [`the JSON representation (${Buffer.byteLength(JSON.stringify(result, null, 2), 'utf8')} bytes)`]
+        : [];
+    let view = { json: false, valueLength: QUERY_CONFIG.maxValueLength, shownRows: displayed, omitted };
+    let output = renderQueryResults(result, view);
+    if (fits(output)) {
+        return output;
+    }
+
+    // Stage 2: narrow wide columns
+    const narrow = QUERY_CONFIG.narrowValueLength;
+    const wide = result.columns.filter(column => rows.slice(0, displayed).some(row => formatCellValue(row[column]).length > narrow));
+    if (wide.length > 0) {
+        view = {
+            ...view,
+            valueLength: narrow,
+            omitted: [...omitted, `values beyond ${narrow} characters in column(s) ${wide.join(', ')}`],
+        };
+        output = renderQueryResults(result, view);
+        if (fits(output)) {
+            return output;
+        }
+    }
+
+    // Stage 3: list as many rows as fit, and summarize the rest.
+    // No cursor is offered when no row fits, as its pages would not fit either.
+    const render = (shownRows, summarize) => {
+        const first = (result.offset || 0) + shownRows + 1;
+        const last = (result.offset || 0) + rows.length;
+        const left = `rows ${first}-${last} (${rows.length - shownRows} rows)`;
+        return renderQueryResults(result, {
+            ...view,
+            shownRows,
+            omitted: [...view.omitted, summarize ? `${left}, summarized below` : left],
+            summary: summarize ? summarizeRows(result.columns, rows.slice(shownRows), view.valueLength) : null,
+            cursor: budget.cursorFrom && shownRows > 0 ? budget.cursorFrom(first - 1, shownRows) : null,
+        });
+    };
+    const renderMostRows = (summarize) => {
+        let low = 0;
+        let high = displayed - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (fits(render(middle, summarize))) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return render(low, summarize);
+    };
+    if (rows.length > 0) {
+        output = renderMostRows(true);
+        if (fits(output)) {
+            return output;
+        }
+
+        // Stage 4: drop the summary of the rows not listed
+        output = renderMostRows(false);
+        if (fits(output)) {
+            return output;
+        }
+    }
+
+    // Stage 5: drop the column types
+    if (formatColumnInfo(result.column_info)) {
+        view = { ...view, columnInfo: false, omitted: [...view.omitted, 'the column types'] };
+        output = rows.length > 0 ? renderMostRows(false) : renderQueryResults(result, view);
+        if (fits(output)) {
+            return output;
+        }
+    }
+
+    throw new Error(
+        'The result does not fit in the output budget, even without rows. ' +
+        'Raise max_output_tokens or max_bytes, or select fewer columns.'
+    );
+}
+
+/**
+ * Render query results for formatQueryResults()
+ * @param {Object} result - Query result object
+ * @param {Object} view - What to include
+ * @param {boolean} view.json - Append the JSON representation
+ * @param {number} view.valueLength - Longest value shown in full
+ * @param {number} view.shownRows - Rows to list
+ * @param {string[]} [view.omitted] - What the output budget left out
+ * @param {string} [view.summary] - Summary of the rows that are not listed
+ * @param {string|null} [view.cursor] - Cursor continuing after the listed rows
+ * @param {boolean} [view.columnInfo] - Include the column types (default true)
+ * @returns {string} Formatted result string
+ */
+function renderQueryResults(result, view) {
     const { columns, rows, rowCount } = result;
+    const columnInfo = view.columnInfo === false ? '' : formatColumnInfo(result.column_info);
 
     if (rowCount === 0) {
-        return `Query executed successfully. No rows returned.\nColumns: ${columns.join(', ')}`;
+        let output = `Query executed successfully. No rows returned.\nColumns: ${columns.join(', ')}` +
+            columnInfo + formatCostAnalysis(result.cost_analysis) + formatCacheStatus(result.cache);
+        if (view.omitted?.length > 0) {
+            output += `\n\nOutput shortened to fit the output budget. Omitted: ${view.omitted.join(', ')}`;
+        }
+        return output;
     }
 
     // Build table-like output
     let output = `Query executed successfully. ${rowCount} row(s) returned.\n\n`;
 
     // Add column headers
+    if (columnInfo) {
+        output += columnInfo.slice(1) + '\n\n';
+    }
     output += `Columns: ${columns.join(' | ')}\n`;
     output += '-'.repeat(columns.join(' | ').length) + '\n';
 
-    // Add rows (limit to first maxDisplayRows for display)
-    const displayRows = rows.slice(0, QUERY_CONFIG.maxDisplayRows);
-    for (const row of displayRows) {
-        const values = columns.map(col => formatCellValue(row[col]));
+    // Add rows (at most maxDisplayRows, fewer when the output budget is tight)
+    for (const row of rows.slice(0, view.shownRows)) {
+        const values = columns.map(col => formatCellValue(row[col], view.valueLength));
         output += values.join(' | ') + '\n';
     }
 
-    if (rows.length > QUERY_CONFIG.maxDisplayRows) {
-        output += `\n... (showing first ${QUERY_CONFIG.maxDisplayRows} of ${rowCount} rows)`;
+    if (rows.length > view.shownRows) {
+        output += `\n... (showing first ${view.shownRows} of ${rowCount} rows)`;
+    }
+
+    // Paginated results: say where this page is and how to get the next one
+    if (result.page_size !== undefined) {
+        output += `\nRows ${result.offset + 1}-${result.offset + rowCount} (page size ${result.page_size}).`;
+        output += result.next_cursor
+            ? ' More rows available - pass next_cursor as "cursor" to continue.'
+            : ' This is the last page.';
+    }
+
+    // Automatic LIMIT: the query may have more rows
+    if (result.auto_limit !== undefined && result.has_more) {
+        output += `\nStopped after ${result.auto_limit} rows because the query has no LIMIT. ` +
+            'Pass next_cursor as "cursor" for the following rows, add a LIMIT, or raise max_rows.';
+    }
+
+    output += formatCostAnalysis(result.cost_analysis);
+    output += formatCacheStatus(result.cache);
+
+    if (view.summary) {
+        output += `\n\nSummary of the rows not listed:${view.summary}`;
+    }
+
+    if (view.omitted) {
+        output += '\n\nOutput shortened to fit the output budget. Omitted:';
+        for (const item of view.omitted) {
+            output += `\n  - ${item}`;
+        }
+        if (view.shownRows === 0 && rows.length > 0) {
+            output += '\nNot even one row fits in the output budget. ' +
+                'Raise max_output_tokens or max_bytes, or select fewer or narrower columns.';
+        } else {
+            if (view.cursor) {
+                output += `\nTo fetch the rows not listed, pass this as "cursor" to execute_query: ${view.cursor}`;
+            } else if (result.next_cursor) {
+                output += `\nnext_cursor: ${result.next_cursor}`;
+            }
+            output += '\nTo see more at once, raise max_output_tokens or max_bytes.';
+        }
     }
 
     // Add JSON representation for programmatic access
+    if (view.json) {
+        output += '\n\nJSON representation:\n';
+        output += JSON.stringify(result, null, 2);
+    }
+
+    return output;
+}
+
+/**
+ * Summarize rows column by column: nulls, distinct values, smallest and largest value
+ * Distinct counts and ranges are given for columns holding only numbers or only text.
+ * @param {string[]} columns - Column names
+ * @param {Object[]} rows - Rows to summarize
+ * @param {number} valueLength - Longest value shown in full
+ * @returns {string} One line per column, each starting with a newline
+ */
+function summarizeRows(columns, rows, valueLength) {
+    let output = '';
+    for (const column of columns) {
+        const values = rows.map(row => row[column]).filter(value => value !== null && value !== undefined);
+        const parts = [`${rows.length - values.length} null`];
+        if (values.length > 0 && (values.every(v => typeof v === 'number') || values.every(v => typeof v === 'string'))) {
+            const min = values.reduce((a, b) => (b < a ? b : a));
+            const max = values.reduce((a, b) => (b > a ? b : a));
+            parts.push(`${new Set(values).size} distinct`, `min ${formatCellValue(min, valueLength)}`, `max ${formatCellValue(max, valueLength)}`);
+        }
+        output += `\n  ${column}: ${parts.join(', ')}`;
+    }
+    return output;
+}
+
+/**
+ * Format the cost guard findings of a query, one line per finding
+ * @param {Object} [costAnalysis] - cost_analysis from executeQueryOnDatabase
+ * @returns {string} Block starting with blank lines, or '' without findings
+ */
+function formatCostAnalysis(costAnalysis) {
+    if (!costAnalysis) {
+        return '';
+    }
+
+    let output = costAnalysis.forced
+        ? '\n\nCost warnings (run with force: true):'
+        : `\n\nCost warnings (tables over ${costAnalysis.max_scan_rows} rows):`;
+    for (const finding of costAnalysis.findings) {
+        output += `\n  - ${finding.message}`;
+    }
+    return output;
+}
+
+/**
+ * Format whether a result came from the result cache
+ * @param {{hit: boolean, age_ms: number}} [cache] - cache metadata from withResultCache
+ * @returns {string} Line starting with blank lines, or '' without metadata
+ */
+function formatCacheStatus(cache) {
+    if (!cache) {
+        return '';
+    }
+    return cache.hit
+        ? `\n\nCache: hit (result cached ${(cache.age_ms / 1000).toFixed(1)} s ago; the database has not changed since)`
+        : '\n\nCache: miss';
+}
+
+/**
+ * Format result column metadata, one line per column
+ * e.g. `  total: REAL from orders.total, stored as real`
+ * @param {Object[]} [columnInfo] - Column descriptions from executeQuery
+ * @returns {string} Lines starting with a newline, or '' without metadata
+ */
+function formatColumnInfo(columnInfo) {
+    if (!columnInfo || columnInfo.length === 0) {
+        return '';
+    }
+
+    let output = '\nColumn types:';
+    for (const column of columnInfo) {
+        output += `\n  ${column.name}: ${column.declared_type || 'no declared type'}`;
+        if (column.table) {
+            output += ` from ${column.table}.${column.column}`;
+        }
+        if (column.storage_class) {
+            output += `, stored as ${column.storage_class}`;
+        }
+    }
+    return output;
+}
+
+/**
+ * Format execute_batch results as a readable string
+ * @param {Object} batch - Batch result with per-statement results and totals
+ * @returns {string} Formatted result string
+ */
+export function formatBatchResults(batch) {
+    let output = `Batch executed in one read transaction: ${batch.succeeded} succeeded, ${batch.failed} failed`;
+    output += batch.skipped > 0 ? `, ${batch.skipped} skipped` : '';
+    output += ` (${batch.duration_ms} ms)\n`;
+
+    for (const result of batch.statements) {
+        output += `\n[${result.index + 1}] ${result.query}\n`;
+        if (result.skipped) {
+            output += 'Skipped (stop_on_error after an earlier failure)\n';
+        } else if (!result.success) {
+            output += `Failed after ${result.duration_ms} ms: ${result.error}\n`;
+        } else {
+            output += `${result.rowCount} row(s) in ${result.duration_ms} ms`;
+            output += formatCostAnalysis(result.cost_analysis).replace(/^\n/, '') + '\n';
+            if (result.rowCount > 0) {
+                output += `Columns: ${result.columns.join(' | ')}\n`;
+                for (const row of result.rows.slice(0, QUERY_CONFIG.maxDisplayRows)) {
+                    output += result.columns.map(col => formatCellValue(row[col])).join(' | ') + '\n';
+                }
+                if (result.rowCount > QUERY_CONFIG.maxDisplayRows) {
+                    output += `... (showing first ${QUERY_CONFIG.maxDisplayRows} of ${result.rowCount} rows)\n`;
+                }
+            }
+        }
+    }
+
+    output += '\n\nJSON representation:\n';
+    output += JSON.stringify(batch, null, 2);
+
+    return output;
+}
+
+/**
+ * Format execute_write results as a readable string
+ * @param {Object} result - Write result with statement_type, changes, lastID, dry_run and preview
+ * @returns {string} Formatted result string
+ */
+export function formatWriteResult(result) {
+    let output = result.dry_run
+        ? `Dry run of ${result.statement_type}: ${result.changes} row(s) would be affected. All changes were rolled back.\n`
+        : `${result.statement_type} committed. ${result.changes} row(s) affected.\n`;
+
+    if (result.lastID !== null) {
+        output += `Last inserted row id: ${result.lastID}\n`;
+    }
+
+    if (result.preview) {
+        const { columns, rows, rowCount } = result.preview;
+        output += `\nAffected rows (${rowCount}):\n`;
+        if (rows.length > 0) {
+            output += `Columns: ${columns.join(' | ')}\n`;
+            output += '-'.repeat(columns.join(' | ').length) + '\n';
+            for (const row of rows) {
+                output += columns.map(col => formatCellValue(row[col])).join(' | ') + '\n';
+            }
+            if (rowCount > rows.length) {
+                output += `... (showing first ${rows.length} of ${rowCount} rows)\n`;
+            }
+        }
+    }
+
     output += '\n\nJSON representation:\n';
     output += JSON.stringify(result, null, 2);
 
@@ -48,18 +362,30 @@ export function formatQueryResults(result) {
 /**
  * Format a single cell value for display
  * @param {any} value - Cell value to format
+ * @param {number} [maxLength] - Longer values are cut to this many characters, ending in "..."
  * @returns {string} Formatted cell value
  */
-function formatCellValue(value) {
+function formatCellValue(value, maxLength = QUERY_CONFIG.maxValueLength) {
     // Handle null/undefined
     if (value === null || value === undefined) {
         return 'NULL';
     }
     
+    // BLOBs: encoded by encodeBlob(), or raw Buffers
+    if (Buffer.isBuffer(value)) {
+        return `<blob ${value.length} bytes>`;
+    }
+    if (typeof value === 'object' && value.type === 'blob') {
+        if (value.hex_prefix !== undefined) {
+            return `<blob ${value.bytes} bytes${value.kind ? `, ${value.kind}` : ''}>`;
+        }
+        value = value.hex ?? value.base64;
+    }
+    
     // Convert to string and truncate long values
     const str = String(value);
-    return str.length > QUERY_CONFIG.maxValueLength 
-        ? str.substring(0, QUERY_CONFIG.maxValueLength - 3) + '...' 
+    return str.length > maxLength 
+        ? str.substring(0, maxLength - 3) + '...' 
         : str;
 }
 
@@ -228,6 +554,16 @@ export function formatDatabaseInfo(info) {
     
     if (info.path) output += `Path: ${info.path}\n`;
     if (info.sqlite_version) output += `SQLite Version: ${info.sqlite_version}\n`;
+    if (info.encrypted !== undefined) output += `Encrypted: ${info.encrypted ? 'Yes (SQLCipher)' : 'No'}\n`;
+    if (info.read_only !== undefined) output += `Access: ${info.read_only ? 'Read-only' : 'Read-write'}\n`;
+    if (info.cipher_profile) {
+        output += `Cipher Profile: ${info.cipher_profile}${info.cipher_profile === 'configured' ? '' : ' (auto-detected)'}\n`;
+    }
+    if (info.key_label) output += `Unlocked With Key: ${info.key_label}\n`;
+    if (info.cipher_settings) {
+        const settings = Object.entries(info.cipher_settings).map(([name, value]) => `${name}=${value}`);
+        output += `Cipher Settings: ${settings.join(', ')}\n`;
+    }
     if (info.size_bytes !== undefined) {
         const sizeMB = (info.size_bytes / (1024 * 1024)).toFixed(2);
         output += `Size: ${info.size_bytes} bytes (${sizeMB} MB)\n`;
@@ -246,6 +582,153 @@ export function formatDatabaseInfo(info) {
     return output;
 }
 
+/**
+ * Format registered database list
+ * @param {Array} databases - Registry entries with unlock status
+ * @returns {string} Formatted database list
+ */
+export function formatDatabaseList(databases) {
+    if (!databases || databases.length === 0) {
+        return 'No databases registered. Add a "databases" section to the file named by SQLCIPHER_CONFIG_FILE.';
+    }
+    
+    let output = `Found ${databases.length} registered database(s):\n\n`;
+    
+    for (const db of databases) {
+        output += `- ${db.alias}${db.read_only ? ' (read-only)' : ''} - ${db.unlocked ? 'unlocks' : 'does not unlock'}\n`;
+        output += `  Path: ${db.path}\n`;
+        if (db.description) output += `  Description: ${db.description}\n`;
+        output += `  Key: ${db.key_source}${db.key_label ? ` (unlocked with "${db.key_label}")` : ''}\n`;
+        if (db.error) output += `  Error: ${db.error}\n`;
+    }
+    
+    output += '\n\nJSON representation:\n';
+    output += JSON.stringify(databases, null, 2);
+    
+    return output;
+}
+
+/**
+ * Format the parameters of a saved query, one line each
+ * @param {Array<Object>} parameters - Parameter definitions
+ * @returns {string} Lines ending with a newline ('' without parameters)
+ */
+function formatSavedQueryParameters(parameters) {
+    return parameters.map((parameter) => {
+        let line = `    :${parameter.name} (${parameter.type}${parameter.required ? ', required' : ''}`;
+        line += parameter.default !== undefined ? `, default ${JSON.stringify(parameter.default)})` : ')';
+        return line + (parameter.description ? ` - ${parameter.description}` : '') + '\n';
+    }).join('');
+}
+
+/**
+ * Format the saved queries of a database
+ * @param {Array<Object>} savedQueries - Saved queries sorted by name
+ * @returns {string} Formatted saved query list
+ */
+export function formatSavedQueryList(savedQueries) {
+    if (!savedQueries || savedQueries.length === 0) {
+        return 'No saved queries for this database. Use save_query to add one.';
+    }
+    
+    let output = `Found ${savedQueries.length} saved quer${savedQueries.length === 1 ? 'y' : 'ies'}:\n\n`;
+    
+    for (const savedQuery of savedQueries) {
+        output += `- ${savedQuery.name}: ${savedQuery.description}\n`;
+        output += formatSavedQueryParameters(savedQuery.parameters);
+    }
+    
+    output += '\n\nJSON representation:\n';
+    output += JSON.stringify(savedQueries, null, 2);
+    
+    return output;
+}
+
+/**
+ * Format a saved query definition
+ * @param {Object} savedQuery - Saved query
+ * @param {string} [heading] - First line (defaults to the query name)
+ * @returns {string} Formatted saved query
+ */
+export function formatSavedQuery(savedQuery, heading = `Saved query: ${savedQuery.name}`) {
+    let output = `${heading}\n`;
+    output += `Description: ${savedQuery.description}\n`;
+    output += `Updated: ${savedQuery.updated_at}\n`;
+    output += savedQuery.parameters.length > 0
+        ? `Parameters:\n${formatSavedQueryParameters(savedQuery.parameters)}`
+        : 'Parameters: none\n';
+    output += `\nSQL:\n${savedQuery.query}\n`;
+    
+    output += '\n\nJSON representation:\n';
+    output += JSON.stringify(savedQuery, null, 2);
+    
+    return output;
+}
+
+/**
+ * Format query history entries
+ * @param {{entries: Array<Object>, total: number, enabled: boolean}} history - Matching entries
+ *   (newest first), match count and whether history is recorded
+ * @returns {string} Formatted history
+ */
+export function formatQueryHistory(history) {
+    const { entries, total, enabled } = history;
+    if (entries.length === 0) {
+        return enabled === false
+            ? 'No matching query history entries. Query history is off; set SQLCIPHER_HISTORY_ENABLED=true ' +
+                '(or enabled: true in the "history" section of the config file) to record queries.'
+            : 'No matching query history entries.';
+    }
+    
+    let output = `Showing ${entries.length} of ${total} matching history entr${total === 1 ? 'y' : 'ies'}, newest first:\n`;
+    
+    for (const entry of entries) {
+        const where = entry.database ? `database "${entry.database}"` : entry.database_path;
+        output += `\n[${entry.id}] ${entry.timestamp} ${entry.tool} on ${where} (${entry.duration_ms} ms)`;
+        output += entry.error ? ` - failed: ${entry.error}\n` : entry.row_count !== null ? ` - ${entry.row_count} row(s)\n` : '\n';
+        if (entry.query) output += `  ${entry.query.replace(/\s+/g, ' ').trim()}\n`;
+        if (entry.params) output += `  params: ${JSON.stringify(entry.params)}\n`;
+        if (entry.arguments) output += `  arguments: ${JSON.stringify(entry.arguments)}\n`;
+    }
+    
+    output += '\n\nJSON representation:\n';
+    output += JSON.stringify(history, null, 2);
+    
+    return output;
+}
+
+/**
+ * Format result cache statistics
+ * @param {Object} stats - Cache statistics from getCacheStats()
+ * @param {number|null} [cleared] - Entries removed when the cache was cleared by this call
+ * @returns {string} Formatted statistics
+ */
+export function formatCacheStats(stats, cleared = null) {
+    let output = `Result Cache${stats.enabled ? '' : ' (disabled)'}\n`;
+    output += '='.repeat(40) + '\n\n';
+    
+    if (cleared !== null) {
+        output += `Cleared ${cleared} entr${cleared === 1 ? 'y' : 'ies'} and reset the counters.\n\n`;
+    }
+    
+    output += `Entries: ${stats.entries} of ${stats.max_entries}\n`;
+    output += `Size: about ${stats.bytes} of ${stats.max_bytes} bytes\n`;
+    output += `TTL: ${stats.ttl_ms} ms\n`;
+    output += `Hits: ${stats.hits}, misses: ${stats.misses}` +
+        (stats.hit_rate === null ? '' : ` (hit rate ${(stats.hit_rate * 100).toFixed(1)}%)`) + '\n';
+    output += `Invalidated: ${stats.invalidations}, expired: ${stats.expirations}, evicted: ${stats.evictions}, too large to cache: ${stats.uncacheable}\n`;
+    
+    for (const database of stats.databases) {
+        const kinds = Object.entries(database.kinds).map(([kind, count]) => `${kind} ${count}`).join(', ');
+        output += `\n  ${database.database_path}: ${database.entries} entr${database.entries === 1 ? 'y' : 'ies'} (${kinds}), about ${database.bytes} bytes`;
+    }
+    
+    output += '\n\nJSON representation:\n';
+    output += JSON.stringify(stats, null, 2);
+    
+    return output;
+}
+
 /**
  * Format table info results
  * @param {Object} info - Table information
@@ -317,6 +800,7 @@ export function formatTableStatistics(stats) {
         }
     }
     
+    output += formatCacheStatus(stats.cache);
     output += '\n\nJSON representation:\n';
     output += JSON.stringify(stats, null, 2);
     
@@ -348,6 +832,10 @@ export function formatSampleData(sample) {
         output += 'No rows in sample.\n';
     }
     
+    if (sample.next_cursor) {
+        output += '\nMore rows available - pass next_cursor as "cursor" to continue.\n';
+    }
+    
     output += '\n\nJSON representation:\n';
     output += JSON.stringify(sample, null, 2);
     
@@ -381,6 +869,9 @@ export function formatColumnStatistics(stats) {
         output += '\n';
     }
     
+    if (stats.cache) {
+        output += formatCacheStatus(stats.cache).slice(2) + '\n\n';
+    }
     output += 'JSON representation:\n';
     output += JSON.stringify(stats, null, 2);
     
@@ -467,4 +958,290 @@ export function formatRelatedTables(related) {
     output += JSON.stringify(related, null, 2);
     
     return output;
-}
\ No newline at end of file
+}
+
+/**
+ * Format image BLOBs as MCP content blocks, each preceded by a line saying where it came from
+ * @param {Array<Object>} images - Images from findImageBlobs(), optionally with a `statement` number
+ * @returns {Array<Object>} Text and image content blocks
+ */
+export function formatImageContent(images) {
+    return images.flatMap((image) => {
+        const source = image.statement ? `statement ${image.statement}, row ${image.row}` : `row ${image.row}`;
+        return [
+            { type: 'text', text: `Image from ${source}, column "${image.column}" (${image.mimeType}, ${image.bytes} bytes):` },
+            { type: 'image', data: image.data, mimeType: image.mimeType },
+        ];
+    });
+}
+
+/**
+ * Turn a cell value into the text written by the data formats (markdown, CSV, TSV)
+ * Raw BLOBs are written as hex; encoded BLOBs as their hex or base64 contents, or as
+ * `<blob N bytes, kind>` when only a summary was read.
+ * @param {any} value - Cell value
+ * @returns {string|null} Text, or null for NULL
+ */
+function formatFieldValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (Buffer.isBuffer(value)) {
+        return value.toString('hex');
+    }
+    if (typeof value === 'object' && value.type === 'blob') {
+        return value.hex ?? value.base64 ?? `<blob ${value.bytes} bytes${value.kind ? `, ${value.kind}` : ''}>`;
+    }
+    return String(value);
+}
+
+/**
+ * Format a value as a CSV field (RFC 4180)
+ * NULL becomes an empty field; an empty string is quoted, so the two stay apart
+ * @param {any} value - Cell value
+ * @returns {string} CSV field
+ */
+function formatCsvField(value) {
+    const str = formatFieldValue(value);
+    if (str === null) {
+        return '';
+    }
+    return str === '' || /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Format a row as a CSV line
+ * @param {Array} values - Values in column order
+ * @returns {string} CSV line ending in CRLF
+ */
+export function formatCsvRow(values) {
+    return values.map(formatCsvField).join(',') + '\r\n';
+}
+
+/**
+ * Format a row as a newline-delimited JSON line
+ * @param {Object} row - Row object
+ * @returns {string} JSON line ending in LF
+ */
+export function formatNdjsonRow(row) {
+    return JSON.stringify(row) + '\n';
+}
+
+/**
+ * Format a value as a TSV field
+ * Backslash, tab, CR and LF are escaped with a backslash and NULL is written as \N,
+ * the text format of PostgreSQL COPY and MySQL LOAD DATA
+ * @param {any} value - Cell value
+ * @returns {string} TSV field
+ */
+function formatTsvField(value) {
+    const str = formatFieldValue(value);
+    if (str === null) {
+        return '\\N';
+    }
+    return str.replace(/[\\\t\r\n]/g, char => ({ '\\': '\\\\', '\t': '\\t', '\r': '\\r', '\n': '\\n' })[char]);
+}
+
+/**
+ * Format a row as a TSV line
+ * @param {Array} values - Values in column order
+ * @returns {string} TSV line ending in LF
+ */
+export function formatTsvRow(values) {
+    return values.map(formatTsvField).join('\t') + '\n';
+}
+
+/**
+ * Format a value as a GitHub Markdown table cell
+ * Markdown punctuation and pipes are escaped, line breaks become <br> and NULL is written as NULL
+ * @param {any} value - Cell value
+ * @returns {string} Table cell text
+ */
+function formatMarkdownCell(value) {
+    const str = formatFieldValue(value);
+    if (str === null) {
+        return 'NULL';
+    }
+    return str.replace(/[\\`*_~[\]<>|]/g, '\\$&').replace(/\r\n|\r|\n/g, '<br>');
+}
+
+/**
+ * Format rows as a GitHub Markdown table
+ * @param {string[]} columns - Column names
+ * @param {Object[]} rows - Row objects
+ * @returns {string} Table, or '' without columns
+ */
+function formatMarkdownTable(columns, rows) {
+    if (columns.length === 0) {
+        return '';
+    }
+    const line = cells => `| ${cells.join(' | ')} |\n`;
+    let output = line(columns.map(formatMarkdownCell));
+    output += line(columns.map(() => '---'));
+    for (const row of rows) {
+        output += line(columns.map(column => formatMarkdownCell(row[column])));
+    }
+    return output;
+}
+
+/**
+ * Format rows in one of the data formats
+ * The choice of format for every tool that returns rows; `text` is the readable layout
+ * of each tool's own formatter (see formatQueryResultsAs and formatSampleDataAs).
+ * @param {string[]} columns - Column names, in output order
+ * @param {Object[]} rows - Row objects
+ * @param {string} format - markdown, csv, tsv, json or jsonl
+ * @returns {string} Formatted rows; csv and tsv start with a header line
+ * @throws {Error} If the format is not one of those
+ */
+export function formatRows(columns, rows, format) {
+    const values = row => columns.map(column => row[column]);
+
+    switch (format) {
+        case 'markdown':
+            return formatMarkdownTable(columns, rows);
+        case 'csv':
+            return columns.length === 0 ? '' : [columns, ...rows.map(values)].map(formatCsvRow).join('');
+        case 'tsv':
+            return columns.length === 0 ? '' : [columns, ...rows.map(values)].map(formatTsvRow).join('');
+        case 'json':
+            return JSON.stringify(rows, null, 2);
+        case 'jsonl':
+            return rows.map(formatNdjsonRow).join('');
+        default:
+            throw new Error(`Unknown output format "${format}"`);
+    }
+}
+
+/**
+ * Format query results in the requested output format
+ * `text` is formatQueryResults(). The other formats hold only the rows; row count, paging,
+ * cost warnings and cache status go in separate notes, so the rows can be used as they are.
+ * Rows and notes together are kept within the budget: rows are left out from the end (the
+ * notes offer a cursor for them), then the column types are dropped from the notes.
+ * @param {Object} result - Query result object (see formatQueryResults)
+ * @param {string} format - text, markdown, csv, tsv, json or jsonl
+ * @param {Object} [budget] - Output budget (see formatQueryResults)
+ * @returns {{text: string, notes: string|null}} Formatted rows and the notes (null for text)
+ * @throws {Error} If the notes do not fit the budget even without rows and column types
+ */
+export function formatQueryResultsAs(result, format, budget = {}) {
+    if (format === 'text') {
+        return { text: formatQueryResults(result, budget), notes: null };
+    }
+
+    const { columns, rows } = result;
+    const fits = (text, notes) => !budget.maxBytes ||
+        Buffer.byteLength(text, 'utf8') + Buffer.byteLength(notes, 'utf8') <= budget.maxBytes;
+    const render = (listed, columnInfo = true) => ({
+        text: formatRows(columns, rows.slice(0, listed), format),
+        notes: renderQueryNotes(result, listed, budget.cursorFrom, columnInfo),
+    });
+
+    const full = render(rows.length);
+    if (fits(full.text, full.notes)) {
+        return full;
+    }
+
+    // List as many rows as fit
+    const renderMostRows = (columnInfo) => {
+        let low = 0;
+        let high = rows.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            const { text, notes } = render(middle, columnInfo);
+            if (fits(text, notes)) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return render(low, columnInfo);
+    };
+
+    let output = renderMostRows(true);
+    if (!fits(output.text, output.notes) && formatColumnInfo(result.column_info)) {
+        output = renderMostRows(false);
+    }
+    if (!fits(output.text, output.notes)) {
+        throw new Error(
+            'The result does not fit in the output budget, even without rows. ' +
+            'Raise max_output_tokens or max_bytes, or select fewer columns.'
+        );
+    }
+    return output;
+}
+
+/**
+ * Render the notes that go with rows in a format other than text
+ * @param {Object} result - Query result object
+ * @param {number} listed - Rows listed, from the start of result.rows
+ * @param {Function} [cursorFrom] - Returns an execute_query cursor for (offset, pageSize)
+ * @param {boolean} columnInfo - Include the column types
+ * @returns {string} Notes
+ */
+function renderQueryNotes(result, listed, cursorFrom, columnInfo) {
+    const { columns, rows } = result;
+
+    let notes = result.rowCount === 0
+        ? `Query executed successfully. No rows returned.\nColumns: ${columns.join(', ')}`
+        : `Query executed successfully. ${result.rowCount} row(s) returned.`;
+    if (columnInfo) {
+        notes += formatColumnInfo(result.column_info);
+    }
+
+    if (result.page_size !== undefined) {
+        notes += `\nRows ${result.offset + 1}-${result.offset + result.rowCount} (page size ${result.page_size}).`;
+        if (!result.next_cursor) {
+            notes += ' This is the last page.';
+        }
+    }
+    if (result.auto_limit !== undefined && result.has_more) {
+        notes += `\nStopped after ${result.auto_limit} rows because the query has no LIMIT. ` +
+            'Pass next_cursor as "cursor" for the following rows, add a LIMIT, or raise max_rows.';
+    }
+
+    if (listed === 0 && rows.length > 0) {
+        // No cursor: its pages would not fit either
+        notes += `\n\nNot even one of the ${rows.length} rows fits in the output budget. ` +
+            'Raise max_output_tokens or max_bytes, or select fewer or narrower columns.';
+    } else if (listed < rows.length) {
+        const cursor = cursorFrom ? cursorFrom((result.offset || 0) + listed, listed) : null;
+        notes += `\n\nOutput shortened to fit the output budget: listed ${listed} of ${rows.length} rows.`;
+        if (cursor) {
+            notes += `\nTo fetch the rows not listed, pass this as "cursor" to execute_query: ${cursor}`;
+        } else if (result.next_cursor) {
+            notes += `\nnext_cursor: ${result.next_cursor}`;
+        }
+        notes += '\nTo see more at once, raise max_output_tokens or max_bytes.';
+    } else if (result.next_cursor) {
+        notes += `\nMore rows available - pass next_cursor as "cursor" to continue.\nnext_cursor: ${result.next_cursor}`;
+    }
+
+    if (!columnInfo && formatColumnInfo(result.column_info)) {
+        notes += '\nColumn types were left out to fit the output budget.';
+    }
+    notes += formatCostAnalysis(result.cost_analysis);
+    notes += formatCacheStatus(result.cache);
+    return notes;
+}
+
+/**
+ * Format sample data in the requested output format
+ * `text` is formatSampleData(); the other formats hold only the rows, with the notes apart
+ * (see formatQueryResultsAs).
+ * @param {Object} sample - Sample data
+ * @param {string} format - text, markdown, csv, tsv, json or jsonl
+ * @returns {{text: string, notes: string|null}} Formatted rows and the notes (null for text)
+ */
+export function formatSampleDataAs(sample, format) {
+    if (format === 'text') {
+        return { text: formatSampleData(sample), notes: null };
+    }
+
+    let notes = `Sample data from ${sample.table_name}: ${sample.row_count} row(s) (limit: ${sample.limit}, offset: ${sample.offset})`;
+    if (sample.next_cursor) {
+        notes += `\nMore rows available - pass next_cursor as "cursor" to continue.\nnext_cursor: ${sample.next_cursor}`;
+    }
+    return { text: formatRows(sample.columns, sample.rows, format), notes };
+}
@@ -0,0 +1,81 @@
+/**
+ * Large Integer Utilities
+ * Keep 64-bit integers that do not fit a JavaScript number exact
+ */
+
+/**
+ * Prefix of the hidden columns that carry exact integers (see exactColumnsSql)
+ */
+const EXACT_COLUMN_PREFIX = '__exact_integer_';
+
+/**
+ * Build an SQL expression that returns an integer outside the safe range as its exact
+ * decimal text, and NULL for any other value
+ * @param {string} expression - SQL expression (e.g. a quoted column name)
+ * @returns {string} SQL expression
+ */
+export function exactIntegerSql(expression) {
+    return `CASE WHEN typeof(${expression}) = 'integer' AND ${expression} NOT BETWEEN ${-Number.MAX_SAFE_INTEGER} AND ${Number.MAX_SAFE_INTEGER} ` +
+        `THEN CAST(${expression} AS TEXT) END`;
+}
+
+/**
+ * Build a select list that reads columns with their large integers kept exact
+ * Each column is read as it is, followed by a hidden column with exactIntegerSql() of it,
+ * so one pass yields both; takeExactIntegers() folds the hidden columns back in.
+ * @param {string[]} names - Column names of the row source
+ * @returns {string} Select list
+ */
+export function exactColumnsSql(names) {
+    return names.map((name, index) => {
+        const quoted = `"${name.replace(/"/g, '""')}"`;
+        return `${quoted}, ${exactIntegerSql(quoted)} AS "${EXACT_COLUMN_PREFIX}${index}"`;
+    }).join(', ');
+}
+
+/**
+ * Fold the hidden columns of a row read with exactColumnsSql() back into the row
+ * @param {Object} row - Row with hidden columns
+ * @param {string[]} names - Column names passed to exactColumnsSql()
+ * @returns {Object} Row with only the named columns, large integers as BigInts
+ */
+export function takeExactIntegers(row, names) {
+    const exact = {};
+    names.forEach((name, index) => {
+        const text = row[`${EXACT_COLUMN_PREFIX}${index}`];
+        exact[name] = typeof text === 'string' ? BigInt(text) : row[name];
+    });
+    return exact;
+}
+
+/**
+ * Represent a BigInt for a response
+ * @param {any} value - Value (only BigInts are converted)
+ * @param {string} mode - 'string' (exact decimal string) or 'bigint' (decimal string with an "n" suffix)
+ * @returns {any} Value for the response
+ */
+export function representLargeInteger(value, mode) {
+    if (typeof value !== 'bigint') {
+        return value;
+    }
+    return mode === 'bigint' ? `${value}n` : value.toString();
+}
+
+/**
+ * Represent the BigInts in result rows for a response
+ * @param {Array<Object>} rows - Result rows, possibly holding BigInts
+ * @param {string} mode - 'string' or 'bigint'
+ * @returns {Array<Object>} Rows without BigInts (rows that had none are returned as they are)
+ */
+export function representLargeIntegers(rows, mode) {
+    return rows.map((row) => {
+        if (!Object.values(row).some(value => typeof value === 'bigint')) {
+            return row;
+        }
+        const represented = {};
+        for (const [column, value] of Object.entries(row)) {
+            represented[column] = representLargeInteger(value, mode);
+        }
+        return represented;
+    });
+}
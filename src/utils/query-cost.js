@@ -0,0 +1,137 @@
+/**
+ * Query Cost Utilities
+ * Read an EXPLAIN QUERY PLAN for steps that get slow on large tables:
+ * full scans, nested-loop (cartesian) joins and temporary B-tree sorts
+ */
+
+/**
+ * Describe one step of a query plan
+ * Handles both plan styles: `SCAN t` / `SCAN t USING COVERING INDEX i` (SQLite 3.36+)
+ * and `SCAN TABLE t AS a` (older releases).
+ * @param {string} detail - `detail` column of an EXPLAIN QUERY PLAN row
+ * @returns {{operation: string, name?: string, table?: string|null, index?: string|null, purpose?: string}}
+ *   operation is scan, search, temp_btree or other; name is the table or alias as shown,
+ *   table the table name when the plan gives it separately (`t AS a`)
+ */
+export function describePlanStep(detail) {
+    const match = /^(SCAN|SEARCH) (?:TABLE )?(.+?)(?: USING (.+))?$/.exec(detail);
+    if (match) {
+        const [, operation, target, using] = match;
+        const asIndex = target.indexOf(' AS ');
+        const index = using ? /\bINDEX (\S+)/.exec(using) : null;
+        return {
+            operation: operation.toLowerCase(),
+            name: asIndex === -1 ? target : target.slice(asIndex + 4),
+            table: asIndex === -1 ? null : target.slice(0, asIndex),
+            index: index ? index[1] : null,
+        };
+    }
+
+    const temp = /USE TEMP B-TREE FOR (.+)$/.exec(detail) || /(\S+) USING TEMP B-TREE$/.exec(detail);
+    if (temp) {
+        return { operation: 'temp_btree', purpose: temp[1] };
+    }
+    return { operation: 'other' };
+}
+
+/**
+ * Work out which table a plan step reads
+ * Newer SQLite names steps by alias, so aliases from the query are tried first.
+ * @param {{name: string, table: string|null}} step - Step from describePlanStep()
+ * @param {Array<{table: string, alias: string|null}>} tables - Table references of the query
+ * @returns {string} Table name (or the step name, which may be a subquery or CTE)
+ */
+export function resolvePlanTable(step, tables) {
+    if (step.table) {
+        return step.table.split('.').pop();
+    }
+    const name = step.name.toLowerCase();
+    const aliased = tables.find(t => t.alias && t.alias.toLowerCase() === name);
+    if (aliased) {
+        return aliased.table;
+    }
+    // main.events -> events
+    return step.name.includes('.') && !tables.some(t => t.table.toLowerCase() === name)
+        ? step.name.split('.').pop()
+        : step.name;
+}
+
+/**
+ * Describe a row count for messages
+ * @param {{rows: number, exact: boolean}} count - Row count
+ * @returns {string} e.g. "1200 rows" or "about 2500000 rows"
+ */
+function describeRows(count) {
+    return `${count.exact ? '' : 'about '}${count.rows} rows`;
+}
+
+/**
+ * Find the costly steps of a query plan
+ * @param {Array<{id: number, parent: number, detail: string}>} plan - EXPLAIN QUERY PLAN rows
+ * @param {Array<{table: string, alias: string|null}>} tables - Table references of the query
+ * @param {Map<string, {rows: number, exact: boolean}>} rowCounts - Row counts keyed by lower-case
+ *   table name (tables without an entry, such as subqueries, are treated as small)
+ * @param {number} maxScanRows - Tables with more rows than this are large
+ * @returns {Array<{kind: string, tables: string[], rows: number, detail: string, message: string}>}
+ *   Findings: full_scan, cartesian_join and temp_btree
+ */
+export function findCostlyPlanSteps(plan, tables, rowCounts, maxScanRows) {
+    const steps = plan.map((row) => {
+        const step = { ...row, ...describePlanStep(row.detail) };
+        if (step.operation === 'scan' || step.operation === 'search') {
+            step.table = resolvePlanTable(step, tables);
+            step.count = step.name === 'CONSTANT ROW' ? null : rowCounts.get(step.table.toLowerCase()) || null;
+        }
+        return step;
+    });
+    const isLarge = step => !!step.count && step.count.rows > maxScanRows;
+    const findings = [];
+
+    for (const step of steps.filter(s => s.operation === 'scan' && isLarge(s))) {
+        findings.push({
+            kind: 'full_scan',
+            tables: [step.table],
+            rows: step.count.rows,
+            detail: step.detail,
+            message: step.index
+                ? `Full scan of index ${step.index} on table "${step.table}" (${describeRows(step.count)})`
+                : `Full scan of table "${step.table}" (${describeRows(step.count)}); an index on the filtered columns avoids it`,
+        });
+    }
+
+    // Two or more SCAN loops under the same parent: each later loop runs once per row of
+    // the loops before it (a cartesian product, or a join on columns without an index)
+    const loopsByParent = new Map();
+    for (const step of steps.filter(s => s.operation === 'scan' && s.name !== 'CONSTANT ROW')) {
+        loopsByParent.set(step.parent, [...(loopsByParent.get(step.parent) || []), step]);
+    }
+    for (const loops of loopsByParent.values()) {
+        const rows = loops.reduce((product, step) => product * (step.count ? step.count.rows : 1), 1);
+        if (loops.length >= 2 && rows > maxScanRows) {
+            findings.push({
+                kind: 'cartesian_join',
+                tables: loops.map(step => step.table),
+                rows,
+                detail: loops.map(step => step.detail).join('; '),
+                message: `Nested scans of ${loops.map(step => `"${step.table}"`).join(' x ')} (about ${rows} row combinations): ` +
+                    'a cartesian product or a join on columns without an index',
+            });
+        }
+    }
+
+    const large = [...new Set(steps.filter(isLarge).map(step => step.table))];
+    if (large.length > 0) {
+        for (const step of steps.filter(s => s.operation === 'temp_btree')) {
+            findings.push({
+                kind: 'temp_btree',
+                tables: large,
+                rows: Math.max(...steps.filter(isLarge).map(s => s.count.rows)),
+                detail: step.detail,
+                message: `Sorts in a temporary B-tree for ${step.purpose} over large table(s) ${large.map(t => `"${t}"`).join(', ')}; ` +
+                    'an index matching the sort order avoids it',
+            });
+        }
+    }
+
+    return findings;
+}
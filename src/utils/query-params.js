@@ -0,0 +1,356 @@
+/**
+ * Query Parameter Utilities
+ * Match query parameters to placeholders and coerce them to column types
+ */
+
+/**
+ * Keywords that end a table reference in FROM / JOIN (so they are not read as aliases)
+ */
+const CLAUSE_KEYWORDS = new Set([
+    'WHERE', 'GROUP', 'ORDER', 'LIMIT', 'HAVING', 'WINDOW', 'UNION', 'INTERSECT', 'EXCEPT',
+    'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'OUTER', 'ON', 'USING',
+    'INDEXED', 'NOT', 'AS', 'OFFSET', 'RETURNING',
+]);
+
+/**
+ * Operators and keywords that compare a column with a value
+ */
+const COMPARISONS = new Set(['=', '==', '!=', '<>', '<', '<=', '>', '>=', 'LIKE', 'GLOB', 'IS', 'MATCH', 'REGEXP']);
+
+/**
+ * Check whether a token is an identifier (bare or quoted)
+ * @param {Object|undefined} token - Token
+ * @returns {boolean} True for word and quoted identifier tokens
+ */
+function isName(token) {
+    return !!token && (token.type === 'word' || token.type === 'identifier');
+}
+
+/**
+ * Get the name of an identifier token
+ * @param {Object} token - Word or quoted identifier token
+ * @returns {string} Identifier name
+ */
+function nameOf(token) {
+    return token.type === 'identifier' ? token.value : token.text;
+}
+
+/**
+ * Check whether a token compares a column with a value
+ * @param {Object|undefined} token - Token
+ * @returns {boolean} True for comparison operators and keywords
+ */
+function isComparison(token) {
+    if (!token) {
+        return false;
+    }
+    return token.type === 'word' ? COMPARISONS.has(token.upper) : token.type === 'operator' && COMPARISONS.has(token.text);
+}
+
+/**
+ * Read a column reference that ends at a token index (`col` or `qualifier.col`)
+ * @param {Array<Object>} tokens - Statement tokens
+ * @param {number} end - Index of the column name token
+ * @returns {{qualifier: string|null, column: string}|null} Column reference
+ */
+function readColumnBackward(tokens, end) {
+    const token = tokens[end];
+    if (!isName(token) || (token.type === 'word' && COMPARISONS.has(token.upper))) {
+        return null;
+    }
+    const dot = tokens[end - 1];
+    if (dot && dot.type === 'operator' && dot.text === '.' && isName(tokens[end - 2])) {
+        return { qualifier: nameOf(tokens[end - 2]), column: nameOf(token) };
+    }
+    return { qualifier: null, column: nameOf(token) };
+}
+
+/**
+ * Read a column reference that starts at a token index
+ * @param {Array<Object>} tokens - Statement tokens
+ * @param {number} start - Index of the first token
+ * @returns {{qualifier: string|null, column: string}|null} Column reference
+ */
+function readColumnForward(tokens, start) {
+    if (!isName(tokens[start])) {
+        return null;
+    }
+    const dot = tokens[start + 1];
+    if (dot && dot.type === 'operator' && dot.text === '.' && isName(tokens[start + 2])) {
+        return { qualifier: nameOf(tokens[start]), column: nameOf(tokens[start + 2]) };
+    }
+    return { qualifier: null, column: nameOf(tokens[start]) };
+}
+
+/**
+ * Find the column a parameter is compared with
+ * Handles `col = ?`, `? = col`, `col IN (?, ?)` and `col BETWEEN ? AND ?`
+ * @param {Array<Object>} tokens - Statement tokens
+ * @param {number} index - Index of the parameter token
+ * @returns {{qualifier: string|null, column: string}|null} Column reference
+ */
+function findComparedColumn(tokens, index) {
+    const prev = tokens[index - 1];
+    const next = tokens[index + 1];
+
+    // col = ?, col LIKE ?, col IS NOT ?
+    if (isComparison(prev)) {
+        return readColumnBackward(tokens, index - 2);
+    }
+    if (prev && prev.type === 'word' && prev.upper === 'NOT' && isComparison(tokens[index - 2])) {
+        return readColumnBackward(tokens, index - 3);
+    }
+
+    // col BETWEEN ? AND ?
+    if (prev && prev.type === 'word' && prev.upper === 'BETWEEN') {
+        return readColumnBackward(tokens, index - 2);
+    }
+    if (prev && prev.type === 'word' && prev.upper === 'AND' &&
+        tokens[index - 3] && tokens[index - 3].type === 'word' && tokens[index - 3].upper === 'BETWEEN') {
+        return readColumnBackward(tokens, index - 4);
+    }
+
+    // col IN (?, ?, ...)
+    if (prev && prev.type === 'operator' && (prev.text === '(' || prev.text === ',')) {
+        let i = index - 1;
+        while (i >= 0 && !(tokens[i].type === 'operator' && tokens[i].text === '(')) {
+            if (tokens[i].type === 'operator' && tokens[i].text === ')') {
+                return null;
+            }
+            i--;
+        }
+        if (i > 0 && tokens[i - 1].type === 'word' && tokens[i - 1].upper === 'IN') {
+            const notIn = tokens[i - 2] && tokens[i - 2].type === 'word' && tokens[i - 2].upper === 'NOT';
+            return readColumnBackward(tokens, notIn ? i - 3 : i - 2);
+        }
+        return null;
+    }
+
+    // ? = col
+    if (isComparison(next)) {
+        return readColumnForward(tokens, index + 2);
+    }
+
+    return null;
+}
+
+/**
+ * Find the tables a statement reads from, with their aliases
+ * @param {Array<Object>} tokens - Statement tokens
+ * @returns {Array<{table: string, alias: string|null}>} Table references
+ */
+export function findReferencedTables(tokens) {
+    const tables = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type !== 'word' || (token.upper !== 'FROM' && token.upper !== 'JOIN')) {
+            continue;
+        }
+
+        // FROM a, b x, main.c AS y
+        let j = i + 1;
+        while (isName(tokens[j])) {
+            let table = nameOf(tokens[j]);
+            j++;
+            if (tokens[j] && tokens[j].type === 'operator' && tokens[j].text === '.' && isName(tokens[j + 1])) {
+                table = nameOf(tokens[j + 1]);
+                j += 2;
+            }
+
+            let alias = null;
+            if (tokens[j] && tokens[j].type === 'word' && tokens[j].upper === 'AS' && isName(tokens[j + 1])) {
+                alias = nameOf(tokens[j + 1]);
+                j += 2;
+            } else if (isName(tokens[j]) && !(tokens[j].type === 'word' && CLAUSE_KEYWORDS.has(tokens[j].upper))) {
+                alias = nameOf(tokens[j]);
+                j++;
+            }
+
+            tables.push({ table, alias });
+
+            if (!(tokens[j] && tokens[j].type === 'operator' && tokens[j].text === ',')) {
+                break;
+            }
+            j++;
+        }
+    }
+
+    return tables;
+}
+
+/**
+ * Find the table an INSERT, REPLACE, UPDATE or DELETE statement writes to
+ * @param {Array<Object>} tokens - Statement tokens
+ * @param {Object} verb - The statement's verb token (after any WITH clause)
+ * @returns {{schema: string|null, table: string}|null} Target table, or null if it cannot be found
+ */
+export function findWriteTarget(tokens, verb) {
+    // INSERT OR REPLACE INTO t, UPDATE OR IGNORE t, DELETE FROM t
+    let j = tokens.indexOf(verb) + 1;
+    if (tokens[j] && tokens[j].type === 'word' && tokens[j].upper === 'OR') {
+        j += 2;
+    }
+    if (tokens[j] && tokens[j].type === 'word' && (tokens[j].upper === 'INTO' || tokens[j].upper === 'FROM')) {
+        j++;
+    }
+    if (!isName(tokens[j])) {
+        return null;
+    }
+
+    if (tokens[j + 1] && tokens[j + 1].type === 'operator' && tokens[j + 1].text === '.' && isName(tokens[j + 2])) {
+        return { schema: nameOf(tokens[j]), table: nameOf(tokens[j + 2]) };
+    }
+    return { schema: null, table: nameOf(tokens[j]) };
+}
+
+/**
+ * Get the SQLite type affinity for a declared column type
+ * @param {string} declaredType - Declared type from the table definition
+ * @returns {string} INTEGER, TEXT, BLOB, REAL or NUMERIC
+ */
+export function getTypeAffinity(declaredType) {
+    const type = (declaredType || '').toUpperCase();
+    if (type.includes('INT')) return 'INTEGER';
+    if (type.includes('CHAR') || type.includes('CLOB') || type.includes('TEXT')) return 'TEXT';
+    if (type === '' || type.includes('BLOB')) return 'BLOB';
+    if (type.includes('REAL') || type.includes('FLOA') || type.includes('DOUB')) return 'REAL';
+    return 'NUMERIC';
+}
+
+/**
+ * Coerce a parameter value to a column's declared type where this is lossless
+ * @param {any} value - Parameter value
+ * @param {string} declaredType - Declared column type
+ * @returns {any} Coerced value (unchanged if it cannot be converted)
+ */
+export function coerceParamValue(value, declaredType) {
+    const affinity = getTypeAffinity(declaredType);
+
+    if (typeof value === 'string' && value.trim() !== '') {
+        const number = Number(value);
+        if (affinity === 'INTEGER' && /^\s*[+-]?\d+\s*$/.test(value) && Number.isSafeInteger(number)) {
+            return number;
+        }
+        if ((affinity === 'REAL' || affinity === 'NUMERIC') && Number.isFinite(number)) {
+            return number;
+        }
+    }
+
+    if (typeof value === 'number' && affinity === 'TEXT') {
+        return String(value);
+    }
+
+    return value;
+}
+
+/**
+ * Match query parameters to the placeholders in a statement
+ * Positional parameters (an array) bind `?` and `?NNN` placeholders; named
+ * parameters (an object) bind `:name`, `@name` and `$name` placeholders and may be
+ * given with or without the prefix.
+ * @param {Array<Object>} tokens - Statement tokens
+ * @param {Array|Object|undefined} params - Parameters from the request
+ * @returns {{values: Array|Object|undefined, slots: Array<{key: string|number, column: Object|null}>}}
+ *   Values ready to bind, and for each bound slot the column it is compared with
+ * @throws {Error} If the parameters do not match the placeholders
+ */
+export function bindQueryParams(tokens, params) {
+    const placeholders = [];
+    tokens.forEach((token, index) => {
+        if (token.type === 'parameter') {
+            placeholders.push({ token, column: findComparedColumn(tokens, index) });
+        }
+    });
+
+    const positional = placeholders.filter(p => p.token.text.startsWith('?'));
+    const named = placeholders.filter(p => !p.token.text.startsWith('?'));
+
+    if (params === undefined || params === null) {
+        if (placeholders.length > 0) {
+            throw new Error(
+                `Query has ${placeholders.length} parameter placeholder(s) but no params were provided`
+            );
+        }
+        return { values: undefined, slots: [] };
+    }
+
+    if (positional.length > 0 && named.length > 0) {
+        throw new Error('Query mixes positional (?) and named (:name) placeholders; use one style');
+    }
+
+    const checkValue = (value, name) => {
+        if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+            throw new Error(`Parameter ${name} must be a string, number, boolean or null`);
+        }
+        return typeof value === 'boolean' ? Number(value) : value;
+    };
+
+    if (Array.isArray(params)) {
+        if (named.length > 0) {
+            throw new Error(
+                `Query uses named placeholders (${named.map(p => p.token.text).join(', ')}); pass params as an object`
+            );
+        }
+
+        // Same numbering as SQLite: ? takes the next number after the largest so far
+        const slots = new Map();
+        let largest = 0;
+        for (const placeholder of positional) {
+            const number = placeholder.token.text.length > 1 ? Number(placeholder.token.text.slice(1)) : largest + 1;
+            largest = Math.max(largest, number);
+            if (!slots.has(number)) {
+                slots.set(number, placeholder.column);
+            }
+        }
+
+        if (params.length !== largest) {
+            throw new Error(
+                `Parameter count mismatch: query expects ${largest} positional parameter(s) but ${params.length} were provided`
+            );
+        }
+
+        return {
+            values: params.map((value, index) => checkValue(value, `#${index + 1}`)),
+            slots: [...slots.entries()].map(([number, column]) => ({ key: number - 1, column })),
+        };
+    }
+
+    if (typeof params !== 'object') {
+        throw new Error('params must be an array (positional) or an object (named)');
+    }
+
+    if (positional.length > 0) {
+        throw new Error('Query uses positional placeholders (?); pass params as an array');
+    }
+
+    const values = {};
+    const slots = [];
+    const used = new Set();
+    for (const placeholder of named) {
+        const key = placeholder.token.text;
+        if (key in values) {
+            continue;
+        }
+
+        const bare = key.slice(1);
+        const given = Object.prototype.hasOwnProperty.call(params, key) ? key : bare;
+        if (!Object.prototype.hasOwnProperty.call(params, given)) {
+            throw new Error(`Missing value for parameter ${key}`);
+        }
+
+        used.add(given);
+        values[key] = checkValue(params[given], key);
+        slots.push({ key, column: placeholder.column });
+    }
+
+    const unknown = Object.keys(params).filter(key => !used.has(key));
+    if (unknown.length > 0) {
+        const expected = slots.map(slot => slot.key);
+        throw new Error(
+            `Unknown parameter(s): ${unknown.join(', ')}. Query placeholders: ${expected.length > 0 ? expected.join(', ') : 'none'}`
+        );
+    }
+
+    return { values, slots };
+}
@@ -0,0 +1,65 @@
+/**
+ * Redaction Utilities
+ * Remove literal values from SQL and parameters before they are stored
+ */
+
+import { HISTORY_CONFIG } from '../config/constants.js';
+import { tokenize } from './sql-tokenizer.js';
+
+/**
+ * Token types that carry literal values
+ */
+const LITERAL_TYPES = new Set(['string', 'number', 'blob']);
+
+/**
+ * Replace the string, number and BLOB literals of a query with `?`
+ * Keywords, identifiers, operators and placeholders are kept, so the query still shows
+ * its shape. Comments are dropped, since they may hold values too.
+ * @param {string} sql - SQL text
+ * @returns {string} Redacted SQL, or HISTORY_CONFIG.redactedValue if it does not tokenize
+ */
+export function redactSqlLiterals(sql) {
+    let tokens;
+    try {
+        tokens = tokenize(sql);
+    } catch {
+        return HISTORY_CONFIG.redactedValue;
+    }
+
+    let output = '';
+    let previousEnd = null;
+    for (const token of tokens) {
+        if (previousEnd !== null && token.start > previousEnd) {
+            output += ' ';
+        }
+        output += LITERAL_TYPES.has(token.type) ? '?' : sql.slice(token.start, token.end);
+        previousEnd = token.end;
+    }
+    return output;
+}
+
+/**
+ * Replace the quoted parts of an error message with `?`
+ * SQLite quotes the text it stumbled over (e.g. `near "secret": syntax error`), which may
+ * be a value from the query.
+ * @param {string} message - Error message
+ * @returns {string} Message without its quoted text
+ */
+export function redactErrorMessage(message) {
+    return message.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"/g, '?');
+}
+
+/**
+ * Replace every parameter value with HISTORY_CONFIG.redactedValue
+ * @param {Array|Object|undefined} params - Query parameters
+ * @returns {Array|Object|undefined} Parameters with the same shape and names, without values
+ */
+export function redactParams(params) {
+    if (Array.isArray(params)) {
+        return params.map(() => HISTORY_CONFIG.redactedValue);
+    }
+    if (params && typeof params === 'object') {
+        return Object.fromEntries(Object.keys(params).map(key => [key, HISTORY_CONFIG.redactedValue]));
+    }
+    return params;
+}
@@ -0,0 +1,239 @@
+/**
+ * Result Column Utilities
+ * Work out where the columns of a query result come from and what they hold
+ */
+
+import { getTypeAffinity } from './query-params.js';
+
+/**
+ * Keywords that end the result column list of a SELECT
+ */
+const SELECT_LIST_END = new Set([
+    'FROM', 'WHERE', 'GROUP', 'HAVING', 'WINDOW', 'ORDER', 'LIMIT', 'UNION', 'INTERSECT', 'EXCEPT',
+]);
+
+/**
+ * Check whether a token is an identifier (bare or quoted)
+ * @param {Object|undefined} token - Token
+ * @returns {boolean} True for word and quoted identifier tokens
+ */
+function isName(token) {
+    return !!token && (token.type === 'word' || token.type === 'identifier');
+}
+
+/**
+ * Get the name of an identifier token
+ * @param {Object} token - Word or quoted identifier token
+ * @returns {string} Identifier name
+ */
+function nameOf(token) {
+    return token.type === 'identifier' ? token.value : token.text;
+}
+
+/**
+ * Check whether a token is a specific operator
+ * @param {Object|undefined} token - Token
+ * @param {string} text - Operator text
+ * @returns {boolean} True if the token is that operator
+ */
+function isOperator(token, text) {
+    return !!token && token.type === 'operator' && token.text === text;
+}
+
+/**
+ * Describe one item of a SELECT list
+ * @param {Array<Object>} item - Tokens of the item
+ * @returns {Object} `{star, qualifier}` for `*` and `t.*`, `{name, qualifier, column}` for a
+ *   column reference, or `{name, column: null}` for any other expression
+ */
+function describeSelectItem(item) {
+    if (item.length === 1 && isOperator(item[0], '*')) {
+        return { star: true, qualifier: null };
+    }
+    if (item.length === 3 && isName(item[0]) && isOperator(item[1], '.') && isOperator(item[2], '*')) {
+        return { star: true, qualifier: nameOf(item[0]) };
+    }
+
+    // Trailing alias: expr AS name, or expr name
+    let alias = null;
+    let expression = item;
+    const last = item[item.length - 1];
+    const beforeLast = item[item.length - 2];
+    if (item.length >= 3 && beforeLast.type === 'word' && beforeLast.upper === 'AS' && isName(last)) {
+        alias = nameOf(last);
+        expression = item.slice(0, -2);
+    } else if (item.length >= 2 && isName(last) && (isName(beforeLast) || beforeLast.type === 'operator' &&
+        beforeLast.text === ')' || ['string', 'number', 'blob', 'parameter'].includes(beforeLast.type))) {
+        alias = nameOf(last);
+        expression = item.slice(0, -1);
+    }
+
+    // col, table.col or schema.table.col
+    const names = expression.filter((token, index) => index % 2 === 0);
+    const dots = expression.filter((token, index) => index % 2 === 1);
+    if (expression.length % 2 === 1 && expression.length <= 5 && names.every(isName) &&
+        dots.every(token => isOperator(token, '.'))) {
+        const column = nameOf(names[names.length - 1]);
+        const qualifier = names.length > 1 ? nameOf(names[names.length - 2]) : null;
+        return { name: alias || column, qualifier, column };
+    }
+
+    return { name: alias, column: null };
+}
+
+/**
+ * Find the result columns of a statement as written in its (first) SELECT list
+ * Compound selects take their column names and types from the first SELECT.
+ * @param {Array<Object>} tokens - Statement tokens
+ * @returns {{items: Array<Object>, fromTokens: Array<Object>}|null} SELECT list items and
+ *   the top-level tokens of its FROM clause, or null for statements without a SELECT list
+ */
+export function findSelectList(tokens) {
+    let depth = 0;
+    let start = -1;
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (isOperator(token, '(')) {
+            depth++;
+        } else if (isOperator(token, ')')) {
+            depth--;
+        } else if (depth === 0 && token.type === 'word' && (token.upper === 'SELECT' || token.upper === 'VALUES')) {
+            start = token.upper === 'SELECT' ? i + 1 : -1;
+            break;
+        }
+    }
+    if (start === -1) {
+        return null;
+    }
+
+    if (tokens[start] && tokens[start].type === 'word' && (tokens[start].upper === 'DISTINCT' || tokens[start].upper === 'ALL')) {
+        start++;
+    }
+
+    const items = [];
+    const fromTokens = [];
+    let current = [];
+    let inFrom = false;
+    depth = 0;
+    for (let i = start; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (depth === 0 && token.type === 'word' && SELECT_LIST_END.has(token.upper)) {
+            if (token.upper !== 'FROM') {
+                break;
+            }
+            inFrom = true;
+        }
+
+        if (isOperator(token, '(')) {
+            depth++;
+        } else if (isOperator(token, ')')) {
+            depth--;
+        }
+
+        if (inFrom) {
+            // Subqueries in FROM have no table_info; keep only the outer table references
+            if (depth === 0 && !isOperator(token, ')')) {
+                fromTokens.push(token);
+            }
+        } else if (depth === 0 && isOperator(token, ',')) {
+            items.push(current);
+            current = [];
+        } else {
+            current.push(token);
+        }
+    }
+    if (current.length > 0) {
+        items.push(current);
+    }
+
+    return { items: items.map(describeSelectItem), fromTokens };
+}
+
+/**
+ * Get the SQLite storage class of a value returned by the driver
+ * The driver returns REAL values without a fraction as whole numbers, so numbers
+ * from a column with REAL affinity count as real.
+ * @param {any} value - Value from a result row
+ * @param {string|null} declaredType - Declared type of the column, if known
+ * @returns {string} null, integer, real, text or blob
+ */
+export function getStorageClass(value, declaredType) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'bigint') {
+        return 'integer';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && !(declaredType && getTypeAffinity(declaredType) === 'REAL') ? 'integer' : 'real';
+    }
+    if (Buffer.isBuffer(value)) {
+        return 'blob';
+    }
+    return 'text';
+}
+
+/**
+ * Describe the columns of a query result
+ * @param {string[]} names - Column names, in result order
+ * @param {Array<Object>|null} items - SELECT list items from findSelectList()
+ * @param {Array<{table: string, alias: string|null}>} tables - Tables in the FROM clause
+ * @param {Map<string, Array<{name: string, type: string}>>} tableColumns - Columns of each
+ *   table, keyed by lower-case table name (empty for tables that have no table_info)
+ * @param {Array<Object>} rows - Result rows
+ * @returns {Array<{name: string, declared_type: string|null, table: string|null,
+ *   column: string|null, storage_class: string|null}>} One entry per column;
+ *   storage_class is the class all non-null values share, `mixed` if they differ,
+ *   `null` if every value is NULL, and null when there are no rows
+ */
+export function describeResultColumns(names, items, tables, tableColumns, rows) {
+    const columnsOf = (table) => tableColumns.get(table.toLowerCase()) || [];
+    const owners = (qualifier) => (qualifier
+        ? tables.filter(t => (t.alias || t.table).toLowerCase() === qualifier.toLowerCase())
+        : tables);
+
+    // Expand the SELECT list into one entry per result column
+    const expanded = [];
+    for (const item of items || []) {
+        if (item.star) {
+            for (const { table } of owners(item.qualifier)) {
+                for (const column of columnsOf(table)) {
+                    expanded.push({ name: column.name, table, column: column.name, declared_type: column.type || null });
+                }
+            }
+        } else if (item.column) {
+            const owner = owners(item.qualifier).find(t => columnsOf(t.table).some(c => c.name.toLowerCase() === item.column.toLowerCase()));
+            const column = owner && columnsOf(owner.table).find(c => c.name.toLowerCase() === item.column.toLowerCase());
+            expanded.push(column
+                ? { name: item.name, table: owner.table, column: column.name, declared_type: column.type || null }
+                : { name: item.name, table: null, column: null, declared_type: null });
+        } else {
+            expanded.push({ name: item.name, table: null, column: null, declared_type: null });
+        }
+    }
+
+    // Line entries up by position when the expansion is complete, otherwise by name
+    const aligned = expanded.length === names.length;
+
+    return names.map((name, index) => {
+        const source = aligned
+            ? expanded[index]
+            : expanded.find(entry => entry.name && entry.name.toLowerCase() === name.toLowerCase());
+        const declaredType = source ? source.declared_type : null;
+
+        let storageClass = null;
+        if (rows.length > 0) {
+            const classes = new Set(rows.map(row => getStorageClass(row[name], declaredType)));
+            classes.delete('null');
+            storageClass = classes.size === 0 ? 'null' : classes.size === 1 ? [...classes][0] : 'mixed';
+        }
+
+        return {
+            name,
+            declared_type: declaredType,
+            table: source ? source.table : null,
+            column: source ? source.column : null,
+            storage_class: storageClass,
+        };
+    });
+}
@@ -0,0 +1,91 @@
+/**
+ * Filesystem Sandbox
+ * Restricts database files to allow-listed root directories and extensions
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getAllowedRoots, getAllowedExtensions } from '../config/environment.js';
+import { getSandboxFromConfigFile } from '../config/config-file.js';
+
+/**
+ * Resolve a path to its canonical form, following symlinks
+ * A file that does not exist yet is resolved through its nearest existing parent,
+ * so a symlinked parent directory cannot be used to escape the sandbox.
+ * @param {string} target - Path to resolve
+ * @returns {string} Absolute, symlink-free path
+ */
+function realPath(target) {
+    const absolute = path.resolve(target);
+    try {
+        return fs.realpathSync.native(absolute);
+    } catch (error) {
+        const parent = path.dirname(absolute);
+        if (parent === absolute) {
+            return absolute;
+        }
+        return path.join(realPath(parent), path.basename(absolute));
+    }
+}
+
+/**
+ * Check whether a path is inside a directory
+ * @param {string} filePath - Canonical file path
+ * @param {string} root - Canonical directory path
+ * @returns {boolean} True if filePath is root or below it
+ */
+function isInside(filePath, root) {
+    // Windows paths are case-insensitive
+    const normalize = (value) => (process.platform === 'win32' ? value.toLowerCase() : value);
+    const relative = path.relative(normalize(root), normalize(filePath));
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Get the active sandbox settings
+ * Environment variables take precedence over the config file's "sandbox" section
+ * @returns {{roots: string[], extensions: string[]}} Canonical roots and lower-case
+ *   extensions with a leading dot (empty arrays mean no restriction)
+ */
+export function getSandboxSettings() {
+    const fileSettings = getSandboxFromConfigFile();
+    const roots = getAllowedRoots() || fileSettings.roots || [];
+    const extensions = getAllowedExtensions() || fileSettings.extensions || [];
+
+    return {
+        roots: roots.map(realPath),
+        extensions: extensions.map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase()),
+    };
+}
+
+/**
+ * Check a database path against the sandbox
+ * The path is normalized and its symlinks resolved before checking, and the
+ * canonical path is returned so the file that was checked is the file opened.
+ * @param {string} dbPath - Requested database path
+ * @returns {string} Canonical path (or the path unchanged when no sandbox is configured)
+ * @throws {Error} If the path is outside the allowed roots or has a disallowed extension
+ */
+export function enforcePathSandbox(dbPath) {
+    const { roots, extensions } = getSandboxSettings();
+
+    if (roots.length === 0 && extensions.length === 0) {
+        return dbPath;
+    }
+
+    const resolved = realPath(dbPath);
+
+    if (roots.length > 0 && !roots.some(root => isInside(resolved, root))) {
+        throw new Error(
+            `Access denied: ${dbPath} is outside the allowed database directories (${roots.join(', ')})`
+        );
+    }
+
+    if (extensions.length > 0 && !extensions.includes(path.extname(resolved).toLowerCase())) {
+        throw new Error(
+            `Access denied: ${dbPath} does not have an allowed database extension (${extensions.join(', ')})`
+        );
+    }
+
+    return resolved;
+}
@@ -0,0 +1,255 @@
+/**
+ * SQL Statement Classifier
+ * Classifies tokenized statements and enforces the read-only query and write statement policies
+ */
+
+import { SQL_CONFIG } from '../config/constants.js';
+import { tokenize, splitStatements, describeTokenPosition } from './sql-tokenizer.js';
+
+/**
+ * Statement verbs that only read data
+ */
+const READ_VERBS = ['SELECT', 'VALUES'];
+
+/**
+ * Verbs that can follow a WITH clause
+ */
+const CTE_VERBS = [...READ_VERBS, 'INSERT', 'UPDATE', 'DELETE', 'REPLACE'];
+
+/**
+ * Check whether a token is a specific operator
+ * @param {Object|undefined} token - Token
+ * @param {string} text - Operator text
+ * @returns {boolean} True if the token is that operator
+ */
+function isOperator(token, text) {
+    return !!token && token.type === 'operator' && token.text === text;
+}
+
+/**
+ * Check whether a token is a specific keyword
+ * @param {Object|undefined} token - Token
+ * @param {string} word - Upper-case keyword
+ * @returns {boolean} True if the token is that keyword
+ */
+function isKeyword(token, word) {
+    return !!token && token.type === 'word' && token.upper === word;
+}
+
+/**
+ * Find the main verb of a WITH statement
+ * The common table expressions are parenthesized, so the first statement verb
+ * outside any parentheses is the statement the CTEs feed.
+ * @param {Array<Object>} tokens - Statement tokens
+ * @returns {Object|undefined} Verb token
+ */
+function findCteVerb(tokens) {
+    let depth = 0;
+    for (const token of tokens.slice(1)) {
+        if (isOperator(token, '(')) {
+            depth++;
+        } else if (isOperator(token, ')')) {
+            depth--;
+        } else if (depth === 0 && token.type === 'word' && CTE_VERBS.includes(token.upper)) {
+            return token;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Classify a PRAGMA statement against the read-only allow-list
+ * Accepts `PRAGMA [schema.]name`, and `PRAGMA [schema.]name(arg)` for pragmas
+ * whose argument only selects what to inspect.
+ * @param {Array<Object>} tokens - Statement tokens
+ * @returns {Object} Classification
+ */
+function classifyPragma(tokens) {
+    let index = 1;
+    if (isOperator(tokens[index + 1], '.')) {
+        index += 2;
+    }
+
+    const nameToken = tokens[index];
+    if (!nameToken || (nameToken.type !== 'word' && nameToken.type !== 'identifier')) {
+        return { type: 'pragma', readOnly: false, token: nameToken || tokens[0], reason: 'missing pragma name' };
+    }
+
+    const name = (nameToken.value ?? nameToken.text).toLowerCase();
+    const policy = SQL_CONFIG.readOnlyPragmas[name];
+    const rest = tokens.slice(index + 1);
+    const result = { type: 'pragma', pragma: name, token: nameToken };
+
+    if (!policy) {
+        return { ...result, readOnly: false, reason: 'not on the read-only pragma allow-list' };
+    }
+    if (rest.length === 0) {
+        return { ...result, readOnly: true };
+    }
+    if (isOperator(rest[0], '=')) {
+        return { ...result, readOnly: false, token: rest[0], reason: 'pragma assignments change settings' };
+    }
+    if (isOperator(rest[0], '(') && policy === 'argument') {
+        return { ...result, readOnly: true };
+    }
+    if (isOperator(rest[0], '(')) {
+        return { ...result, readOnly: false, token: rest[0], reason: `PRAGMA ${name}(value) changes the setting` };
+    }
+    return { ...result, readOnly: false, token: rest[0], reason: 'unexpected token after pragma name' };
+}
+
+/**
+ * Classify a single statement
+ * @param {Array<Object>} tokens - Statement tokens (non-empty)
+ * @returns {{type: string, readOnly: boolean, token: Object, innerStart?: number,
+ *   pragma?: string, reason?: string}} Classification; `token` is the token that
+ *   decided it (the offending token for statements that are not read-only)
+ */
+export function classifyStatement(tokens) {
+    const first = tokens[0];
+
+    if (first.type !== 'word') {
+        return { type: 'unknown', readOnly: false, token: first };
+    }
+
+    switch (first.upper) {
+        case 'SELECT':
+        case 'VALUES':
+            return { type: first.upper.toLowerCase(), readOnly: true, token: first };
+
+        case 'WITH': {
+            const verb = findCteVerb(tokens);
+            if (!verb) {
+                return { type: 'with', readOnly: false, token: first, reason: 'no statement follows the WITH clause' };
+            }
+            return { type: 'with', readOnly: READ_VERBS.includes(verb.upper), token: verb };
+        }
+
+        case 'EXPLAIN': {
+            // EXPLAIN only compiles the statement, it never runs it
+            let index = 1;
+            if (isKeyword(tokens[1], 'QUERY') && isKeyword(tokens[2], 'PLAN')) {
+                index = 3;
+            }
+            const inner = tokens[index];
+            if (!inner) {
+                return { type: 'explain', readOnly: false, token: first, reason: 'no statement to explain' };
+            }
+            return { type: 'explain', readOnly: true, token: first, innerStart: inner.start };
+        }
+
+        case 'PRAGMA':
+            return classifyPragma(tokens);
+
+        default:
+            return { type: first.upper.toLowerCase(), readOnly: false, token: first };
+    }
+}
+
+/**
+ * Check whether a statement ends in its own LIMIT clause
+ * LIMITs inside parentheses (subqueries, CTEs) only limit those parts.
+ * @param {Array<Object>} tokens - Statement tokens
+ * @returns {boolean} True if the statement has a LIMIT outside any parentheses
+ */
+export function hasTopLevelLimit(tokens) {
+    let depth = 0;
+    for (const token of tokens) {
+        if (isOperator(token, '(')) {
+            depth++;
+        } else if (isOperator(token, ')')) {
+            depth--;
+        } else if (depth === 0 && isKeyword(token, 'LIMIT')) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Validate that a query is a single read-only statement
+ * Allowed: SELECT, VALUES, WITH ... SELECT, EXPLAIN [QUERY PLAN] and pragmas on the
+ * read-only allow-list. Errors point at the offending token by line and column.
+ * @param {string} query - SQL query
+ * @returns {Object} Classification of the statement, with its `tokens`
+ * @throws {Error} If the query is empty, has several statements, or is not read-only
+ */
+export function validateReadOnlyQuery(query) {
+    if (!query || typeof query !== 'string') {
+        throw new Error('Query must be a non-empty string');
+    }
+
+    const statements = splitStatements(tokenize(query));
+
+    if (statements.length === 0) {
+        throw new Error('Query is empty (only whitespace or comments)');
+    }
+
+    if (statements.length > 1) {
+        throw new Error(
+            `Only one statement per query is allowed; a second statement starts at ${describeTokenPosition(statements[1][0])}`
+        );
+    }
+
+    const classification = classifyStatement(statements[0]);
+
+    if (!classification.readOnly) {
+        const position = describeTokenPosition(classification.token);
+        if (classification.type === 'pragma') {
+            throw new Error(`PRAGMA is not allowed in read-only mode (${classification.reason}) at ${position}`);
+        }
+        if (classification.reason) {
+            throw new Error(`Invalid query: ${classification.reason} at ${position}`);
+        }
+        throw new Error(
+            `${classification.token.text.toUpperCase()} statements are not allowed in read-only mode at ${position}. ` +
+            'Only SELECT, VALUES, WITH ... SELECT, EXPLAIN and read-only PRAGMA queries are allowed.'
+        );
+    }
+
+    return { ...classification, tokens: statements[0] };
+}
+
+/**
+ * Validate that a query is a single statement execute_write may run
+ * Allowed: INSERT, UPDATE, DELETE, REPLACE (optionally after WITH), CREATE, DROP and ALTER.
+ * @param {string} query - SQL statement
+ * @returns {Object} Classification of the statement, with its `tokens` and `verb`
+ *   (the statement verb in lower case, e.g. "insert" for WITH ... INSERT)
+ * @throws {Error} If the query is empty, has several statements, or is not an allowed write
+ */
+export function validateWriteStatement(query) {
+    if (!query || typeof query !== 'string') {
+        throw new Error('Query must be a non-empty string');
+    }
+
+    const statements = splitStatements(tokenize(query));
+
+    if (statements.length === 0) {
+        throw new Error('Query is empty (only whitespace or comments)');
+    }
+
+    if (statements.length > 1) {
+        throw new Error(
+            `Only one statement per call is allowed; a second statement starts at ${describeTokenPosition(statements[1][0])}`
+        );
+    }
+
+    const classification = classifyStatement(statements[0]);
+    const verb = classification.type === 'with' ? classification.token.upper.toLowerCase() : classification.type;
+
+    if (classification.readOnly) {
+        throw new Error('Read-only statements are not run by execute_write; use execute_query instead');
+    }
+    if (!SQL_CONFIG.writeStatements.includes(verb)) {
+        // Point at the statement verb, not at whatever token decided the read-only classification
+        const offending = classification.type === 'with' ? classification.token : statements[0][0];
+        throw new Error(
+            `${offending.text.toUpperCase()} statements are not allowed in execute_write at ` +
+            `${describeTokenPosition(offending)}. ` +
+            'Only INSERT, UPDATE, DELETE, REPLACE, CREATE, DROP and ALTER statements are allowed.'
+        );
+    }
+
+    return { ...classification, verb, tokens: statements[0] };
+}
@@ -0,0 +1,313 @@
+/**
+ * SQL Tokenizer
+ * Splits SQLite SQL into tokens, understanding string and blob literals,
+ * quoted identifiers, parameters and comments
+ */
+
+/**
+ * Multi-character operators, longest first
+ */
+const OPERATORS = ['->>', '->', '||', '<<', '>>', '<=', '>=', '==', '!=', '<>'];
+
+/**
+ * Characters that may start / continue a bare word (keyword or identifier)
+ */
+const WORD_START = /[A-Za-z_\u0080-\uFFFF]/;
+const WORD_PART = /[A-Za-z0-9_$\u0080-\uFFFF]/;
+
+/**
+ * Create a lookup converting character offsets into 1-based line and column
+ * @param {string} sql - SQL text
+ * @returns {Function} (offset) => {line, column}
+ */
+function createPositionLookup(sql) {
+    const lineStarts = [0];
+    for (let i = 0; i < sql.length; i++) {
+        if (sql[i] === '\n') {
+            lineStarts.push(i + 1);
+        }
+    }
+
+    return (offset) => {
+        // Binary search for the last line starting at or before offset
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+}
+
+/**
+ * Describe where a token is, for error messages
+ * @param {Object} token - Token from tokenize()
+ * @returns {string} e.g. `line 2, column 5 near "DROP"`
+ */
+export function describeTokenPosition(token) {
+    const text = token.text.length > 30 ? `${token.text.slice(0, 30)}...` : token.text;
+    return `line ${token.line}, column ${token.column} near "${text}"`;
+}
+
+/**
+ * Build an error pointing at a position in the SQL text
+ * @param {Function} positionOf - Lookup from createPositionLookup()
+ * @param {number} offset - Character offset of the problem
+ * @param {string} message - Error description
+ * @returns {Error} Error with line and column
+ */
+function tokenizerError(positionOf, offset, message) {
+    const { line, column } = positionOf(offset);
+    return new Error(`${message} at line ${line}, column ${column}`);
+}
+
+/**
+ * Find the end of a quoted section, honouring doubled closing quotes as escapes
+ * @param {string} sql - SQL text
+ * @param {number} start - Offset of the opening quote
+ * @param {string} close - Closing quote character
+ * @param {boolean} doubledEscapes - Whether a doubled closing quote is an escape
+ * @returns {number} Offset just past the closing quote, or -1 if unterminated
+ */
+function findClosingQuote(sql, start, close, doubledEscapes = true) {
+    let i = start + 1;
+    while (i < sql.length) {
+        if (sql[i] === close) {
+            if (doubledEscapes && sql[i + 1] === close) {
+                i += 2;
+                continue;
+            }
+            return i + 1;
+        }
+        i++;
+    }
+    return -1;
+}
+
+/**
+ * Tokenize SQL text
+ * Whitespace and comments are skipped. Each token records its type, text,
+ * offsets and 1-based line/column.
+ *
+ * Token types: `word` (keyword or bare identifier, with `upper` set),
+ * `identifier` (quoted identifier, with `value` unquoted), `string`, `blob`,
+ * `number`, `parameter`, `operator` and `semicolon`.
+ *
+ * @param {string} sql - SQL text
+ * @returns {Array<Object>} Tokens
+ * @throws {Error} If a literal or identifier is unterminated or a character is not valid SQL
+ */
+export function tokenize(sql) {
+    const tokens = [];
+    const positionOf = createPositionLookup(sql);
+    let i = 0;
+
+    const push = (type, start, end, extra = {}) => {
+        tokens.push({
+            type,
+            text: sql.slice(start, end),
+            start,
+            end,
+            ...positionOf(start),
+            ...extra,
+        });
+    };
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const next = sql[i + 1];
+
+        // Whitespace
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        // Line comment
+        if (char === '-' && next === '-') {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end + 1;
+            continue;
+        }
+
+        // Block comment (SQLite treats an unterminated one as running to the end)
+        if (char === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = end === -1 ? sql.length : end + 2;
+            continue;
+        }
+
+        // Blob literal x'...'
+        if ((char === 'x' || char === 'X') && next === '\'') {
+            const end = findClosingQuote(sql, i + 1, '\'', false);
+            if (end === -1) {
+                throw tokenizerError(positionOf, i, 'Unterminated blob literal');
+            }
+            push('blob', i, end);
+            i = end;
+            continue;
+        }
+
+        // String literal
+        if (char === '\'') {
+            const end = findClosingQuote(sql, i, '\'');
+            if (end === -1) {
+                throw tokenizerError(positionOf, i, 'Unterminated string literal');
+            }
+            push('string', i, end, { value: sql.slice(i + 1, end - 1).replace(/''/g, '\'') });
+            i = end;
+            continue;
+        }
+
+        // Quoted identifiers: "name", `name`, [name]
+        if (char === '"' || char === '`' || char === '[') {
+            const close = char === '[' ? ']' : char;
+            const end = findClosingQuote(sql, i, close, char !== '[');
+            if (end === -1) {
+                throw tokenizerError(positionOf, i, 'Unterminated quoted identifier');
+            }
+            const inner = sql.slice(i + 1, end - 1);
+            push('identifier', i, end, { value: char === '[' ? inner : inner.split(close + close).join(close) });
+            i = end;
+            continue;
+        }
+
+        // Numbers: 123, 1.5, .5, 1e10, 0x1F
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next || ''))) {
+            const match = /^(0[xX][0-9A-Fa-f]+|(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?)/.exec(sql.slice(i));
+            push('number', i, i + match[0].length);
+            i += match[0].length;
+            continue;
+        }
+
+        // Parameters: ?, ?NNN, :name, @name, $name
+        if (char === '?') {
+            const match = /^\?\d*/.exec(sql.slice(i));
+            push('parameter', i, i + match[0].length);
+            i += match[0].length;
+            continue;
+        }
+        if ((char === ':' || char === '@' || char === '$') && WORD_PART.test(next || '')) {
+            let end = i + 1;
+            while (end < sql.length && WORD_PART.test(sql[end])) {
+                end++;
+            }
+            push('parameter', i, end);
+            i = end;
+            continue;
+        }
+
+        // Keywords and bare identifiers
+        if (WORD_START.test(char)) {
+            let end = i + 1;
+            while (end < sql.length && WORD_PART.test(sql[end])) {
+                end++;
+            }
+            push('word', i, end, { upper: sql.slice(i, end).toUpperCase() });
+            i = end;
+            continue;
+        }
+
+        if (char === ';') {
+            push('semicolon', i, i + 1);
+            i++;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => sql.startsWith(op, i));
+        if (operator) {
+            push('operator', i, i + operator.length);
+            i += operator.length;
+            continue;
+        }
+
+        if ('(),.=<>+-*/%&|~!'.includes(char)) {
+            push('operator', i, i + 1);
+            i++;
+            continue;
+        }
+
+        throw tokenizerError(positionOf, i, `Unexpected character "${char}"`);
+    }
+
+    return tokens;
+}
+
+/**
+ * Check whether statement tokens begin a CREATE TRIGGER statement
+ * Also matches TEMP / TEMPORARY triggers and an EXPLAIN [QUERY PLAN] prefix.
+ * @param {Array<Object>} tokens - Tokens of the statement so far
+ * @returns {boolean} True if the statement creates a trigger
+ */
+function isCreateTrigger(tokens) {
+    const words = [];
+    for (const token of tokens.slice(0, 6)) {
+        if (token.type !== 'word') {
+            break;
+        }
+        words.push(token.upper);
+    }
+
+    let index = 0;
+    if (words[index] === 'EXPLAIN') {
+        index += words[index + 1] === 'QUERY' && words[index + 2] === 'PLAN' ? 3 : 1;
+    }
+    if (words[index] !== 'CREATE') {
+        return false;
+    }
+    index++;
+    if (words[index] === 'TEMP' || words[index] === 'TEMPORARY') {
+        index++;
+    }
+    return words[index] === 'TRIGGER';
+}
+
+/**
+ * Check whether trigger statement tokens end with the "; END" closing its body
+ * @param {Array<Object>} tokens - Tokens of the statement so far
+ * @returns {boolean} True if a semicolon here ends the statement
+ */
+function endsTriggerBody(tokens) {
+    const last = tokens[tokens.length - 1];
+    const previous = tokens[tokens.length - 2];
+    return last?.type === 'word' && last.upper === 'END' && previous?.type === 'semicolon';
+}
+
+/**
+ * Split tokens into statements at semicolons
+ * Empty statements (e.g. a trailing semicolon) are dropped. As in sqlite3_complete(),
+ * a CREATE TRIGGER statement only ends at the semicolon after "; END", so the
+ * statements of its BEGIN ... END body stay part of it.
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @returns {Array<Array<Object>>} Tokens of each statement
+ */
+export function splitStatements(tokens) {
+    const statements = [];
+    let current = [];
+
+    for (const token of tokens) {
+        if (token.type === 'semicolon') {
+            if (isCreateTrigger(current) && !endsTriggerBody(current)) {
+                current.push(token);
+                continue;
+            }
+            if (current.length > 0) {
+                statements.push(current);
+            }
+            current = [];
+        } else {
+            current.push(token);
+        }
+    }
+
+    if (current.length > 0) {
+        statements.push(current);
+    }
+
+    return statements;
+}
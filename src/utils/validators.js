@@ -3,7 +3,20 @@
  * Input validation and sanitization functions
  */
 
-import { getDatabasePath } from '../config/environment.js';
+import { BLOB_CONFIG, CIPHER_CONFIG, HISTORY_CONFIG, OUTPUT_FORMAT_CONFIG, QUERY_CONFIG, SAVED_QUERY_CONFIG } from '../config/constants.js';
+import { 
+    getDatabasePath, 
+    getCipherSettingsFromEnvironment,
+    getQueryTimeout,
+    getAutoLimit,
+    getMaxOutputBytes
+} from '../config/environment.js';
+import { getKeysForPath } from '../config/key-ring.js';
+import { getCipherSettingsFromConfigFile } from '../config/config-file.js';
+import { getRegisteredDatabase, resolveRegisteredKeys } from '../config/database-registry.js';
+import { enforcePathSandbox } from './sandbox.js';
+import { decodeCursor } from './cursor.js';
+import { validateReadOnlyQuery } from './sql-classifier.js';
 
 /**
  * Validate that arguments is a valid object
@@ -27,23 +40,38 @@ export function validateQuery(query) {
     }
 }
 
+/**
+ * Validate query parameters
+ * @param {any} params - Parameters to validate (optional)
+ * @throws {Error} If params is neither an array nor a plain object
+ */
+export function validateQueryParams(params) {
+    if (params === undefined || params === null) {
+        return;
+    }
+    if (typeof params !== 'object') {
+        throw new Error('params must be an array (for ? placeholders) or an object (for :name, @name or $name placeholders)');
+    }
+}
+
 /**
  * Validate and resolve database path
- * Uses provided path or falls back to environment variable
+ * Uses provided path or falls back to environment variable, then checks it
+ * against the filesystem sandbox
  * @param {string|undefined} providedPath - Database path from arguments
  * @returns {string} Resolved database path
- * @throws {Error} If no valid path is available
+ * @throws {Error} If no valid path is available or the path is outside the sandbox
  */
 export function resolveDatabasePath(providedPath) {
     const dbPath = providedPath || getDatabasePath();
     
     if (!dbPath || typeof dbPath !== 'string') {
         throw new Error(
-            'database_path is required. Provide it as a parameter or set SQLCIPHER_DATABASE_PATH environment variable.'
+            'database_path is required. Provide it as a parameter, pass a registered database alias, or set SQLCIPHER_DATABASE_PATH environment variable.'
         );
     }
     
-    return dbPath;
+    return enforcePathSandbox(dbPath);
 }
 
 /**
@@ -144,4 +172,636 @@ export function validateNumericParameter(value, paramName, min = 0, max = Number
     }
     
     return num;
-}
\ No newline at end of file
+}
+
+/**
+ * Validate and normalize the statements of an execute_batch request
+ * @param {any} statements - Array of query strings or { query, params } objects
+ * @returns {Array<{query: string, params: Array|Object|undefined}>} Normalized statements
+ * @throws {Error} If the list is empty, too long, or an entry is invalid
+ */
+export function validateBatchStatements(statements) {
+    if (!Array.isArray(statements) || statements.length === 0) {
+        throw new Error('statements is required and must be a non-empty array');
+    }
+    if (statements.length > QUERY_CONFIG.maxBatchStatements) {
+        throw new Error(`statements may contain at most ${QUERY_CONFIG.maxBatchStatements} queries`);
+    }
+
+    return statements.map((item, index) => {
+        const entry = typeof item === 'string' ? { query: item } : item;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error(`statements[${index}] must be a query string or an object with query and params`);
+        }
+        if (!entry.query || typeof entry.query !== 'string') {
+            throw new Error(`statements[${index}].query is required and must be a string`);
+        }
+        try {
+            validateQueryParams(entry.params);
+        } catch (error) {
+            throw new Error(`statements[${index}]: ${error.message}`);
+        }
+        if (entry.force !== undefined && typeof entry.force !== 'boolean') {
+            throw new Error(`statements[${index}].force must be a boolean`);
+        }
+        return { query: entry.query, params: entry.params, force: entry.force === true };
+    });
+}
+
+/**
+ * Resolve how BLOB values are returned
+ * @param {any} encoding - Requested encoding (optional)
+ * @returns {string} summary, hex or base64
+ * @throws {Error} If the encoding is not one of those
+ */
+export function resolveBlobEncoding(encoding) {
+    if (encoding === undefined || encoding === null) {
+        return BLOB_CONFIG.defaultEncoding;
+    }
+    if (!BLOB_CONFIG.encodings.includes(encoding)) {
+        throw new Error(`blob_encoding must be one of: ${BLOB_CONFIG.encodings.join(', ')}`);
+    }
+    return encoding;
+}
+
+/**
+ * Resolve how result rows are laid out
+ * @param {any} format - Requested format (optional)
+ * @returns {string} text, markdown, csv, tsv, json or jsonl
+ * @throws {Error} If the format is not one of those
+ */
+export function resolveOutputFormat(format) {
+    if (format === undefined || format === null) {
+        return OUTPUT_FORMAT_CONFIG.defaultFormat;
+    }
+    if (!OUTPUT_FORMAT_CONFIG.formats.includes(format)) {
+        throw new Error(`format must be one of: ${OUTPUT_FORMAT_CONFIG.formats.join(', ')}`);
+    }
+    return format;
+}
+
+/**
+ * Resolve how integers beyond Number.MAX_SAFE_INTEGER are returned
+ * @param {any} mode - Requested mode (optional)
+ * @returns {string} string, bigint or number
+ * @throws {Error} If the mode is not one of those
+ */
+export function resolveLargeIntegers(mode) {
+    if (mode === undefined || mode === null) {
+        return QUERY_CONFIG.defaultLargeIntegers;
+    }
+    if (!QUERY_CONFIG.largeIntegerModes.includes(mode)) {
+        throw new Error(`large_integers must be one of: ${QUERY_CONFIG.largeIntegerModes.join(', ')}`);
+    }
+    return mode;
+}
+
+/**
+ * Resolve the timeout for a query
+ * A call can lower the configured timeout (SQLCIPHER_QUERY_TIMEOUT_MS) but not raise it
+ * @param {any} timeoutMs - Requested timeout in milliseconds (optional)
+ * @returns {number} Timeout in milliseconds
+ * @throws {Error} If the requested timeout is not a positive number
+ */
+export function resolveQueryTimeout(timeoutMs) {
+    const configured = getQueryTimeout(QUERY_CONFIG.timeoutMs);
+    const requested = validateNumericParameter(timeoutMs, 'timeout_ms', 1);
+    return requested === undefined ? configured : Math.min(requested, configured);
+}
+
+/**
+ * Validate a page size
+ * @param {any} value - Requested page size (optional)
+ * @param {string} paramName - Parameter name for error messages
+ * @param {number} max - Largest allowed page size
+ * @returns {number|undefined} Page size, or undefined if not given
+ * @throws {Error} If the page size is not an integer in range
+ */
+function validatePageSize(value, paramName, max) {
+    const size = validateNumericParameter(value, paramName, 1, max);
+    if (size !== undefined && !Number.isInteger(size)) {
+        throw new Error(`${paramName} must be a whole number`);
+    }
+    return size;
+}
+
+/**
+ * Resolve the automatic row limit of a query
+ * @param {any} maxRows - Requested limit (max_rows, optional)
+ * @returns {number|undefined} Rows to read from a query without a LIMIT, or undefined when
+ *   automatic limits are turned off (SQLCIPHER_AUTO_LIMIT=0)
+ * @throws {Error} If the requested limit is not an integer between 1 and QUERY_CONFIG.maxPageSize
+ */
+export function resolveAutoLimit(maxRows) {
+    const requested = validatePageSize(maxRows, 'max_rows', QUERY_CONFIG.maxPageSize);
+    if (requested !== undefined) {
+        return requested;
+    }
+    const configured = getAutoLimit(QUERY_CONFIG.defaultAutoLimit);
+    return configured === 0 ? undefined : Math.min(configured, QUERY_CONFIG.maxPageSize);
+}
+
+/**
+ * Resolve the output budget of a text response
+ * With both max_bytes and max_output_tokens the smaller budget wins.
+ * @param {Object} args - Request arguments (max_bytes, max_output_tokens; both optional)
+ * @returns {number} Budget in bytes (SQLCIPHER_MAX_OUTPUT_BYTES when neither is given)
+ * @throws {Error} If a budget is out of range
+ */
+export function resolveOutputBudget(args) {
+    const { minOutputBytes, maxOutputBytes, bytesPerToken } = QUERY_CONFIG;
+    const bytes = validateNumericParameter(args.max_bytes, 'max_bytes', minOutputBytes, maxOutputBytes);
+    const tokens = validateNumericParameter(args.max_output_tokens, 'max_output_tokens',
+        Math.ceil(minOutputBytes / bytesPerToken), Math.floor(maxOutputBytes / bytesPerToken));
+    const budgets = [bytes, tokens === undefined ? undefined : tokens * bytesPerToken].filter(b => b !== undefined);
+
+    return budgets.length > 0
+        ? Math.floor(Math.min(...budgets))
+        : getMaxOutputBytes(QUERY_CONFIG.defaultMaxOutputBytes);
+}
+
+/**
+ * Resolve the query, parameters and page for an execute_query request
+ * A cursor from a previous page replaces query, params and page_size, and keeps the force
+ * of the first page; it is only accepted for the database it was issued for.
+ * @param {Object} args - Request arguments (query, params, page_size, force, cursor)
+ * @param {string} dbPath - Resolved path of the database the request targets
+ * @returns {{query: string, params: Array|Object|undefined, pageSize: number|undefined, offset: number, force: boolean}}
+ *   Query to run; pageSize is undefined when the result is not paginated
+ * @throws {Error} If the arguments or cursor are invalid
+ */
+export function resolveQueryRequest(args, dbPath) {
+    const { query, params, page_size, cursor } = args;
+    const force = args.force === true;
+
+    if (cursor !== undefined && cursor !== null) {
+        const state = decodeCursor(cursor, 'query');
+        if (state.database !== dbPath) {
+            throw new Error('cursor was issued for a different database');
+        }
+        if (query !== undefined && query !== state.query) {
+            throw new Error('cursor was issued for a different query; omit query when passing a cursor');
+        }
+        validateQuery(state.query);
+        validateQueryParams(state.params);
+        return {
+            query: state.query,
+            params: state.params,
+            pageSize: validatePageSize(state.pageSize, 'cursor page size', QUERY_CONFIG.maxPageSize),
+            offset: state.offset,
+            force: force || state.force === true,
+        };
+    }
+
+    validateQuery(query);
+    validateQueryParams(params);
+    return {
+        query,
+        params,
+        pageSize: validatePageSize(page_size, 'page_size', QUERY_CONFIG.maxPageSize),
+        offset: 0,
+        force,
+    };
+}
+
+/**
+ * Resolve the table, columns and page for a sample_table_data request
+ * A cursor from a previous page replaces table_name, columns, limit and offset; it is only
+ * accepted for the database it was issued for.
+ * @param {Object} args - Request arguments (table_name, columns, limit, offset, cursor)
+ * @param {number} maxLimit - Largest allowed limit
+ * @param {string} dbPath - Resolved path of the database the request targets
+ * @returns {{tableName: string, columns: string[]|null, limit: number, offset: number}} Sample to fetch
+ * @throws {Error} If the arguments or cursor are invalid
+ */
+export function resolveSampleRequest(args, maxLimit, dbPath) {
+    const { cursor } = args;
+
+    if (cursor !== undefined && cursor !== null) {
+        const state = decodeCursor(cursor, 'sample');
+        if (state.database !== dbPath) {
+            throw new Error('cursor was issued for a different database');
+        }
+        if (args.table_name !== undefined && args.table_name !== state.table) {
+            throw new Error('cursor was issued for a different table; omit table_name when passing a cursor');
+        }
+        validateTableName(state.table);
+        return {
+            tableName: state.table,
+            columns: state.columns || null,
+            limit: validatePageSize(state.pageSize, 'cursor page size', maxLimit),
+            offset: state.offset,
+        };
+    }
+
+    validateTableName(args.table_name);
+    return {
+        tableName: args.table_name,
+        columns: args.columns || null,
+        limit: validatePageSize(args.limit, 'limit', maxLimit) || 10,
+        offset: validateNumericParameter(args.offset, 'offset', 0, Number.MAX_SAFE_INTEGER) || 0,
+    };
+}
+
+/**
+ * Validate the name of a saved query
+ * @param {any} name - Saved query name
+ * @throws {Error} If the name is missing or has characters other than letters, digits, "_" and "-"
+ */
+export function validateSavedQueryName(name) {
+    if (!name || typeof name !== 'string' || !SAVED_QUERY_CONFIG.namePattern.test(name)) {
+        throw new Error('name is required and may only contain letters, numbers, "_" and "-" (at most 64 characters)');
+    }
+}
+
+/**
+ * Convert a saved query parameter value to the parameter's declared type
+ * Strings are accepted for every type, since prompt arguments and query strings are text.
+ * @param {any} value - Given value
+ * @param {{name: string, type: string}} parameter - Parameter definition
+ * @returns {string|number|boolean|null} Converted value
+ * @throws {Error} If the value does not fit the type
+ */
+function coerceSavedQueryParam(value, parameter) {
+    const { name, type } = parameter;
+    if (value === null) {
+        return null;
+    }
+
+    if (type === 'string') {
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            throw new Error(`Parameter ${name} must be a string`);
+        }
+        return String(value);
+    }
+
+    if (type === 'boolean') {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        if (value === 'true' || value === 'false') {
+            return value === 'true';
+        }
+        throw new Error(`Parameter ${name} must be a boolean`);
+    }
+
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+        throw new Error(`Parameter ${name} must be ${type === 'integer' ? 'an integer' : 'a number'}`);
+    }
+    return number;
+}
+
+/**
+ * Validate and normalize a saved query definition
+ * The query must be a read-only statement whose named placeholders (:name, @name, $name)
+ * match the declared parameters one to one.
+ * @param {Object} args - Request arguments (name, description, query, parameters)
+ * @returns {{name: string, description: string, query: string, parameters: Array<Object>}}
+ *   Normalized definition; every parameter has name, type, description and required
+ * @throws {Error} If a field is invalid or the parameters do not match the placeholders
+ */
+export function validateSavedQueryDefinition(args) {
+    const { name, description, query, parameters = [] } = args;
+
+    validateSavedQueryName(name);
+    if (!description || typeof description !== 'string') {
+        throw new Error('description is required and must be a string');
+    }
+    const { tokens } = validateReadOnlyQuery(query);
+
+    if (!Array.isArray(parameters)) {
+        throw new Error('parameters must be an array of { name, type, description, required, default }');
+    }
+    const normalized = parameters.map((parameter, index) => {
+        if (!parameter || typeof parameter !== 'object' || Array.isArray(parameter)) {
+            throw new Error(`parameters[${index}] must be an object`);
+        }
+        const { name: paramName, type = 'string', required, default: defaultValue } = parameter;
+        if (typeof paramName !== 'string' || !SAVED_QUERY_CONFIG.parameterNamePattern.test(paramName)) {
+            throw new Error(`parameters[${index}].name must be a placeholder name without its prefix (e.g. "customer_id")`);
+        }
+        if (!SAVED_QUERY_CONFIG.parameterTypes.includes(type)) {
+            throw new Error(`parameters[${index}].type must be one of: ${SAVED_QUERY_CONFIG.parameterTypes.join(', ')}`);
+        }
+        if (required !== undefined && typeof required !== 'boolean') {
+            throw new Error(`parameters[${index}].required must be a boolean`);
+        }
+        if (parameter.description !== undefined && typeof parameter.description !== 'string') {
+            throw new Error(`parameters[${index}].description must be a string`);
+        }
+
+        const entry = {
+            name: paramName,
+            type,
+            description: parameter.description || '',
+            // Parameters with a default are optional unless marked otherwise
+            required: required !== undefined ? required : defaultValue === undefined,
+        };
+        if (defaultValue !== undefined) {
+            entry.default = coerceSavedQueryParam(defaultValue, entry);
+        }
+        return entry;
+    });
+
+    const declared = normalized.map(parameter => parameter.name);
+    const duplicate = declared.find((paramName, index) => declared.indexOf(paramName) !== index);
+    if (duplicate) {
+        throw new Error(`Parameter ${duplicate} is declared more than once`);
+    }
+
+    const placeholders = tokens.filter(token => token.type === 'parameter');
+    if (placeholders.some(token => token.text.startsWith('?'))) {
+        throw new Error('Saved queries must use named placeholders (:name, @name or $name), not ?');
+    }
+    const used = new Set(placeholders.map(token => token.text.slice(1)));
+    const undeclared = [...used].filter(paramName => !declared.includes(paramName));
+    if (undeclared.length > 0) {
+        throw new Error(`Placeholder(s) without a parameter definition: ${undeclared.join(', ')}`);
+    }
+    const unused = declared.filter(paramName => !used.has(paramName));
+    if (unused.length > 0) {
+        throw new Error(`Parameter(s) not used in the query: ${unused.join(', ')}`);
+    }
+
+    return { name, description, query, parameters: normalized };
+}
+
+/**
+ * Resolve the parameter values for running a saved query
+ * @param {Object} savedQuery - Saved query definition
+ * @param {any} params - Given values, keyed by parameter name (optional)
+ * @returns {Object|undefined} Values for every parameter, converted to their types
+ *   and with defaults filled in (undefined if the query has no parameters)
+ * @throws {Error} If a value is missing, unknown or of the wrong type
+ */
+export function resolveSavedQueryParams(savedQuery, params) {
+    if (params !== undefined && params !== null && (typeof params !== 'object' || Array.isArray(params))) {
+        throw new Error('params must be an object keyed by parameter name');
+    }
+    const given = params || {};
+
+    const unknown = Object.keys(given).filter(key => !savedQuery.parameters.some(p => p.name === key));
+    if (unknown.length > 0) {
+        const expected = savedQuery.parameters.map(p => p.name);
+        throw new Error(
+            `Unknown parameter(s): ${unknown.join(', ')}. Saved query "${savedQuery.name}" takes: ${expected.length > 0 ? expected.join(', ') : 'none'}`
+        );
+    }
+
+    if (savedQuery.parameters.length === 0) {
+        return undefined;
+    }
+
+    const values = {};
+    for (const parameter of savedQuery.parameters) {
+        if (given[parameter.name] !== undefined) {
+            values[parameter.name] = coerceSavedQueryParam(given[parameter.name], parameter);
+        } else if (parameter.default !== undefined) {
+            values[parameter.name] = parameter.default;
+        } else if (parameter.required) {
+            throw new Error(`Missing value for required parameter ${parameter.name}`);
+        } else {
+            values[parameter.name] = null;
+        }
+    }
+    return values;
+}
+
+/**
+ * Resolve the filters of a query_history request
+ * @param {Object} args - Request arguments (tool, database, database_path, search,
+ *   errors_only, since, until, limit)
+ * @returns {Object} Filters for searchQueryHistory (times as epoch milliseconds)
+ * @throws {Error} If a filter is invalid
+ */
+export function resolveHistoryFilters(args) {
+    const { tool, database, database_path, search, errors_only, since, until, limit } = args;
+
+    if (tool !== undefined && !HISTORY_CONFIG.recordedTools.includes(tool)) {
+        throw new Error(`tool must be one of: ${HISTORY_CONFIG.recordedTools.join(', ')}`);
+    }
+    for (const [name, value] of Object.entries({ database, database_path, search })) {
+        if (value !== undefined && typeof value !== 'string') {
+            throw new Error(`${name} must be a string`);
+        }
+    }
+    if (errors_only !== undefined && typeof errors_only !== 'boolean') {
+        throw new Error('errors_only must be a boolean');
+    }
+
+    const parseTime = (value, name) => {
+        if (value === undefined) {
+            return undefined;
+        }
+        const time = typeof value === 'string' ? Date.parse(value) : NaN;
+        if (Number.isNaN(time)) {
+            throw new Error(`${name} must be an ISO 8601 date or timestamp (e.g. 2024-05-01T12:00:00Z)`);
+        }
+        return time;
+    };
+
+    const size = validateNumericParameter(limit, 'limit', 1, HISTORY_CONFIG.maxLimit);
+    if (size !== undefined && !Number.isInteger(size)) {
+        throw new Error('limit must be a whole number');
+    }
+
+    return {
+        tool,
+        database,
+        databasePath: database_path,
+        search,
+        errorsOnly: errors_only === true,
+        since: parseTime(since, 'since'),
+        until: parseTime(until, 'until'),
+        limit: size,
+    };
+}
+
+/**
+ * Validate and normalize SQLCipher cipher settings
+ * @param {any} settings - Cipher settings object
+ * @param {string} source - Where the settings came from (for error messages)
+ * @returns {Object} Normalized settings with numeric and upper-case values
+ * @throws {Error} If a setting is unknown or has an invalid value
+ */
+export function validateCipherSettings(settings, source = 'cipher') {
+    if (settings === undefined || settings === null) {
+        return {};
+    }
+    
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error(`${source} must be an object`);
+    }
+    
+    const normalized = {};
+    
+    for (const [name, value] of Object.entries(settings)) {
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        
+        switch (name) {
+            case 'compatibility': {
+                const version = Number(value);
+                if (!CIPHER_CONFIG.compatibilityVersions.includes(version)) {
+                    throw new Error(`${source}.compatibility must be one of ${CIPHER_CONFIG.compatibilityVersions.join(', ')}`);
+                }
+                normalized.compatibility = version;
+                break;
+            }
+            case 'cipher_page_size': {
+                const pageSize = Number(value);
+                // SQLite page sizes are powers of two between 512 and 65536
+                if (!Number.isInteger(pageSize) || pageSize < 512 || pageSize > 65536 || (pageSize & (pageSize - 1)) !== 0) {
+                    throw new Error(`${source}.cipher_page_size must be a power of two between 512 and 65536`);
+                }
+                normalized.cipher_page_size = pageSize;
+                break;
+            }
+            case 'kdf_iter': {
+                const iterations = Number(value);
+                if (!Number.isInteger(iterations) || iterations < 1) {
+                    throw new Error(`${source}.kdf_iter must be a positive integer`);
+                }
+                normalized.kdf_iter = iterations;
+                break;
+            }
+            case 'cipher_hmac_algorithm': {
+                const algorithm = String(value).toUpperCase();
+                if (!CIPHER_CONFIG.hmacAlgorithms.includes(algorithm)) {
+                    throw new Error(`${source}.cipher_hmac_algorithm must be one of ${CIPHER_CONFIG.hmacAlgorithms.join(', ')}`);
+                }
+                normalized.cipher_hmac_algorithm = algorithm;
+                break;
+            }
+            case 'cipher_kdf_algorithm': {
+                const algorithm = String(value).toUpperCase();
+                if (!CIPHER_CONFIG.kdfAlgorithms.includes(algorithm)) {
+                    throw new Error(`${source}.cipher_kdf_algorithm must be one of ${CIPHER_CONFIG.kdfAlgorithms.join(', ')}`);
+                }
+                normalized.cipher_kdf_algorithm = algorithm;
+                break;
+            }
+            default:
+                throw new Error(`Unknown cipher setting "${name}" in ${source}. Allowed settings: ${CIPHER_CONFIG.settingOrder.join(', ')}`);
+        }
+    }
+    
+    return normalized;
+}
+
+/**
+ * Resolve the cipher settings for a connection
+ * Precedence (highest first): per-call arguments, database alias, environment variables, config file.
+ * An empty result means no settings are configured and the profile is auto-detected.
+ * @param {Object|undefined} overrides - Per-call cipher settings from tool arguments
+ * @param {Object|undefined} aliasSettings - Cipher settings from a registered database alias
+ * @returns {Object} Normalized cipher settings in application order
+ * @throws {Error} If any source contains invalid settings
+ */
+export function resolveCipherSettings(overrides, aliasSettings) {
+    const merged = {
+        ...validateCipherSettings(getCipherSettingsFromConfigFile(), 'config file cipher'),
+        ...validateCipherSettings(getCipherSettingsFromEnvironment(), 'environment cipher'),
+        ...validateCipherSettings(aliasSettings, 'database alias cipher'),
+        ...validateCipherSettings(overrides, 'cipher'),
+    };
+    
+    // Rebuild in application order so equal settings always serialize identically
+    const ordered = {};
+    for (const name of CIPHER_CONFIG.settingOrder) {
+        if (merged[name] !== undefined) {
+            ordered[name] = merged[name];
+        }
+    }
+    
+    return ordered;
+}
+
+/**
+ * Resolve connection options (candidate keys and cipher settings) for a request
+ * Databases given by path are always opened read-only
+ * @param {Object} args - Tool arguments or HTTP request body
+ * @param {string} dbPath - Resolved database path (selects matching key ring entries)
+ * @returns {{keys: Array, cipher: Object, readOnly: boolean}} Connection options
+ * @throws {Error} If cipher settings or the key ring are invalid
+ */
+export function resolveConnectionOptions(args, dbPath) {
+    const { cipher } = args || {};
+    
+    return {
+        keys: getKeysForPath(dbPath),
+        cipher: resolveCipherSettings(cipher),
+        readOnly: true,
+    };
+}
+
+/**
+ * Resolve the database a request targets
+ * Accepts either a registered alias (`database`) or a file path (`database_path`),
+ * falling back to SQLCIPHER_DATABASE_PATH when neither is given
+ * @param {Object} args - Tool arguments or HTTP request body
+ * @returns {{dbPath: string, connection: Object, alias: string|null}} Resolved target
+ * @throws {Error} If the alias is unknown, both forms are given, no path is available,
+ *   or the path is outside the sandbox
+ */
+export function resolveDatabaseTarget(args) {
+    const { database, database_path, cipher } = args || {};
+    
+    if (database === undefined || database === null || database === '') {
+        const dbPath = resolveDatabasePath(database_path);
+        return {
+            dbPath,
+            connection: resolveConnectionOptions(args, dbPath),
+            alias: null,
+        };
+    }
+    
+    if (typeof database !== 'string') {
+        throw new Error('database must be a string (a registered database alias)');
+    }
+    
+    if (database_path) {
+        throw new Error('Provide either database or database_path, not both');
+    }
+    
+    const entry = getRegisteredDatabase(database);
+    
+    return {
+        // Registered paths are subject to the sandbox like any other path
+        dbPath: enforcePathSandbox(entry.path),
+        connection: {
+            keys: resolveRegisteredKeys(entry),
+            cipher: resolveCipherSettings(cipher, entry.cipher),
+            // Only aliases configured with read_only: false get a writable connection
+            readOnly: entry.readOnly,
+        },
+        alias: entry.alias,
+    };
+}
+
+/**
+ * Resolve the database for execute_write
+ * Writes are only allowed through a registered alias marked `read_only: false`,
+ * never through a raw database_path.
+ * @param {Object} args - Tool arguments or HTTP request body
+ * @returns {{dbPath: string, connection: Object, alias: string}} Resolved writable target
+ * @throws {Error} If no alias is given or the alias is not writable
+ */
+export function resolveWriteTarget(args) {
+    if (!args.database) {
+        throw new Error(
+            'execute_write requires "database": the alias of a registered database marked read_only: false (database_path is not accepted for writes)'
+        );
+    }
+
+    const target = resolveDatabaseTarget(args);
+    if (target.connection.readOnly !== false) {
+        throw new Error(
+            `execute_write is disabled for database "${args.database}". Set read_only: false on it in the config file to allow writes.`
+        );
+    }
+
+    return target;
+}